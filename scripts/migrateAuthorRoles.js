@@ -0,0 +1,38 @@
+// 将已经创建过小说的普通用户升级为作者角色
+// 引入基于角色的权限控制后，作者接口需要author角色，历史数据需要执行一次该脚本
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { User } from '../src/models/user.js';
+import { Novel } from '../src/models/novel.js';
+
+// 加载环境变量
+dotenv.config();
+
+// 迁移角色
+const migrateAuthorRoles = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('数据库连接成功');
+    
+    // 找出所有创建过小说的用户
+    const creatorIds = await Novel.distinct('creator', { creator: { $ne: null } });
+    console.log(`找到 ${creatorIds.length} 位创建过小说的用户`);
+    
+    // 只升级普通用户，管理员保持不变
+    const result = await User.updateMany(
+      { _id: { $in: creatorIds }, role: 'user' },
+      { $set: { role: 'author' } }
+    );
+    
+    console.log('迁移完成!');
+    console.log(`升级为作者: ${result.modifiedCount}`);
+  } catch (error) {
+    console.error('迁移过程中出错:', error);
+  } finally {
+    // 断开数据库连接
+    mongoose.disconnect();
+  }
+};
+
+// 执行迁移
+migrateAuthorRoles();
@@ -0,0 +1,263 @@
+// 本地模拟的OpenID Connect提供方，用于在开发环境测试第三方登录
+// 支持发现文档、授权码 + PKCE(S256)、JWKS和RS256签名的ID Token
+//
+// 使用方法：
+//   node scripts/mockOidcProvider.js
+// 然后在 .env 中配置：
+//   OAUTH_PROVIDERS=mock
+//   OAUTH_MOCK_ISSUER=http://localhost:4010
+//   OAUTH_MOCK_CLIENT_ID=elfnovel-local
+//   OAUTH_MOCK_CLIENT_SECRET=elfnovel-local-secret
+//
+// 授权页面会显示一个表单，可以填写任意邮箱登录；
+// 在授权链接后追加 &login_hint=reader@example.com 可以跳过表单直接回调，方便用curl测试
+import http from 'http';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4010;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'elfnovel-local';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'elfnovel-local-secret';
+
+// 每次启动生成新的签名密钥
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' };
+
+// 已签发但尚未使用的授权码：code -> 授权信息
+const authorizationCodes = new Map();
+
+// 已签发的访问Token：token -> 用户信息
+const accessTokens = new Map();
+
+// Base64URL编码
+const base64url = (buffer) => buffer.toString('base64')
+  .replace(/=+$/, '')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_');
+
+// 转义HTML
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+// 返回JSON
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+// 读取请求体（application/x-www-form-urlencoded）
+const readForm = (req) => new Promise((resolve, reject) => {
+  let data = '';
+  req.on('data', chunk => {
+    data += chunk;
+    if (data.length > 1e5) {
+      reject(new Error('请求体过大'));
+      req.destroy();
+    }
+  });
+  req.on('end', () => resolve(new URLSearchParams(data)));
+  req.on('error', reject);
+});
+
+// 根据邮箱生成固定的用户信息
+const buildUser = (email, name) => {
+  const normalized = String(email).trim().toLowerCase();
+  return {
+    sub: crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 24),
+    email: normalized,
+    email_verified: true,
+    name: name || normalized.split('@')[0],
+    preferred_username: normalized.split('@')[0]
+  };
+};
+
+// 签发授权码并跳转回客户端
+const redirectWithCode = (res, params, user) => {
+  const code = base64url(crypto.randomBytes(24));
+  authorizationCodes.set(code, {
+    user,
+    clientId: params.get('client_id'),
+    redirectUri: params.get('redirect_uri'),
+    nonce: params.get('nonce'),
+    codeChallenge: params.get('code_challenge'),
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  const redirect = new URL(params.get('redirect_uri'));
+  redirect.searchParams.set('code', code);
+  if (params.get('state')) redirect.searchParams.set('state', params.get('state'));
+
+  console.log(`为 ${user.email} 签发授权码，跳转到 ${redirect.origin}${redirect.pathname}`);
+  res.writeHead(302, { Location: redirect.toString() });
+  res.end();
+};
+
+// 校验授权请求参数，返回错误信息或null
+const validateAuthorizationRequest = (params) => {
+  if (params.get('response_type') !== 'code') return '只支持 response_type=code';
+  if (params.get('client_id') !== CLIENT_ID) return '未知的 client_id';
+  if (!params.get('redirect_uri')) return '缺少 redirect_uri';
+  if (!params.get('code_challenge') || params.get('code_challenge_method') !== 'S256') {
+    return '必须使用 PKCE（code_challenge_method=S256）';
+  }
+  return null;
+};
+
+// 授权页面
+const handleAuthorize = (req, res, url) => {
+  const params = url.searchParams;
+  const error = validateAuthorizationRequest(params);
+  if (error) {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: error });
+  }
+
+  // 提供了login_hint时直接同意授权
+  if (params.get('login_hint')) {
+    return redirectWithCode(res, params, buildUser(params.get('login_hint')));
+  }
+
+  const hiddenFields = [...params.entries()]
+    .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+    .join('\n');
+
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Mock OIDC 登录</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 400px; margin: 60px auto;">
+  <h2>Mock OIDC 登录</h2>
+  <form method="POST" action="/authorize">
+    ${hiddenFields}
+    <p><label>邮箱<br><input name="email" type="email" required value="reader@example.com"></label></p>
+    <p><label>昵称<br><input name="name" value="Mock Reader"></label></p>
+    <button type="submit">同意授权</button>
+  </form>
+</body>
+</html>`);
+};
+
+// 授权表单提交
+const handleAuthorizeSubmit = async (req, res) => {
+  const params = await readForm(req);
+  const error = validateAuthorizationRequest(params);
+  if (error || !params.get('email')) {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: error || '缺少邮箱' });
+  }
+
+  redirectWithCode(res, params, buildUser(params.get('email'), params.get('name')));
+};
+
+// Token端点
+const handleToken = async (req, res) => {
+  const params = await readForm(req);
+
+  if (params.get('grant_type') !== 'authorization_code') {
+    return sendJson(res, 400, { error: 'unsupported_grant_type' });
+  }
+  if (params.get('client_id') !== CLIENT_ID || params.get('client_secret') !== CLIENT_SECRET) {
+    return sendJson(res, 401, { error: 'invalid_client' });
+  }
+
+  // 授权码只能使用一次
+  const code = params.get('code');
+  const grant = authorizationCodes.get(code);
+  authorizationCodes.delete(code);
+
+  if (!grant || grant.expiresAt < Date.now()) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: '授权码无效或已过期' });
+  }
+  if (grant.clientId !== params.get('client_id') || grant.redirectUri !== params.get('redirect_uri')) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'redirect_uri 不匹配' });
+  }
+
+  // 校验PKCE
+  const verifier = params.get('code_verifier') || '';
+  const challenge = base64url(crypto.createHash('sha256').update(verifier).digest());
+  if (challenge !== grant.codeChallenge) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'code_verifier 不正确' });
+  }
+
+  const idToken = jwt.sign(
+    { ...grant.user, nonce: grant.nonce },
+    privateKey,
+    {
+      algorithm: 'RS256',
+      keyid: KEY_ID,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: '10m'
+    }
+  );
+
+  const accessToken = base64url(crypto.randomBytes(24));
+  accessTokens.set(accessToken, grant.user);
+
+  console.log(`为 ${grant.user.email} 签发ID Token`);
+  sendJson(res, 200, {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 600,
+    id_token: idToken
+  });
+};
+
+// 用户信息端点
+const handleUserInfo = (req, res) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const user = accessTokens.get(token);
+  if (!user) {
+    return sendJson(res, 401, { error: 'invalid_token' });
+  }
+  sendJson(res, 200, user);
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  try {
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        scopes_supported: ['openid', 'email', 'profile'],
+        token_endpoint_auth_methods_supported: ['client_secret_post'],
+        code_challenge_methods_supported: ['S256']
+      });
+    }
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJson(res, 200, { keys: [publicJwk] });
+    }
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      return handleAuthorize(req, res, url);
+    }
+    if (req.method === 'POST' && url.pathname === '/authorize') {
+      return await handleAuthorizeSubmit(req, res);
+    }
+    if (req.method === 'POST' && url.pathname === '/token') {
+      return await handleToken(req, res);
+    }
+    if (req.method === 'GET' && url.pathname === '/userinfo') {
+      return handleUserInfo(req, res);
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  } catch (error) {
+    console.error('处理请求时出错:', error);
+    sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock OIDC 提供方已启动: ${ISSUER}`);
+  console.log(`client_id: ${CLIENT_ID}`);
+  console.log(`client_secret: ${CLIENT_SECRET}`);
+});
@@ -0,0 +1,51 @@
+// 重建小说搜索索引
+// 新增搜索索引或调整分词规则后，需要对已有小说执行一次该脚本
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { Novel } from '../src/models/novel.js';
+import { NovelSearchIndex } from '../src/models/novelSearchIndex.js';
+
+// 加载环境变量
+dotenv.config();
+
+// 重建索引
+const rebuildSearchIndex = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('数据库连接成功');
+    
+    let indexed = 0;
+    const novelIds = [];
+    
+    // 使用游标逐本处理，避免一次性加载所有小说
+    const cursor = Novel.find()
+      .select('title authorName shortDescription longDescription tags categories')
+      .lean()
+      .cursor();
+    
+    for await (const novel of cursor) {
+      await NovelSearchIndex.syncNovel(novel);
+      novelIds.push(novel._id);
+      indexed++;
+      
+      if (indexed % 100 === 0) {
+        console.log(`已处理 ${indexed} 本小说`);
+      }
+    }
+    
+    // 清理已删除小说的索引
+    const removed = await NovelSearchIndex.deleteMany({ novel: { $nin: novelIds } });
+    
+    console.log('重建完成!');
+    console.log(`已索引: ${indexed}`);
+    console.log(`已清理: ${removed.deletedCount}`);
+  } catch (error) {
+    console.error('重建搜索索引过程中出错:', error);
+  } finally {
+    // 断开数据库连接
+    mongoose.disconnect();
+  }
+};
+
+// 执行重建
+rebuildSearchIndex();
@@ -0,0 +1,68 @@
+/**
+ * 第三方登录（OpenID Connect）提供方配置
+ *
+ * 在 OAUTH_PROVIDERS 中列出启用的提供方名称（逗号分隔），每个提供方通过以下环境变量配置：
+ *   OAUTH_<NAME>_ISSUER         - 颁发者地址，用于自动发现（/.well-known/openid-configuration）
+ *   OAUTH_<NAME>_CLIENT_ID      - 客户端ID
+ *   OAUTH_<NAME>_CLIENT_SECRET  - 客户端密钥（公共客户端可以不设置，仅使用PKCE）
+ *   OAUTH_<NAME>_SCOPE          - 申请的权限，默认 openid email profile
+ *   OAUTH_<NAME>_DISPLAY_NAME   - 前端显示的名称
+ *   OAUTH_<NAME>_REDIRECT_URI   - 回调地址，默认为 OAUTH_REDIRECT_BASE_URL（或FRONTEND_URL）/oauth/callback/<name>
+ */
+
+// 提供方名称只允许小写字母、数字和连字符
+const PROVIDER_NAME_PATTERN = /^[a-z0-9-]+$/;
+
+// 读取某个提供方的环境变量
+const readProviderEnv = (name, key) => process.env[`OAUTH_${name.toUpperCase().replace(/-/g, '_')}_${key}`];
+
+// 获取启用的提供方名称列表
+const getEnabledProviderNames = () => (process.env.OAUTH_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => PROVIDER_NAME_PATTERN.test(name));
+
+// 默认回调地址
+const getDefaultRedirectUri = (name) => {
+    const baseUrl = (process.env.OAUTH_REDIRECT_BASE_URL || process.env.FRONTEND_URL || 'http://localhost:3000')
+        .replace(/\/+$/, '');
+    return `${baseUrl}/oauth/callback/${name}`;
+};
+
+/**
+ * 获取提供方配置，未启用或配置不完整时返回null
+ * @param {string} name - 提供方名称
+ * @returns {Object|null} - { name, displayName, issuer, clientId, clientSecret, scope, redirectUri }
+ */
+export const getOAuthProvider = (name) => {
+    const providerName = String(name || '').toLowerCase();
+    if (!getEnabledProviderNames().includes(providerName)) {
+        return null;
+    }
+
+    const issuer = readProviderEnv(providerName, 'ISSUER');
+    const clientId = readProviderEnv(providerName, 'CLIENT_ID');
+    if (!issuer || !clientId) {
+        console.warn(`第三方登录提供方 ${providerName} 缺少ISSUER或CLIENT_ID配置，已忽略`);
+        return null;
+    }
+
+    return {
+        name: providerName,
+        displayName: readProviderEnv(providerName, 'DISPLAY_NAME') || providerName,
+        issuer: issuer.replace(/\/+$/, ''),
+        clientId,
+        clientSecret: readProviderEnv(providerName, 'CLIENT_SECRET') || null,
+        scope: readProviderEnv(providerName, 'SCOPE') || 'openid email profile',
+        redirectUri: readProviderEnv(providerName, 'REDIRECT_URI') || getDefaultRedirectUri(providerName)
+    };
+};
+
+/**
+ * 获取所有可用的提供方（只包含可以公开给前端的信息）
+ * @returns {Array} - [{ name, displayName }]
+ */
+export const listOAuthProviders = () => getEnabledProviderNames()
+    .map(getOAuthProvider)
+    .filter(Boolean)
+    .map(({ name, displayName }) => ({ name, displayName }));
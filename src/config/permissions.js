@@ -0,0 +1,64 @@
+/**
+ * 角色权限配置
+ *
+ * 每个角色拥有一组权限，authorize中间件既可以按角色也可以按权限校验
+ * 普通用户在第一次创建小说时自动成为作者
+ */
+
+// 权限列表
+export const PERMISSIONS = {
+    NOVELS_CREATE: 'novels:create',     // 创建小说（成为作者的入口）
+    NOVELS_WRITE: 'novels:write',       // 管理自己的小说
+    CHAPTERS_WRITE: 'chapters:write',   // 管理自己小说的章节
+    ADMIN_STATS: 'admin:stats',         // 修复统计数据等管理操作
+    ADMIN_SECURITY: 'admin:security'    // 查看所有用户的安全记录
+};
+
+// 角色对应的权限，'*' 表示拥有全部权限
+export const ROLE_PERMISSIONS = {
+    user: [
+        PERMISSIONS.NOVELS_CREATE
+    ],
+    author: [
+        PERMISSIONS.NOVELS_CREATE,
+        PERMISSIONS.NOVELS_WRITE,
+        PERMISSIONS.CHAPTERS_WRITE
+    ],
+    admin: ['*']
+};
+
+/**
+ * 判断角色是否拥有某个权限
+ * @param {string} role - 用户角色
+ * @param {string} permission - 权限名称
+ * @returns {boolean}
+ */
+export const roleHasPermission = (role, permission) => {
+    const permissions = ROLE_PERMISSIONS[role] || [];
+    return permissions.includes('*') || permissions.includes(permission);
+};
+
+// API Key可以申请的授权范围
+export const API_KEY_SCOPES = {
+    READ: 'read',                                   // 读取数据（GET请求）
+    NOVELS_WRITE: PERMISSIONS.NOVELS_WRITE,         // 创建和管理小说
+    CHAPTERS_WRITE: PERMISSIONS.CHAPTERS_WRITE      // 管理章节
+};
+
+// 权限对应的API Key授权范围，不在此表中的权限（如管理操作）不能通过API Key获得
+const API_KEY_SCOPE_FOR_PERMISSION = {
+    [PERMISSIONS.NOVELS_CREATE]: API_KEY_SCOPES.NOVELS_WRITE,
+    [PERMISSIONS.NOVELS_WRITE]: API_KEY_SCOPES.NOVELS_WRITE,
+    [PERMISSIONS.CHAPTERS_WRITE]: API_KEY_SCOPES.CHAPTERS_WRITE
+};
+
+/**
+ * 判断API Key的授权范围是否允许某个权限
+ * @param {Array} scopes - API Key的授权范围
+ * @param {string} permission - 权限名称
+ * @returns {boolean}
+ */
+export const apiKeyScopesAllow = (scopes, permission) => {
+    const scope = API_KEY_SCOPE_FOR_PERMISSION[permission];
+    return !!scope && scopes.includes(scope);
+};
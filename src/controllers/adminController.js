@@ -0,0 +1,101 @@
+import { SecurityEvent } from '../models/index.js';
+import { SECURITY_EVENT_TYPES } from '../models/securityEvent.js';
+import mongoose from 'mongoose';
+
+/**
+ * 管理员控制器 - 处理后台管理相关的API请求
+ */
+
+// 解析日期参数，无效时返回null
+const parseDate = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+// 查询安全记录，支持按用户、事件类型、结果和时间范围筛选
+export const getSecurityEvents = async (req, res) => {
+    try {
+        const { userId, type, outcome, identifier, ip, from, to, limit = 50, page = 1 } = req.query;
+        
+        const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+        const currentPage = Math.max(parseInt(page) || 1, 1);
+        
+        const query = {};
+        
+        if (userId) {
+            if (!mongoose.Types.ObjectId.isValid(userId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: '无效的用户ID'
+                });
+            }
+            query.user = userId;
+        }
+        
+        if (type) {
+            const types = String(type).split(',');
+            const invalidTypes = types.filter(t => !SECURITY_EVENT_TYPES.includes(t));
+            if (invalidTypes.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `无效的事件类型: ${invalidTypes.join(', ')}`
+                });
+            }
+            query.type = { $in: types };
+        }
+        
+        if (outcome) {
+            if (!['success', 'failure'].includes(outcome)) {
+                return res.status(400).json({
+                    success: false,
+                    message: '结果只能是 success 或 failure'
+                });
+            }
+            query.outcome = outcome;
+        }
+        
+        if (identifier) query.identifier = String(identifier).trim().toLowerCase();
+        if (ip) query.ipAddress = String(ip).trim();
+        
+        // 时间范围
+        const fromDate = parseDate(from);
+        const toDate = parseDate(to);
+        if ((from && !fromDate) || (to && !toDate)) {
+            return res.status(400).json({
+                success: false,
+                message: '无效的日期格式'
+            });
+        }
+        if (fromDate || toDate) {
+            query.createdAt = {};
+            if (fromDate) query.createdAt.$gte = fromDate;
+            if (toDate) query.createdAt.$lte = toDate;
+        }
+        
+        const [events, total] = await Promise.all([
+            SecurityEvent.find(query)
+                .sort({ createdAt: -1 })
+                .skip((currentPage - 1) * pageSize)
+                .limit(pageSize)
+                .populate('user', 'username email role')
+                .lean(),
+            SecurityEvent.countDocuments(query)
+        ]);
+        
+        return res.status(200).json({
+            success: true,
+            count: events.length,
+            total,
+            totalPages: Math.ceil(total / pageSize),
+            currentPage,
+            data: events
+        });
+    } catch (error) {
+        console.error('查询安全记录失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
@@ -1,8 +1,28 @@
-import { User, Folder } from '../models/index.js';
+import { User, Folder, Session, LoginAttempt, OAuthState } from '../models/index.js';
 import jwt from 'jsonwebtoken';
-import nodemailer from 'nodemailer';
 import crypto from 'crypto';
 import dotenv from 'dotenv';
+import { getClientIp, getDeviceInfo } from '../utils/requestInfo.js';
+import { recordSecurityEvent } from '../utils/securityLog.js';
+import { generateSecret, verifyTOTP, buildOtpauthUri } from '../utils/totp.js';
+import {
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendUnlockEmail,
+    sendEmailChangedNotice
+} from '../utils/mailer.js';
+import { getOAuthProvider, listOAuthProviders } from '../config/oauthProviders.js';
+import { createAuthorizationRequest, exchangeAuthorizationCode, verifyIdToken } from '../utils/oidc.js';
+import {
+    wantsCookieAuth,
+    setAuthCookies,
+    clearAuthCookies,
+    getRefreshTokenFromRequest,
+    isCsrfValid,
+    setOAuthStateCookie,
+    clearOAuthStateCookie,
+    isOAuthStateCookieValid
+} from '../utils/authCookies.js';
 
 // 重新加载环境变量
 dotenv.config();
@@ -22,47 +42,24 @@ if (!process.env.JWT_SECRET || !process.env.MONGODB_URI) {
   console.error('警告: 缺少关键环境变量，应用可能无法正常工作!');
 }
 
-// 创建邮件发送器
-let transporter;
-try {
-    transporter = nodemailer.createTransport({
-        service: 'gmail',
-        auth: {
-            user: process.env.EMAIL_USERNAME,
-            pass: process.env.EMAIL_PASSWORD
-        },
-        debug: true, // 启用调试输出
-        logger: true // 启用日志记录
-    });
-    
-    // 打印环境变量（不显示完整密码）
-    console.log('邮件配置:', {
-        user: process.env.EMAIL_USERNAME,
-        passProvided: !!process.env.EMAIL_PASSWORD
-    });
-} catch (error) {
-    console.error('创建邮件发送器失败:', error);
-    // 创建一个假的发送器，避免程序崩溃
-    transporter = {
-        sendMail: async () => {
-            console.log('使用假邮件发送器，邮件未真正发送');
-            return { fake: true };
-        }
-    };
-}
+// 计算Token的SHA-256哈希值，数据库中只保存哈希
+const hashToken = (token) => crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
 
-// 生成访问Token和刷新Token
-const generateTokens = (userId) => {
+// 签发访问Token和刷新Token（都携带会话ID）
+const signTokens = (userId, sessionId) => {
     // 访问Token（短期）
     const accessToken = jwt.sign(
-        { id: userId },
+        { id: userId, sid: sessionId },
         process.env.JWT_SECRET,
         { expiresIn: process.env.JWT_EXPIRE }
     );
 
-    // 刷新Token（长期）
+    // 刷新Token（长期），jti保证每次轮换得到的Token都不同
     const refreshToken = jwt.sign(
-        { id: userId },
+        { id: userId, sid: sessionId, jti: crypto.randomBytes(16).toString('hex') },
         process.env.REFRESH_TOKEN_SECRET,
         { expiresIn: process.env.REFRESH_TOKEN_EXPIRE }
     );
@@ -70,65 +67,155 @@ const generateTokens = (userId) => {
     return { accessToken, refreshToken };
 };
 
-// 验证刷新Token
-const verifyRefreshToken = (token) => {
-    try {
-        return jwt.verify(token, process.env.REFRESH_TOKEN_SECRET);
-    } catch (error) {
-        return null;
+// 获取Token的过期时间
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+// 创建新会话（记录登录设备）并生成访问Token和刷新Token
+const generateTokens = async (userId, req) => {
+    const { userAgent, ipAddress, device } = getDeviceInfo(req);
+    const session = new Session({
+        user: userId,
+        userAgent,
+        device,
+        ipAddress,
+        lastIpAddress: ipAddress
+    });
+    const tokens = signTokens(userId, session._id);
+
+    session.refreshTokenHash = hashToken(tokens.refreshToken);
+    session.expiresAt = getTokenExpiry(tokens.refreshToken);
+    await session.save();
+
+    return tokens;
+};
+
+// 按认证模式返回Token：Cookie模式下写入httpOnly Cookie，响应体中只返回CSRF Token
+const deliverTokens = (req, res, tokens, useCookies = wantsCookieAuth(req)) => {
+    if (!useCookies) {
+        return tokens;
     }
+
+    const csrfToken = setAuthCookies(res, tokens);
+    return { authMode: 'cookie', csrfToken };
 };
 
-// 发送验证邮件（添加错误处理）
-const sendVerificationEmail = async (email, verificationToken, username) => {
-    try {
-        // 检查环境变量
-        if (!process.env.EMAIL_USERNAME || !process.env.EMAIL_PASSWORD) {
-            console.warn('邮件配置不完整，无法发送验证邮件');
-            return;
+// 两步验证挑战Token使用单独的密钥签名，不能被当作访问Token使用
+const getTwoFactorChallengeSecret = () => `${process.env.JWT_SECRET}:2fa-challenge`;
+const TWO_FACTOR_CHALLENGE_EXPIRE = '5m';
+
+// 两步验证连续失败次数上限及锁定时长
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const TWO_FACTOR_LOCK_MINUTES = 15;
+
+// 查询两步验证时需要额外选择的字段
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep +twoFactor.failedAttempts +twoFactor.lockedUntil';
+
+// 创建两步验证挑战响应（密码登录和第三方登录共用）
+const createTwoFactorChallenge = (user) => {
+    const challengeToken = jwt.sign(
+        { id: user._id, purpose: '2fa' },
+        getTwoFactorChallengeSecret(),
+        { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRE }
+    );
+
+    return {
+        success: true,
+        type: 'two_factor_required',
+        requiresTwoFactor: true,
+        challengeToken,
+        message: '请输入身份验证器中的验证码'
+    };
+};
+
+// 登录成功后返回给前端的用户信息
+const formatAuthUser = (user) => ({
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    isEmailVerified: user.isEmailVerified,
+    penName: user.penName,
+    avatar: user.avatar,
+    profile: user.profile
+});
+
+// 校验第二步验证（TOTP验证码或恢复码），成功时返回使用的方式
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+    if (code) {
+        const lastUsedStep = user.twoFactor.lastUsedStep ?? -1;
+        const step = verifyTOTP(user.twoFactor.secret, code, { lastUsedStep });
+        if (step !== null) {
+            user.twoFactor.lastUsedStep = step;
+            return 'totp';
         }
+        return null;
+    }
     
-        // 修改验证链接为前端验证页面
-        const frontendUrl = process.env.FRONTEND_URL || 'https://novel-reading-frontend.vercel.app/';
-        const verificationUrl = `${frontendUrl}/verify?token=${verificationToken}`;
-        
-        const mailOptions = {
-            from: process.env.EMAIL_USERNAME,
-            to: email,
-            subject: '请验证您的邮箱',
-            html: `
-                <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
-                    <h1 style="color: #333; text-align: center;">您好 ${username}！</h1>
-                    <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
-                        <p style="color: #666; font-size: 16px; line-height: 1.5;">感谢您注册我们的小说阅读网站。请点击下面的按钮验证您的邮箱：</p>
-                        <div style="text-align: center; margin: 30px 0;">
-                            <a href="${verificationUrl}" 
-                               style="background-color: #4f9eff; 
-                                      color: white; 
-                                      padding: 12px 30px; 
-                                      text-decoration: none; 
-                                      border-radius: 5px;
-                                      font-size: 16px;">
-                                验证邮箱
-                            </a>
-                        </div>
-                        <p style="color: #666; font-size: 14px;">此链接24小时内有效。</p>
-                        <p style="color: #999; font-size: 12px;">如果您没有注册账号，请忽略此邮件。</p>
-                    </div>
-                    <div style="text-align: center; margin-top: 20px; color: #999; font-size: 12px;">
-                        <p>这是一封自动发送的邮件，请勿直接回复。</p>
-                    </div>
-                </div>
-            `
-        };
+    if (recoveryCode && user.useRecoveryCode(recoveryCode)) {
+        return 'recovery_code';
+    }
+    
+    return null;
+};
+
+// 两步验证是否因连续失败被临时锁定
+const isTwoFactorLocked = (user) => {
+    return !!(user.twoFactor.lockedUntil && user.twoFactor.lockedUntil > Date.now());
+};
+
+// 记录一次两步验证失败，达到上限时锁定
+const recordTwoFactorFailure = async (user) => {
+    user.twoFactor.failedAttempts = (user.twoFactor.failedAttempts || 0) + 1;
+    
+    if (user.twoFactor.failedAttempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+        user.twoFactor.lockedUntil = new Date(Date.now() + TWO_FACTOR_LOCK_MINUTES * 60 * 1000);
+        user.twoFactor.failedAttempts = 0;
+        console.warn(`用户 ${user._id} 两步验证连续失败，锁定 ${TWO_FACTOR_LOCK_MINUTES} 分钟`);
+    }
     
-        console.log(`准备发送验证邮件到 ${email}`);
-        const result = await transporter.sendMail(mailOptions);
-        console.log('邮件发送结果:', result);
-        return result;
+    await user.save();
+};
+
+// 两步验证成功后清除失败记录
+const resetTwoFactorFailures = (user) => {
+    user.twoFactor.failedAttempts = 0;
+    user.twoFactor.lockedUntil = undefined;
+};
+
+// 登录保护：账号连续密码错误次数上限及锁定时长
+const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 10;
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 30;
+
+// 登录保护：超过免费尝试次数后开始指数退避（IP可能被多人共享，因此更宽松）
+const LOGIN_FREE_ATTEMPTS = {
+    identifier: 3,
+    ip: 10
+};
+
+// 获取登录失败记录的键
+const getLoginAttemptKeys = (identifier, req) => ({
+    identifier: `identifier:${String(identifier || '').trim().toLowerCase()}`,
+    ip: `ip:${getClientIp(req)}`
+});
+
+// 记录一次登录失败（登录标识和IP分别记录）
+const recordLoginFailure = async (keys) => {
+    try {
+        await Promise.all([
+            LoginAttempt.recordFailure(keys.identifier, LOGIN_FREE_ATTEMPTS.identifier),
+            LoginAttempt.recordFailure(keys.ip, LOGIN_FREE_ATTEMPTS.ip)
+        ]);
+    } catch (error) {
+        // 记录失败不影响登录响应
+        console.error('记录登录失败次数出错:', error);
+    }
+};
+
+// 验证刷新Token
+const verifyRefreshToken = (token) => {
+    try {
+        return jwt.verify(token, process.env.REFRESH_TOKEN_SECRET);
     } catch (error) {
-        console.error('发送验证邮件过程中出错:', error);
-        throw error;
+        return null;
     }
 };
 
@@ -214,16 +301,19 @@ export const register = async (req, res) => {
                 await user.save();
                 console.log('用户创建成功:', user._id);
                 
-                // 生成JWT令牌
-                const token = user.getSignedJwtToken();
+                // 与登录一样创建会话后签发Token，注册时的Token也能被退出登录和会话管理吊销
+                const tokens = await generateTokens(user._id, req);
+                const delivered = deliverTokens(req, res, tokens);
                 console.log('JWT令牌生成成功');
-                
-                // 首先发送成功响应，不设置cookie（避免expires错误）
+
+                // 首先发送成功响应
                 console.log('注册成功，返回201状态码');
                 res.status(201).json({
                     success: true,
                     message: '注册成功',
-                    token
+                    // token字段保留给旧版前端
+                    ...(delivered.accessToken ? { token: delivered.accessToken } : {}),
+                    ...delivered
                 });
                 
                 // 异步处理后续操作
@@ -300,6 +390,22 @@ export const login = async (req, res) => {
     try {
         const { identifier, password } = req.body;
 
+        // 同一登录标识或IP连续失败过多时，需要等待一段时间才能再次尝试
+        const attemptKeys = getLoginAttemptKeys(identifier, req);
+        const retryAfterMs = await LoginAttempt.getRetryAfter(Object.values(attemptKeys));
+        if (retryAfterMs > 0) {
+            const retryAfter = Math.ceil(retryAfterMs / 1000);
+            res.set('Retry-After', String(retryAfter));
+            recordSecurityEvent(req, { type: 'login', outcome: 'failure', reason: 'throttled', identifier });
+            const response = {
+                success: false,
+                type: 'locked',
+                retryAfter,
+                message: `登录尝试过于频繁，请 ${retryAfter} 秒后再试`
+            };
+            return res.status(429).json(response);
+        }
+
         // 查找用户 - 支持使用邮箱或用户名登录
         const user = await User.findOne({
             $or: [
@@ -310,6 +416,8 @@ export const login = async (req, res) => {
 
 
         if (!user) {
+            await recordLoginFailure(attemptKeys);
+            recordSecurityEvent(req, { type: 'login', outcome: 'failure', reason: 'not_found', identifier });
             const response = {
                 success: false,
                 type: 'not_found',
@@ -318,9 +426,59 @@ export const login = async (req, res) => {
             return res.status(401).json(response);
         }
 
+        // 账号被锁定时不再校验密码
+        if (user.isLocked()) {
+            const retryAfter = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000);
+            recordSecurityEvent(req, { type: 'login', user, outcome: 'failure', reason: 'locked', identifier });
+            const response = {
+                success: false,
+                type: 'locked',
+                retryAfter,
+                message: '密码错误次数过多，账号已被临时锁定，请稍后再试或通过邮件解锁'
+            };
+            return res.status(423).json(response);
+        }
+
         const isMatch = await user.comparePassword(password);
 
         if (!isMatch) {
+            await recordLoginFailure(attemptKeys);
+            
+            const locked = await user.registerFailedLogin(
+                LOGIN_MAX_FAILED_ATTEMPTS,
+                LOGIN_LOCK_MINUTES * 60 * 1000
+            );
+            
+            if (locked) {
+                recordSecurityEvent(req, {
+                    type: 'account_locked',
+                    user,
+                    reason: 'too_many_failed_logins',
+                    metadata: { lockMinutes: LOGIN_LOCK_MINUTES }
+                });
+                console.warn(`用户 ${user._id} 密码连续错误 ${LOGIN_MAX_FAILED_ATTEMPTS} 次，账号锁定 ${LOGIN_LOCK_MINUTES} 分钟`);
+                
+                // 后台发送解锁邮件
+                setTimeout(async () => {
+                    try {
+                        const unlockToken = user.generateUnlockToken();
+                        await user.save();
+                        await sendUnlockEmail(user.email, unlockToken, user.username, LOGIN_LOCK_MINUTES);
+                    } catch (emailError) {
+                        console.error('发送账号解锁邮件失败:', emailError);
+                    }
+                }, 0);
+                
+                const response = {
+                    success: false,
+                    type: 'locked',
+                    retryAfter: LOGIN_LOCK_MINUTES * 60,
+                    message: '密码错误次数过多，账号已被临时锁定，解锁邮件已发送到您的邮箱'
+                };
+                return res.status(423).json(response);
+            }
+            
+            recordSecurityEvent(req, { type: 'login', user, outcome: 'failure', reason: 'invalid_credentials', identifier });
             const response = {
                 success: false,
                 type: 'invalid_credentials',
@@ -329,7 +487,15 @@ export const login = async (req, res) => {
             return res.status(401).json(response);
         }
 
+        // 密码正确，清除失败记录
+        await LoginAttempt.reset(Object.values(attemptKeys));
+        if (user.failedLoginAttempts || user.lockUntil) {
+            user.resetLoginAttempts();
+            await user.save();
+        }
+
         if (!user.isEmailVerified) {
+            recordSecurityEvent(req, { type: 'login', user, outcome: 'failure', reason: 'unverified', identifier });
             const response = {
                 success: false,
                 type: 'unverified',
@@ -338,20 +504,19 @@ export const login = async (req, res) => {
             return res.status(401).json(response);
         }
 
-        const tokens = generateTokens(user._id);
+        // 开启了两步验证的账号先返回短期挑战Token，验证码通过后才签发Token
+        if (user.twoFactor && user.twoFactor.enabled) {
+            recordSecurityEvent(req, { type: 'login', user, reason: 'two_factor_required', identifier });
+            return res.json(createTwoFactorChallenge(user));
+        }
+
+        const tokens = await generateTokens(user._id, req);
+        recordSecurityEvent(req, { type: 'login', user, identifier });
 
         res.json({
             success: true,
-            ...tokens,
-            user: {
-                id: user._id,
-                username: user.username,
-                email: user.email,
-                isEmailVerified: user.isEmailVerified,
-                penName: user.penName,
-                avatar: user.avatar,
-                profile: user.profile
-            }
+            ...deliverTokens(req, res, tokens),
+            user: formatAuthUser(user)
         });
     } catch (error) {
         console.error('Login error:', error); // 添加日志
@@ -363,20 +528,63 @@ export const login = async (req, res) => {
     }
 };
 
-// 刷新Token
+// 刷新Token - 每次使用都会轮换，旧Token被重复使用时吊销整个会话
 export const refreshToken = async (req, res) => {
     try {
-        const { refreshToken } = req.body;
+        // 刷新Token可以来自请求体，也可以来自httpOnly Cookie（Cookie模式）
+        const { token: refreshToken, source } = getRefreshTokenFromRequest(req);
+
+        if (!refreshToken) {
+            return res.status(401).json({
+                success: false,
+                message: '缺少刷新Token，请重新登录'
+            });
+        }
+
+        if (source === 'cookie' && !isCsrfValid(req)) {
+            return res.status(403).json({
+                success: false,
+                type: 'csrf_failed',
+                message: '安全校验失败，请刷新页面后重试'
+            });
+        }
 
         // 验证刷新Token
         const decoded = verifyRefreshToken(refreshToken);
-        if (!decoded) {
+        if (!decoded || !decoded.sid) {
             return res.status(401).json({
                 success: false,
                 message: '刷新Token无效或已过期，请重新登录'
             });
         }
 
+        // 检查会话是否有效
+        const session = await Session.findById(decoded.sid);
+        if (!session || !session.isActive()) {
+            return res.status(401).json({
+                success: false,
+                message: '登录会话已失效，请重新登录'
+            });
+        }
+
+        // 已被轮换掉的Token再次出现，说明Token可能泄露，吊销整个会话
+        const oldHash = hashToken(refreshToken);
+        if (session.refreshTokenHash !== oldHash) {
+            console.warn(`检测到刷新Token重复使用，吊销会话 ${session._id}（用户 ${session.user}）`);
+            await session.revoke('reuse_detected');
+            recordSecurityEvent(req, {
+                type: 'token_reuse',
+                user: session.user,
+                outcome: 'failure',
+                metadata: { sessionId: session._id }
+            });
+            return res.status(401).json({
+                success: false,
+                type: 'token_reuse',
+                message: '检测到异常登录，请重新登录'
+            });
+        }
+
         // 检查用户是否存在
         const user = await User.findById(decoded.id);
         if (!user) {
@@ -386,12 +594,49 @@ export const refreshToken = async (req, res) => {
             });
         }
 
-        // 生成新的Token对
-        const tokens = generateTokens(user._id);
+        // 修改或重置密码后，之前签发的刷新Token全部失效
+        if (user.changedPasswordAfter(decoded.iat)) {
+            await session.revoke('password_reset');
+            return res.status(401).json({
+                success: false,
+                message: '密码已修改，请重新登录'
+            });
+        }
+
+        // 生成新的Token对，并原子地替换会话中的刷新Token
+        const tokens = signTokens(user._id, session._id);
+        const rotated = await Session.rotate(
+            session._id,
+            oldHash,
+            hashToken(tokens.refreshToken),
+            getTokenExpiry(tokens.refreshToken),
+            getClientIp(req)
+        );
+
+        // 并发请求已经使用过该Token，按重复使用处理
+        if (!rotated) {
+            console.warn(`刷新Token在轮换过程中被重复使用，吊销会话 ${session._id}`);
+            recordSecurityEvent(req, {
+                type: 'token_reuse',
+                user: session.user,
+                outcome: 'failure',
+                reason: 'concurrent_rotation',
+                metadata: { sessionId: session._id }
+            });
+            await Session.updateOne(
+                { _id: session._id, revokedAt: null },
+                { $set: { revokedAt: new Date(), revokedReason: 'reuse_detected' } }
+            );
+            return res.status(401).json({
+                success: false,
+                type: 'token_reuse',
+                message: '检测到异常登录，请重新登录'
+            });
+        }
 
         res.json({
             success: true,
-            ...tokens,
+            ...deliverTokens(req, res, tokens, source === 'cookie' || wantsCookieAuth(req)),
             user: {
                 id: user._id,
                 username: user.username,
@@ -403,6 +648,7 @@ export const refreshToken = async (req, res) => {
             }
         });
     } catch (error) {
+        console.error('刷新Token失败:', error);
         res.status(401).json({
             success: false,
             message: '刷新Token失败，请重新登录'
@@ -410,6 +656,65 @@ export const refreshToken = async (req, res) => {
     }
 };
 
+// 退出登录 - 吊销当前刷新Token所属的会话
+export const logout = async (req, res) => {
+    try {
+        const { token: refreshToken, source } = getRefreshTokenFromRequest(req);
+
+        if (source === 'cookie' && !isCsrfValid(req)) {
+            return res.status(403).json({
+                success: false,
+                type: 'csrf_failed',
+                message: '安全校验失败，请刷新页面后重试'
+            });
+        }
+
+        const decoded = refreshToken ? verifyRefreshToken(refreshToken) : null;
+        if (decoded && decoded.sid) {
+            const session = await Session.findById(decoded.sid);
+            if (session) {
+                await session.revoke('logout');
+                console.log(`用户 ${session.user} 已退出会话 ${session._id}`);
+                recordSecurityEvent(req, { type: 'logout', user: session.user, metadata: { sessionId: session._id } });
+            }
+        }
+
+        // 无论Token是否有效都返回成功，客户端都应清除本地Token
+        clearAuthCookies(res);
+        res.json({
+            success: true,
+            message: '已退出登录'
+        });
+    } catch (error) {
+        console.error('退出登录失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '退出登录失败，请稍后重试'
+        });
+    }
+};
+
+// 退出所有设备 - 吊销当前用户的所有会话
+export const logoutAll = async (req, res) => {
+    try {
+        const count = await Session.revokeAllForUser(req.user._id, 'logout_all');
+        recordSecurityEvent(req, { type: 'logout_all', user: req.user, metadata: { revokedSessions: count } });
+
+        clearAuthCookies(res);
+        res.json({
+            success: true,
+            message: '已退出所有设备',
+            data: { revokedSessions: count }
+        });
+    } catch (error) {
+        console.error('退出所有设备失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '退出所有设备失败，请稍后重试'
+        });
+    }
+};
+
 // 验证邮箱
 export const verifyEmail = async (req, res) => {
     console.log('===== 开始处理邮箱验证请求 =====');
@@ -460,16 +765,17 @@ export const verifyEmail = async (req, res) => {
         console.log('保存更新后的用户信息...');
         await user.save();
         console.log('用户信息已更新，验证状态:', user.isEmailVerified);
+        recordSecurityEvent(req, { type: 'email_verify', user });
 
         // 生成登录token
-        const tokens = generateTokens(user._id);
+        const tokens = await generateTokens(user._id, req);
         console.log('已生成新的访问令牌');
 
         console.log('===== 邮箱验证成功完成 =====');
         res.json({
             success: true,
             message: '邮箱验证成功',
-            ...tokens,
+            ...deliverTokens(req, res, tokens),
             user: {
                 id: user._id,
                 username: user.username,
@@ -488,4 +794,955 @@ export const verifyEmail = async (req, res) => {
             message: error.message || '验证过程中出错，请稍后重试'
         });
     }
-}; 
\ No newline at end of file
+};
+
+// 重发验证邮件的最短间隔
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// 重新发送邮箱验证邮件
+export const resendVerification = async (req, res) => {
+    // 无论邮箱是否存在、是否已验证都返回相同的响应，避免泄露账号信息
+    const genericResponse = {
+        success: true,
+        message: '如果该邮箱已注册且尚未验证，我们已重新发送了验证邮件'
+    };
+    
+    try {
+        const { email } = req.body;
+        
+        if (!email || typeof email !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: '请提供邮箱地址'
+            });
+        }
+        
+        const user = await User.findOne({ email: email.trim().toLowerCase() });
+        
+        // 先返回响应，邮件在后台发送
+        res.json(genericResponse);
+        
+        if (!user || user.isEmailVerified) {
+            console.log('重发验证邮件：用户不存在或邮箱已验证');
+            return;
+        }
+        
+        // 同一账号短时间内只发送一次
+        if (user.emailVerificationSentAt &&
+            Date.now() - user.emailVerificationSentAt.getTime() < VERIFICATION_RESEND_COOLDOWN_MS) {
+            console.log(`用户 ${user._id} 重发验证邮件过于频繁，已忽略`);
+            return;
+        }
+        
+        setTimeout(async () => {
+            try {
+                // 生成新的验证令牌，旧链接随之失效
+                const verificationToken = user.generateEmailVerificationToken();
+                await user.save();
+                
+                await sendVerificationEmail(user.email, verificationToken, user.username);
+                console.log(`用户 ${user._id} 的验证邮件已重新发送`);
+            } catch (asyncError) {
+                console.error('重发验证邮件时出错:', asyncError);
+            }
+        }, 0);
+    } catch (error) {
+        console.error('重发验证邮件处理失败:', error);
+        if (!res.headersSent) {
+            res.json(genericResponse);
+        }
+    }
+};
+
+// 确认更换邮箱
+export const confirmEmailChange = async (req, res) => {
+    try {
+        const { token } = req.params;
+        
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: '验证链接无效，缺少令牌'
+            });
+        }
+        
+        // 创建哈希令牌
+        const hashedToken = crypto
+            .createHash('sha256')
+            .update(token)
+            .digest('hex');
+        
+        const user = await User.findOne({
+            pendingEmailToken: hashedToken,
+            pendingEmailExpires: { $gt: Date.now() }
+        });
+        
+        if (!user || !user.pendingEmail) {
+            return res.status(400).json({
+                success: false,
+                message: '验证链接无效或已过期'
+            });
+        }
+        
+        // 申请之后新邮箱可能已被其他账号注册
+        const existingUser = await User.findOne({ email: user.pendingEmail, _id: { $ne: user._id } });
+        if (existingUser) {
+            user.pendingEmail = undefined;
+            user.pendingEmailToken = undefined;
+            user.pendingEmailExpires = undefined;
+            await user.save();
+            
+            return res.status(400).json({
+                success: false,
+                message: '该邮箱已被注册，请重新申请更换'
+            });
+        }
+        
+        const oldEmail = user.email;
+        
+        // 新邮箱已通过验证，替换当前邮箱
+        user.email = user.pendingEmail;
+        user.isEmailVerified = true;
+        user.pendingEmail = undefined;
+        user.pendingEmailToken = undefined;
+        user.pendingEmailExpires = undefined;
+        await user.save();
+        
+        console.log(`用户 ${user._id} 已更换邮箱`);
+        recordSecurityEvent(req, { type: 'email_change', user, metadata: { oldEmail, newEmail: user.email } });
+        
+        res.json({
+            success: true,
+            message: '邮箱更换成功'
+        });
+        
+        // 后台通知原邮箱
+        setTimeout(async () => {
+            try {
+                await sendEmailChangedNotice(oldEmail, user.email, user.username);
+            } catch (emailError) {
+                console.error('发送邮箱变更通知失败:', emailError);
+            }
+        }, 0);
+    } catch (error) {
+        console.error('确认更换邮箱失败:', error);
+        res.status(400).json({
+            success: false,
+            message: '邮箱更换失败，请稍后重试'
+        });
+    }
+};
+
+// 忘记密码 - 发送重置邮件
+export const forgotPassword = async (req, res) => {
+    // 无论邮箱是否存在都返回相同的响应，避免泄露账号信息
+    const genericResponse = {
+        success: true,
+        message: '如果该邮箱已注册，我们已向其发送了重置密码的邮件'
+    };
+    
+    try {
+        const { email } = req.body;
+        
+        if (!email || typeof email !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: '请提供邮箱地址'
+            });
+        }
+        
+        const user = await User.findOne({ email: email.trim().toLowerCase() });
+        
+        // 先返回响应，邮件在后台发送，避免通过响应时间判断邮箱是否存在
+        res.json(genericResponse);
+        
+        if (!user) {
+            console.log('忘记密码：未找到对应邮箱的用户');
+            recordSecurityEvent(req, { type: 'password_reset_request', outcome: 'failure', reason: 'not_found', identifier: email });
+            return;
+        }
+        
+        recordSecurityEvent(req, { type: 'password_reset_request', user });
+        
+        setTimeout(async () => {
+            try {
+                // 生成重置令牌并保存哈希值
+                const resetToken = user.generatePasswordResetToken();
+                await user.save();
+                console.log(`用户 ${user._id} 的密码重置令牌已生成`);
+                
+                await sendPasswordResetEmail(user.email, resetToken, user.username);
+                console.log('密码重置邮件已发送');
+            } catch (asyncError) {
+                console.error('处理忘记密码请求时出错:', asyncError);
+            }
+        }, 0);
+    } catch (error) {
+        console.error('忘记密码处理失败:', error);
+        if (!res.headersSent) {
+            res.json(genericResponse);
+        }
+    }
+};
+
+// 重置密码
+export const resetPassword = async (req, res) => {
+    try {
+        const { token } = req.params;
+        const { password, confirmPassword } = req.body;
+        
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: '重置链接无效，缺少令牌'
+            });
+        }
+        
+        if (!password) {
+            return res.status(400).json({
+                success: false,
+                message: '请提供新密码'
+            });
+        }
+        
+        // 验证密码匹配（如果提供了confirmPassword字段）
+        if (confirmPassword && password !== confirmPassword) {
+            return res.status(400).json({
+                success: false,
+                message: '两次输入的密码不匹配'
+            });
+        }
+        
+        // 验证密码长度
+        if (password.length < 6) {
+            return res.status(400).json({
+                success: false,
+                message: '密码长度至少为6个字符'
+            });
+        }
+        
+        // 创建哈希令牌
+        const hashedToken = crypto
+            .createHash('sha256')
+            .update(token)
+            .digest('hex');
+        
+        // 查找令牌有效的用户
+        const user = await User.findOne({
+            passwordResetToken: hashedToken,
+            passwordResetExpires: { $gt: Date.now() }
+        }).select('+password');
+        
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: '重置链接无效或已过期'
+            });
+        }
+        
+        // 更新密码并清除重置令牌（pre save钩子会记录passwordChangedAt）
+        user.password = password;
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        user.passwordSet = true;
+        // 通过邮件重置密码后同时解除账号锁定
+        user.resetLoginAttempts();
+        await user.save();
+        
+        // 吊销所有已登录的会话，旧的刷新Token全部失效
+        await Session.revokeAllForUser(user._id, 'password_reset');
+        
+        console.log(`用户 ${user._id} 已重置密码`);
+        recordSecurityEvent(req, { type: 'password_reset', user });
+        
+        res.json({
+            success: true,
+            message: '密码重置成功，请使用新密码登录'
+        });
+    } catch (error) {
+        console.error('重置密码失败:', error);
+        res.status(400).json({
+            success: false,
+            message: '重置密码失败，请稍后重试'
+        });
+    }
+};
+
+// 登录第二步 - 校验两步验证码并签发Token
+export const verifyTwoFactorLogin = async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+        
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return res.status(400).json({
+                success: false,
+                message: '请提供验证码或恢复码'
+            });
+        }
+        
+        // 验证挑战Token
+        let decoded;
+        try {
+            decoded = jwt.verify(challengeToken, getTwoFactorChallengeSecret());
+        } catch (error) {
+            decoded = null;
+        }
+        
+        if (!decoded || decoded.purpose !== '2fa') {
+            return res.status(401).json({
+                success: false,
+                type: 'challenge_expired',
+                message: '验证已过期，请重新登录'
+            });
+        }
+        
+        const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+        if (!user || !user.twoFactor.enabled) {
+            return res.status(401).json({
+                success: false,
+                type: 'challenge_expired',
+                message: '验证已过期，请重新登录'
+            });
+        }
+        
+        if (isTwoFactorLocked(user)) {
+            recordSecurityEvent(req, { type: 'login_2fa', user, outcome: 'failure', reason: 'locked' });
+            return res.status(429).json({
+                success: false,
+                type: 'locked',
+                message: '验证失败次数过多，请稍后再试'
+            });
+        }
+        
+        const method = verifySecondFactor(user, { code, recoveryCode });
+        if (!method) {
+            await recordTwoFactorFailure(user);
+            recordSecurityEvent(req, { type: 'login_2fa', user, outcome: 'failure', reason: 'invalid_code' });
+            return res.status(401).json({
+                success: false,
+                type: 'invalid_code',
+                message: '验证码不正确'
+            });
+        }
+        
+        resetTwoFactorFailures(user);
+        await user.save();
+        
+        const tokens = await generateTokens(user._id, req);
+        recordSecurityEvent(req, { type: 'login_2fa', user, metadata: { method } });
+        
+        res.json({
+            success: true,
+            ...deliverTokens(req, res, tokens),
+            user: formatAuthUser(user),
+            // 使用恢复码登录时提示剩余数量
+            recoveryCodesRemaining: method === 'recovery_code' ? user.twoFactor.recoveryCodes.length : undefined
+        });
+    } catch (error) {
+        console.error('两步验证登录失败:', error);
+        res.status(400).json({
+            success: false,
+            type: 'error',
+            message: '登录处理失败，请稍后重试'
+        });
+    }
+};
+
+// 获取两步验证状态
+export const getTwoFactorStatus = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
+        
+        res.json({
+            success: true,
+            data: {
+                enabled: !!user.twoFactor.enabled,
+                enabledAt: user.twoFactor.enabledAt || null,
+                recoveryCodesRemaining: user.twoFactor.enabled ? (user.twoFactor.recoveryCodes || []).length : 0
+            }
+        });
+    } catch (error) {
+        console.error('获取两步验证状态失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 开始绑定两步验证 - 生成密钥和otpauth链接
+export const setupTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+        
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: '已开启两步验证，如需更换请先关闭'
+            });
+        }
+        
+        const secret = generateSecret();
+        user.twoFactor.pendingSecret = secret;
+        await user.save();
+        
+        const issuer = process.env.TOTP_ISSUER || 'ElfNovel';
+        
+        res.json({
+            success: true,
+            message: '请使用身份验证器扫描二维码，并输入验证码完成绑定',
+            data: {
+                secret,
+                otpauthUrl: buildOtpauthUri({ secret, accountName: user.email, issuer })
+            }
+        });
+    } catch (error) {
+        console.error('生成两步验证密钥失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 确认绑定两步验证 - 校验验证码并生成恢复码
+export const enableTwoFactor = async (req, res) => {
+    try {
+        const { code } = req.body;
+        
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: '请提供验证码'
+            });
+        }
+        
+        const user = await User.findById(req.user.id).select(`${TWO_FACTOR_FIELDS} +twoFactor.pendingSecret`);
+        
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: '已开启两步验证'
+            });
+        }
+        
+        if (!user.twoFactor.pendingSecret) {
+            return res.status(400).json({
+                success: false,
+                message: '请先生成两步验证密钥'
+            });
+        }
+        
+        const step = verifyTOTP(user.twoFactor.pendingSecret, code);
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                type: 'invalid_code',
+                message: '验证码不正确，请确认身份验证器中的时间是否准确'
+            });
+        }
+        
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.lastUsedStep = step;
+        user.twoFactor.enabled = true;
+        user.twoFactor.enabledAt = new Date();
+        resetTwoFactorFailures(user);
+        const recoveryCodes = user.generateRecoveryCodes();
+        await user.save();
+        
+        console.log(`用户 ${user._id} 已开启两步验证`);
+        recordSecurityEvent(req, { type: 'two_factor_enable', user });
+        
+        res.json({
+            success: true,
+            message: '两步验证已开启，请妥善保存恢复码，它们只会显示这一次',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        console.error('开启两步验证失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 关闭两步验证 - 需要密码和验证码（或恢复码）
+export const disableTwoFactor = async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+        
+        if (!password || (!code && !recoveryCode)) {
+            return res.status(400).json({
+                success: false,
+                message: '请提供密码和验证码'
+            });
+        }
+        
+        const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+        
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: '尚未开启两步验证'
+            });
+        }
+        
+        if (isTwoFactorLocked(user)) {
+            return res.status(429).json({
+                success: false,
+                type: 'locked',
+                message: '验证失败次数过多，请稍后再试'
+            });
+        }
+        
+        const isMatch = await user.comparePassword(password);
+        if (!isMatch) {
+            return res.status(400).json({
+                success: false,
+                type: 'invalid_credentials',
+                message: '密码错误'
+            });
+        }
+        
+        if (!verifySecondFactor(user, { code, recoveryCode })) {
+            await recordTwoFactorFailure(user);
+            return res.status(400).json({
+                success: false,
+                type: 'invalid_code',
+                message: '验证码不正确'
+            });
+        }
+        
+        user.twoFactor.enabled = false;
+        user.twoFactor.secret = undefined;
+        user.twoFactor.recoveryCodes = undefined;
+        user.twoFactor.lastUsedStep = undefined;
+        user.twoFactor.enabledAt = undefined;
+        resetTwoFactorFailures(user);
+        await user.save();
+        
+        console.log(`用户 ${user._id} 已关闭两步验证`);
+        recordSecurityEvent(req, { type: 'two_factor_disable', user });
+        
+        res.json({
+            success: true,
+            message: '两步验证已关闭'
+        });
+    } catch (error) {
+        console.error('关闭两步验证失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 重新生成恢复码 - 旧的恢复码全部作废
+export const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const { code } = req.body;
+        
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: '请提供验证码'
+            });
+        }
+        
+        const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+        
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: '尚未开启两步验证'
+            });
+        }
+        
+        if (isTwoFactorLocked(user)) {
+            return res.status(429).json({
+                success: false,
+                type: 'locked',
+                message: '验证失败次数过多，请稍后再试'
+            });
+        }
+        
+        if (!verifySecondFactor(user, { code })) {
+            await recordTwoFactorFailure(user);
+            return res.status(400).json({
+                success: false,
+                type: 'invalid_code',
+                message: '验证码不正确'
+            });
+        }
+        
+        resetTwoFactorFailures(user);
+        const recoveryCodes = user.generateRecoveryCodes();
+        await user.save();
+        recordSecurityEvent(req, { type: 'recovery_codes_regenerate', user });
+        
+        res.json({
+            success: true,
+            message: '已生成新的恢复码，旧的恢复码已失效',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        console.error('重新生成恢复码失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 通过邮件中的链接解锁账号
+export const unlockAccount = async (req, res) => {
+    try {
+        const { token } = req.params;
+        
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: '解锁链接无效，缺少令牌'
+            });
+        }
+        
+        // 创建哈希令牌
+        const hashedToken = crypto
+            .createHash('sha256')
+            .update(token)
+            .digest('hex');
+        
+        const user = await User.findOne({
+            unlockToken: hashedToken,
+            unlockTokenExpires: { $gt: Date.now() }
+        });
+        
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: '解锁链接无效或已过期'
+            });
+        }
+        
+        user.resetLoginAttempts();
+        await user.save();
+        
+        // 同时清除该账号登录标识上的退避记录
+        await LoginAttempt.reset([
+            `identifier:${user.email}`,
+            `identifier:${user.username.toLowerCase()}`
+        ]);
+        
+        console.log(`用户 ${user._id} 已通过邮件解锁账号`);
+        recordSecurityEvent(req, { type: 'account_unlock', user });
+        
+        res.json({
+            success: true,
+            message: '账号已解锁，请重新登录'
+        });
+    } catch (error) {
+        console.error('解锁账号失败:', error);
+        res.status(400).json({
+            success: false,
+            message: '解锁账号失败，请稍后重试'
+        });
+    }
+};
+
+// 根据第三方账号信息生成一个可用的用户名
+const generateUsernameFromClaims = async (claims) => {
+    const candidates = [claims.preferred_username, claims.name, claims.nickname, claims.email && claims.email.split('@')[0]];
+    let base = candidates
+        .filter(Boolean)
+        .map(value => String(value).replace(/[^\w\u4e00-\u9fa5]/g, '').slice(0, 14))
+        .find(value => value.length >= 2 && !/^\d+$/.test(value)) || 'reader';
+    
+    if (!await User.exists({ username: base })) {
+        return base;
+    }
+    
+    // 用户名已被占用时追加随机数字
+    for (let i = 0; i < 5; i++) {
+        const username = `${base}_${crypto.randomInt(1000, 100000)}`;
+        if (!await User.exists({ username })) {
+            return username;
+        }
+    }
+    
+    return `reader_${crypto.randomBytes(6).toString('hex')}`;
+};
+
+// 从ID Token中提取第三方身份信息
+const getIdentityFromClaims = (providerName, claims) => ({
+    provider: providerName,
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).trim().toLowerCase() : undefined,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || claims.preferred_username || undefined
+});
+
+// 获取可用的第三方登录提供方
+export const getOAuthProviders = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: listOAuthProviders()
+        });
+    } catch (error) {
+        console.error('获取第三方登录提供方失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 第三方登录第一步 - 生成授权链接，前端跳转到提供方进行授权
+export const startOAuthLogin = async (req, res) => {
+    try {
+        const provider = getOAuthProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({
+                success: false,
+                message: '不支持该登录方式'
+            });
+        }
+        
+        const { state, nonce, codeVerifier, authorizationUrl } = await createAuthorizationRequest(provider);
+        await OAuthState.createForProvider({
+            state,
+            provider: provider.name,
+            intent: 'login',
+            codeVerifier,
+            nonce
+        });
+        setOAuthStateCookie(res, state);
+        
+        res.json({
+            success: true,
+            authorizationUrl
+        });
+    } catch (error) {
+        console.error('创建第三方登录请求失败:', error);
+        res.status(502).json({
+            success: false,
+            type: 'oauth_failed',
+            message: '暂时无法连接到第三方登录服务，请稍后重试'
+        });
+    }
+};
+
+// 第三方登录第二步 - 提供方回调后，前端提交code和state完成登录或绑定
+export const oauthCallback = async (req, res) => {
+    try {
+        const provider = getOAuthProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({
+                success: false,
+                message: '不支持该登录方式'
+            });
+        }
+        
+        const { code, state, error } = req.body;
+        
+        // 用户在提供方拒绝了授权
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                type: 'oauth_denied',
+                message: '授权已取消'
+            });
+        }
+        
+        if (!code || !state) {
+            return res.status(400).json({
+                success: false,
+                message: '缺少授权码或state参数'
+            });
+        }
+        
+        // state必须由当前浏览器发起，防止攻击者把自己的回调链接交给他人完成登录
+        if (!isOAuthStateCookieValid(req, String(state))) {
+            return res.status(400).json({
+                success: false,
+                type: 'invalid_state',
+                message: '授权请求无效或已过期，请重新登录'
+            });
+        }
+        clearOAuthStateCookie(res);
+        
+        // state只能使用一次
+        const authState = await OAuthState.consume(String(state), provider.name);
+        if (!authState) {
+            return res.status(400).json({
+                success: false,
+                type: 'invalid_state',
+                message: '授权请求无效或已过期，请重新登录'
+            });
+        }
+        
+        // 用授权码换取Token并校验ID Token
+        let claims;
+        try {
+            const tokenResponse = await exchangeAuthorizationCode(provider, {
+                code: String(code),
+                codeVerifier: authState.codeVerifier
+            });
+            claims = await verifyIdToken(provider, tokenResponse.id_token, { nonce: authState.nonce });
+        } catch (oauthError) {
+            console.error('第三方登录授权码校验失败:', oauthError);
+            recordSecurityEvent(req, {
+                type: 'oauth_login',
+                user: authState.user,
+                outcome: 'failure',
+                reason: 'oauth_failed',
+                metadata: { provider: provider.name }
+            });
+            return res.status(400).json({
+                success: false,
+                type: 'oauth_failed',
+                message: '第三方登录失败，请重新登录'
+            });
+        }
+        
+        const identity = getIdentityFromClaims(provider.name, claims);
+        const identityOwner = await User.findOne({
+            identities: { $elemMatch: { provider: identity.provider, subject: identity.subject } }
+        });
+        
+        // 绑定到已登录的账号
+        if (authState.intent === 'link') {
+            const user = await User.findById(authState.user);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: '未找到用户'
+                });
+            }
+            
+            if (identityOwner && !identityOwner._id.equals(user._id)) {
+                return res.status(409).json({
+                    success: false,
+                    type: 'identity_in_use',
+                    message: '该第三方账号已绑定其他用户'
+                });
+            }
+            
+            const linked = user.findIdentity(identity.provider);
+            if (linked && linked.subject !== identity.subject) {
+                return res.status(409).json({
+                    success: false,
+                    type: 'provider_already_linked',
+                    message: '您已绑定了该平台的其他账号，请先解绑'
+                });
+            }
+            
+            if (!linked) {
+                user.identities.push(identity);
+                await user.save();
+                console.log(`用户 ${user._id} 绑定了第三方账号 ${identity.provider}`);
+                recordSecurityEvent(req, { type: 'identity_link', user, metadata: { provider: identity.provider } });
+            }
+            
+            return res.json({
+                success: true,
+                type: 'linked',
+                message: '绑定成功',
+                identities: user.getLinkedIdentities()
+            });
+        }
+        
+        let user = identityOwner;
+        let isNewUser = false;
+        
+        if (user) {
+            const linked = user.findIdentity(identity.provider);
+            linked.lastLoginAt = new Date();
+            if (identity.email) linked.email = identity.email;
+            if (identity.name) linked.name = identity.name;
+            linked.emailVerified = identity.emailVerified;
+            await user.save();
+        } else {
+            if (!identity.email) {
+                return res.status(400).json({
+                    success: false,
+                    type: 'email_required',
+                    message: '第三方账号没有提供邮箱，无法创建账号'
+                });
+            }
+            
+            // 提供方未验证的邮箱不能用于创建账号，否则可以绕过邮箱验证并占用他人的邮箱
+            if (!identity.emailVerified) {
+                return res.status(400).json({
+                    success: false,
+                    type: 'email_unverified',
+                    message: '第三方账号的邮箱尚未验证，请先在该平台验证邮箱，或使用邮箱注册'
+                });
+            }
+            
+            // 不自动绑定同邮箱的已有账号，避免通过第三方平台接管他人账号
+            if (await User.exists({ email: identity.email })) {
+                return res.status(409).json({
+                    success: false,
+                    type: 'account_exists',
+                    message: '该邮箱已注册，请使用密码登录后在个人中心绑定第三方账号'
+                });
+            }
+            
+            user = new User({
+                username: await generateUsernameFromClaims(claims),
+                email: identity.email,
+                // 随机密码，用户之后可以在个人中心设置自己的密码
+                password: crypto.randomBytes(32).toString('hex'),
+                passwordSet: false,
+                isEmailVerified: true,
+                identities: [{ ...identity, lastLoginAt: new Date() }]
+            });
+            if (claims.picture) user.avatar = claims.picture;
+            await user.save();
+            isNewUser = true;
+            
+            console.log(`通过第三方账号 ${identity.provider} 创建了新用户 ${user._id}`);
+            
+            // 创建默认文件夹
+            setTimeout(async () => {
+                try {
+                    if (Folder && typeof Folder.createDefaultFolder === 'function') {
+                        await Folder.createDefaultFolder(user._id);
+                    }
+                } catch (folderError) {
+                    console.error('创建默认文件夹失败:', folderError);
+                }
+            }, 0);
+        }
+        
+        // 开启了两步验证的账号同样需要第二步验证
+        if (user.twoFactor && user.twoFactor.enabled) {
+            recordSecurityEvent(req, {
+                type: 'oauth_login',
+                user,
+                reason: 'two_factor_required',
+                metadata: { provider: provider.name }
+            });
+            return res.json(createTwoFactorChallenge(user));
+        }
+        
+        const tokens = await generateTokens(user._id, req);
+        recordSecurityEvent(req, { type: 'oauth_login', user, metadata: { provider: provider.name, isNewUser } });
+        
+        res.json({
+            success: true,
+            ...deliverTokens(req, res, tokens),
+            isNewUser,
+            user: formatAuthUser(user)
+        });
+    } catch (error) {
+        console.error('第三方登录回调处理失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
@@ -1,6 +1,9 @@
-import { Novel, Chapter, User } from '../models/index.js';
+import { Novel, Chapter, User, Review, Volume, ChapterRevision, ReadingHistory, Comment } from '../models/index.js';
+import { PUBLISHED_CHAPTER_FILTER } from '../models/chapter.js';
 import mongoose from 'mongoose';
 import { uploadToCloudinary } from '../utils/cloudinaryUpload.js';
+import { diffLines, diffChars } from '../utils/textDiff.js';
+import { parseImportFile } from '../utils/novelImport.js';
 
 /**
  * 作者控制器 - 处理作者相关的API请求
@@ -174,6 +177,13 @@ export const createNovel = async (req, res) => {
         // 保存到数据库
         await newNovel.save();
         
+        // 普通用户创建第一本小说后成为作者
+        if (user.role === 'user') {
+            user.role = 'author';
+            await user.save();
+            console.log(`用户 ${userId} 创建了第一本小说，角色更新为作者`);
+        }
+        
         return res.status(201).json({
             success: true,
             message: '小说创建成功',
@@ -383,6 +393,15 @@ export const deleteNovel = async (req, res) => {
         // 删除该小说的所有章节
         await Chapter.deleteMany({ novel: novelId });
         
+        // 删除该小说的书评
+        await Review.deleteMany({ novel: novelId });
+        
+        // 删除该小说的分卷
+        await Volume.deleteMany({ novel: novelId });
+        
+        // 删除章节修订记录
+        await ChapterRevision.deleteMany({ novel: novelId });
+        
         // 删除小说
         await Novel.findByIdAndDelete(novelId);
         
@@ -430,7 +449,7 @@ export const getNovelChapters = async (req, res) => {
         
         // 获取所有章节，只返回必要字段
         const chapters = await Chapter.find({ novel: novelId })
-            .select('title chapterNumber wordCount viewCount isPremium isExtra updatedAt')
+            .select('title chapterNumber volume wordCount viewCount isPremium isExtra status publishAt publishedAt updatedAt')
             .sort({ chapterNumber: 1 });
             
         return res.status(200).json({
@@ -492,6 +511,43 @@ export const getChapterDetail = async (req, res) => {
     }
 };
 
+// 校验章节要关联的分卷，返回 { volume } 或 { error }
+// volumeId为空时表示不关联分卷
+const resolveVolume = async (novelId, volumeId) => {
+    if (volumeId === undefined || volumeId === null || volumeId === '') {
+        return { volume: null };
+    }
+    
+    if (!mongoose.Types.ObjectId.isValid(volumeId)) {
+        return { error: '无效的分卷ID' };
+    }
+    
+    const volume = await Volume.findOne({ _id: volumeId, novel: novelId }).select('_id');
+    return volume ? { volume: volume._id } : { error: '分卷不存在或不属于该小说' };
+};
+
+// 校验章节的发布状态，返回 { status, publishAt } 或 { error }
+// 定时发布必须提供晚于当前时间的publishAt
+const resolvePublishState = (status, publishAt) => {
+    if (!['draft', 'scheduled', 'published'].includes(status)) {
+        return { error: '无效的章节状态，可选值为 draft、scheduled、published' };
+    }
+    
+    if (status !== 'scheduled') {
+        return { status, publishAt: null };
+    }
+    
+    const publishDate = publishAt ? new Date(publishAt) : null;
+    if (!publishDate || isNaN(publishDate.getTime())) {
+        return { error: '定时发布需要提供有效的发布时间' };
+    }
+    if (publishDate.getTime() <= Date.now()) {
+        return { error: '定时发布时间必须晚于当前时间' };
+    }
+    
+    return { status, publishAt: publishDate };
+};
+
 // 创建新章节
 export const createChapter = async (req, res) => {
     try {
@@ -518,7 +574,7 @@ export const createChapter = async (req, res) => {
         }
         
         // 提取请求体中的数据
-        const { title, content, chapterNumber, isPremium, price, isExtra: requestIsExtra } = req.body;
+        const { title, content, chapterNumber, isPremium, price, isExtra: requestIsExtra, volumeId, status = 'published', publishAt } = req.body;
         
         // 验证必填字段
         if (!title || !content) {
@@ -528,6 +584,24 @@ export const createChapter = async (req, res) => {
             });
         }
         
+        // 验证发布状态（默认立即发布）
+        const publishState = resolvePublishState(status, publishAt);
+        if (publishState.error) {
+            return res.status(400).json({
+                success: false,
+                message: publishState.error
+            });
+        }
+        
+        // 验证分卷属于该小说
+        const volumeCheck = await resolveVolume(novelId, volumeId);
+        if (volumeCheck.error) {
+            return res.status(400).json({
+                success: false,
+                message: volumeCheck.error
+            });
+        }
+        
         // 确定是否标记为番外
         let isExtra = requestIsExtra !== undefined ? Boolean(requestIsExtra) : false;
         if (novel.status === '已完结' && requestIsExtra === undefined) {
@@ -576,15 +650,23 @@ export const createChapter = async (req, res) => {
             chapterNumber: nextChapterNumber,
             isPremium: isPremium || false,
             price: isPremium ? (price || 0) : 0,
-            isExtra
+            isExtra,
+            volume: volumeCheck.volume,
+            status: publishState.status,
+            publishAt: publishState.publishAt
         });
         
         // 保存章节
         await chapter.save();
         
-        // 更新小说的最新章节
-        novel.latestChapter = chapter._id;
-        await novel.save();
+        // 保存第一个修订
+        await ChapterRevision.record(chapter, { editor: userId, reason: 'create' });
+        
+        // 更新小说的最新章节（草稿和定时发布的章节在发布后才更新）
+        if (chapter.isPublished()) {
+            novel.latestChapter = chapter._id;
+            await novel.save();
+        }
         
         return res.status(201).json({
             success: true,
@@ -633,7 +715,7 @@ export const updateChapter = async (req, res) => {
         }
         
         // 提取请求体中的数据
-        const { title, content, chapterNumber, isPremium, price, isExtra } = req.body;
+        const { title, content, chapterNumber, isPremium, price, isExtra, volumeId, status, publishAt } = req.body;
         
         // 验证番外标记：如果小说已完结，不允许取消番外标记
         if (chapter.novel.status === '已完结' && isExtra === false) {
@@ -643,6 +725,12 @@ export const updateChapter = async (req, res) => {
             });
         }
         
+        // 修改标题或正文时保存修订，旧章节先保存修改前的原始内容
+        const textChanged = Boolean((title && title !== chapter.title) || (content && content !== chapter.content));
+        if (textChanged) {
+            await ChapterRevision.ensureBaseline(chapter);
+        }
+        
         // 更新章节字段（只更新提供的字段）
         if (title) chapter.title = title;
         if (content) chapter.content = content;
@@ -669,9 +757,39 @@ export const updateChapter = async (req, res) => {
         if (isPremium && price !== undefined) chapter.price = price;
         if (isExtra !== undefined) chapter.isExtra = isExtra;
         
-        // 保存更新
+        // 移动到其他分卷（null表示移出分卷）
+        if (volumeId !== undefined) {
+            const volumeCheck = await resolveVolume(chapter.novel._id, volumeId);
+            if (volumeCheck.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: volumeCheck.error
+                });
+            }
+            chapter.volume = volumeCheck.volume;
+        }
+        
+        // 修改发布状态：发布草稿、改为定时发布、撤回为草稿
+        // 只修改publishAt时沿用当前状态，用于调整定时发布时间
+        if (status !== undefined || publishAt !== undefined) {
+            const publishState = resolvePublishState(status !== undefined ? status : chapter.status, publishAt);
+            if (publishState.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: publishState.error
+                });
+            }
+            chapter.status = publishState.status;
+            chapter.publishAt = publishState.publishAt;
+        }
+        
+        // 保存更新（保存钩子会同步小说的章节数、字数和最新章节）
         await chapter.save();
         
+        if (textChanged) {
+            await ChapterRevision.record(chapter, { editor: userId, reason: 'edit' });
+        }
+        
         return res.status(200).json({
             success: true,
             message: '章节更新成功',
@@ -724,6 +842,9 @@ export const deleteChapter = async (req, res) => {
         const deleteResult = await Chapter.findOneAndDelete({ _id: chapterId });
         console.log('章节删除结果:', deleteResult ? '成功' : '失败');
         
+        // 删除章节修订记录
+        await ChapterRevision.deleteMany({ chapter: chapterId });
+        
         // 即使有钩子，也显式更新小说信息作为双重保障
         try {
             console.log(`控制器: 正在显式更新小说 ${novelId} 的信息`);
@@ -734,7 +855,8 @@ export const deleteChapter = async (req, res) => {
                     console.log(`控制器: 删除的是最新章节，更新最新章节引用`);
                     const latestChapter = await Chapter.findOne({ 
                         novel: novelId,
-                        _id: { $ne: chapterId }
+                        _id: { $ne: chapterId },
+                        ...PUBLISHED_CHAPTER_FILTER
                     }).sort({ chapterNumber: -1 });
                     
                     novel.latestChapter = latestChapter ? latestChapter._id : null;
@@ -765,6 +887,636 @@ export const deleteChapter = async (req, res) => {
     }
 };
 
+// 查找当前作者小说下的章节，ID无效、章节不属于该小说或小说不属于当前用户时返回null
+const findOwnChapter = async (novelId, chapterId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(chapterId)) return null;
+    const novel = await findOwnNovel(novelId, userId);
+    if (!novel) return null;
+    return Chapter.findOne({ _id: chapterId, novel: novel._id });
+};
+
+// 按新顺序重新编号章节，并同步最新章节、阅读进度和留言中的章节号
+// 必须在事务中调用，session为事务所属的会话
+const renumberChapters = async (novel, orderedChapters, session) => {
+    const changed = orderedChapters
+        .map((chapter, index) => ({ chapter, chapterNumber: index + 1 }))
+        .filter(item => item.chapter.chapterNumber !== item.chapterNumber);
+    
+    if (changed.length === 0) return changed;
+    
+    await Chapter.bulkWrite(changed.map(({ chapter, chapterNumber }) => ({
+        updateOne: {
+            filter: { _id: chapter._id },
+            update: { $set: { chapterNumber, updatedAt: new Date() } }
+        }
+    })), { session });
+    
+    // 留言中冗余保存的章节号
+    await Comment.bulkWrite(changed.map(({ chapter, chapterNumber }) => ({
+        updateMany: {
+            filter: { chapter: chapter._id },
+            update: { $set: { chapterNumber } }
+        }
+    })), { session });
+    
+    // 阅读进度按章节在已发布章节中的位置计算：草稿和定时发布的章节读者看不到，也不计入总章节数
+    const publishedChapters = orderedChapters.filter(chapter => chapter.status !== 'draft' && chapter.status !== 'scheduled');
+    const previousPositions = new Map([...publishedChapters]
+        .sort((a, b) => a.chapterNumber - b.chapterNumber)
+        .map((chapter, index) => [chapter._id.toString(), index + 1]));
+    const progressChanged = publishedChapters
+        .map((chapter, index) => ({ chapter, position: index + 1 }))
+        .filter(({ chapter, position }) => previousPositions.get(chapter._id.toString()) !== position);
+    
+    if (progressChanged.length > 0) {
+        await ReadingHistory.bulkWrite(progressChanged.map(({ chapter, position }) => ({
+            updateMany: {
+                filter: { novel: novel._id, lastChapter: chapter._id },
+                update: { $set: { readingProgress: Math.min(position / publishedChapters.length * 100, 100) } }
+            }
+        })), { session });
+    }
+    
+    // 最新章节为编号最大的已发布章节
+    const latestChapter = publishedChapters[publishedChapters.length - 1];
+    await Novel.updateOne(
+        { _id: novel._id },
+        { $set: { latestChapter: latestChapter ? latestChapter._id : null } },
+        { session }
+    );
+    
+    return changed;
+};
+
+// 批量调整章节顺序
+// 请求体二选一：
+//   order: 完整的章节ID列表（必须包含小说的全部章节），按列表顺序重新编号
+//   moves: [{ chapterId, position }]，依次把章节移动到指定位置（从1开始）
+// 调整后所有章节按顺序从1开始连续编号
+export const reorderChapters = async (req, res) => {
+    try {
+        const { novelId } = req.params;
+        const { order, moves } = req.body;
+        const userId = req.user.id;
+        
+        if (!mongoose.Types.ObjectId.isValid(novelId)) {
+            return res.status(400).json({
+                success: false,
+                message: '无效的小说ID'
+            });
+        }
+        
+        const novel = await Novel.findOne({ _id: novelId, creator: userId }).select('_id');
+        if (!novel) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到小说或您没有权限修改'
+            });
+        }
+        
+        if (Array.isArray(order) === Array.isArray(moves)) {
+            return res.status(400).json({
+                success: false,
+                message: '请提供order（完整的章节顺序）或moves（移动操作）其中之一'
+            });
+        }
+        
+        // 当前顺序
+        const chapters = await Chapter.find({ novel: novelId })
+            .select('_id title chapterNumber status')
+            .sort({ chapterNumber: 1, createdAt: 1 })
+            .lean();
+        const chapterById = new Map(chapters.map(chapter => [chapter._id.toString(), chapter]));
+        
+        let orderedChapters;
+        if (Array.isArray(order)) {
+            const ids = order.map(String);
+            const unknown = ids.filter(id => !chapterById.has(id));
+            const missing = chapters.filter(chapter => !ids.includes(chapter._id.toString()));
+            
+            if (unknown.length > 0 || missing.length > 0 || new Set(ids).size !== ids.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: '章节顺序必须包含该小说的全部章节且不能重复',
+                    unknownChapters: unknown,
+                    missingChapters: missing.map(chapter => chapter._id)
+                });
+            }
+            
+            orderedChapters = ids.map(id => chapterById.get(id));
+        } else {
+            if (moves.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: '请提供至少一个移动操作'
+                });
+            }
+            
+            orderedChapters = [...chapters];
+            for (const move of moves) {
+                const chapterId = move && move.chapterId ? String(move.chapterId) : '';
+                const position = Number(move && move.position);
+                
+                if (!chapterById.has(chapterId)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `章节 ${chapterId} 不存在或不属于该小说`
+                    });
+                }
+                if (!Number.isInteger(position) || position < 1 || position > chapters.length) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `移动位置必须是1到${chapters.length}之间的整数`
+                    });
+                }
+                
+                const from = orderedChapters.findIndex(chapter => chapter._id.toString() === chapterId);
+                const [moved] = orderedChapters.splice(from, 1);
+                orderedChapters.splice(position - 1, 0, moved);
+            }
+        }
+        
+        // 在事务中重新编号，任何一步失败都不会留下一半新一半旧的编号
+        // 事务需要副本集或分片集群，单节点MongoDB不支持时拒绝调整，不在没有事务的情况下执行
+        let changed;
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                changed = await renumberChapters(novel, orderedChapters, session);
+            });
+        } catch (transactionError) {
+            if (transactionError.code !== 20) throw transactionError;
+            console.error('数据库不支持事务（需要副本集），无法调整章节顺序');
+            return res.status(503).json({
+                success: false,
+                type: 'transaction_unsupported',
+                message: '当前数据库不支持事务，暂时无法调整章节顺序'
+            });
+        } finally {
+            await session.endSession();
+        }
+        
+        console.log(`小说 ${novelId} 章节重新编号完成，${changed.length} 个章节的章节号发生变化`);
+        
+        return res.status(200).json({
+            success: true,
+            message: '章节顺序已更新',
+            data: {
+                changedCount: changed.length,
+                chapters: orderedChapters.map((chapter, index) => ({
+                    _id: chapter._id,
+                    title: chapter.title,
+                    chapterNumber: index + 1,
+                    previousChapterNumber: chapter.chapterNumber
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('调整章节顺序失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 预览中每章显示的正文长度
+const IMPORT_EXCERPT_LENGTH = 100;
+
+// 解析上传的导入文件，返回 { novel, parsed } 或 { status, message }
+const readImportRequest = async (req) => {
+    const { novelId } = req.params;
+    
+    const novel = mongoose.Types.ObjectId.isValid(novelId)
+        ? await Novel.findOne({ _id: novelId, creator: req.user.id })
+        : null;
+    if (!novel) {
+        return { status: 404, message: '未找到小说或您没有权限添加章节' };
+    }
+    
+    if (!req.file) {
+        return { status: 400, message: '请上传要导入的文件（字段名为file）' };
+    }
+    
+    const parsed = parseImportFile(req.file);
+    if (parsed.error) {
+        return { status: 400, message: parsed.error };
+    }
+    
+    return { novel, parsed };
+};
+
+// 导入章节的起始章节号：接在现有的最后一章之后
+const getImportStartNumber = async (novelId) => {
+    const lastChapter = await Chapter.findOne({ novel: novelId }).sort({ chapterNumber: -1 }).select('chapterNumber').lean();
+    return lastChapter ? Math.floor(lastChapter.chapterNumber) + 1 : 1;
+};
+
+// 预览导入：解析文件并返回识别到的章节，不写入数据库
+export const previewNovelImport = async (req, res) => {
+    try {
+        const result = await readImportRequest(req);
+        if (!result.novel || !result.parsed) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
+            });
+        }
+        
+        const { novel, parsed } = result;
+        const startChapterNumber = await getImportStartNumber(novel._id);
+        
+        return res.status(200).json({
+            success: true,
+            data: {
+                fileName: req.file.originalname,
+                format: parsed.format,
+                encoding: parsed.encoding,
+                chapterCount: parsed.chapters.length,
+                totalWords: parsed.chapters.reduce((sum, chapter) => sum + chapter.wordCount, 0),
+                volumes: [...new Set(parsed.chapters.map(chapter => chapter.volumeTitle).filter(Boolean))],
+                startChapterNumber,
+                // 第一个章节标题之前的内容不会导入，显示出来供作者确认
+                preamble: parsed.preamble.slice(0, IMPORT_EXCERPT_LENGTH * 2),
+                chapters: parsed.chapters.map((chapter, index) => ({
+                    chapterNumber: startChapterNumber + index,
+                    title: chapter.title,
+                    volumeTitle: chapter.volumeTitle,
+                    wordCount: chapter.wordCount,
+                    excerpt: chapter.content.slice(0, IMPORT_EXCERPT_LENGTH)
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('预览导入失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 导入章节：批量创建识别到的章节，全部创建后只重新统计一次小说的字数和章节数
+// 表单字段：status（draft或published，默认published），createVolumes（是否按识别到的分卷创建分卷，默认true）
+export const importNovelChapters = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { status = 'published', createVolumes = 'true' } = req.body;
+        
+        if (!['draft', 'published'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: '导入的章节状态只能是 draft 或 published'
+            });
+        }
+        
+        const result = await readImportRequest(req);
+        if (!result.novel || !result.parsed) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
+            });
+        }
+        
+        const { novel, parsed } = result;
+        const startChapterNumber = await getImportStartNumber(novel._id);
+        
+        // 按标题匹配已有的分卷，没有的新建
+        const volumeIds = new Map();
+        let volumesCreated = 0;
+        if (String(createVolumes) !== 'false') {
+            const volumeTitles = [...new Set(parsed.chapters.map(chapter => chapter.volumeTitle).filter(Boolean))];
+            if (volumeTitles.length > 0) {
+                const existingVolumes = await Volume.find({ novel: novel._id, title: { $in: volumeTitles } }).select('_id title').lean();
+                existingVolumes.forEach(volume => volumeIds.set(volume.title, volume._id));
+                
+                let order = await Volume.getNextOrder(novel._id);
+                for (const title of volumeTitles) {
+                    if (volumeIds.has(title)) continue;
+                    const volume = await Volume.create({ novel: novel._id, title, order: order++ });
+                    volumeIds.set(title, volume._id);
+                    volumesCreated++;
+                }
+            }
+        }
+        
+        // insertMany不会触发保存钩子，字数和发布时间在这里设置
+        const now = new Date();
+        const chapters = await Chapter.insertMany(parsed.chapters.map((chapter, index) => ({
+            novel: novel._id,
+            title: chapter.title,
+            content: chapter.content,
+            chapterNumber: startChapterNumber + index,
+            volume: volumeIds.get(chapter.volumeTitle) || null,
+            wordCount: chapter.wordCount,
+            status,
+            publishedAt: status === 'published' ? now : null
+        })));
+        
+        // 每章保存第一个修订
+        await ChapterRevision.insertMany(chapters.map(chapter => ({
+            chapter: chapter._id,
+            novel: novel._id,
+            revision: 1,
+            title: chapter.title,
+            content: chapter.content,
+            wordCount: chapter.wordCount,
+            editor: userId,
+            reason: 'create'
+        })));
+        
+        // 只重新统计一次小说信息
+        if (status === 'published') {
+            novel.latestChapter = chapters[chapters.length - 1]._id;
+        }
+        await novel.updateWordCount();
+        
+        console.log(`小说 ${novel._id} 从 ${req.file.originalname} 导入了 ${chapters.length} 个章节，新建 ${volumesCreated} 个分卷`);
+        
+        return res.status(201).json({
+            success: true,
+            message: `成功导入 ${chapters.length} 个章节`,
+            data: {
+                importedCount: chapters.length,
+                volumesCreated,
+                chapters: chapters.map(chapter => ({
+                    _id: chapter._id,
+                    title: chapter.title,
+                    chapterNumber: chapter.chapterNumber,
+                    volume: chapter.volume,
+                    wordCount: chapter.wordCount,
+                    status: chapter.status
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('导入章节失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 解析修订号，无效时返回null
+const parseRevisionNumber = (value) => {
+    const revision = Number(value);
+    return Number.isInteger(revision) && revision > 0 ? revision : null;
+};
+
+// 获取章节的修订记录列表（不含正文）
+export const getChapterRevisions = async (req, res) => {
+    try {
+        const { novelId, chapterId } = req.params;
+        const userId = req.user.id;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        
+        const chapter = await findOwnChapter(novelId, chapterId, userId);
+        if (!chapter) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到章节或您没有权限查看'
+            });
+        }
+        
+        const [revisions, total] = await Promise.all([
+            ChapterRevision.find({ chapter: chapter._id })
+                .select('-content')
+                .sort({ revision: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('editor', 'username penName')
+                .lean(),
+            ChapterRevision.countDocuments({ chapter: chapter._id })
+        ]);
+        
+        return res.status(200).json({
+            success: true,
+            count: revisions.length,
+            total,
+            page,
+            totalPages: Math.ceil(total / limit),
+            data: revisions
+        });
+    } catch (error) {
+        console.error('获取章节修订记录失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 获取单个修订的完整内容
+export const getChapterRevision = async (req, res) => {
+    try {
+        const { novelId, chapterId, revision } = req.params;
+        const userId = req.user.id;
+        
+        const chapter = await findOwnChapter(novelId, chapterId, userId);
+        if (!chapter) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到章节或您没有权限查看'
+            });
+        }
+        
+        const found = await ChapterRevision.findOne({ chapter: chapter._id, revision: parseRevisionNumber(revision) })
+            .populate('editor', 'username penName')
+            .lean();
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到该修订'
+            });
+        }
+        
+        return res.status(200).json({
+            success: true,
+            data: found
+        });
+    } catch (error) {
+        console.error('获取章节修订失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 对比两个修订，from默认为to的上一个修订，to默认为最新修订
+// mode=line按行对比（默认），mode=char按字符对比
+export const diffChapterRevisions = async (req, res) => {
+    try {
+        const { novelId, chapterId } = req.params;
+        const { from, to, mode = 'line' } = req.query;
+        const userId = req.user.id;
+        
+        if (!['line', 'char'].includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                message: '无效的对比方式，可选值为 line、char'
+            });
+        }
+        
+        if ((from !== undefined && !parseRevisionNumber(from)) || (to !== undefined && !parseRevisionNumber(to))) {
+            return res.status(400).json({
+                success: false,
+                message: '无效的修订号'
+            });
+        }
+        
+        const chapter = await findOwnChapter(novelId, chapterId, userId);
+        if (!chapter) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到章节或您没有权限查看'
+            });
+        }
+        
+        const toRevision = to !== undefined
+            ? await ChapterRevision.findOne({ chapter: chapter._id, revision: parseRevisionNumber(to) }).lean()
+            : await ChapterRevision.findOne({ chapter: chapter._id }).sort({ revision: -1 }).lean();
+        if (!toRevision) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到要对比的修订'
+            });
+        }
+        
+        const fromRevision = await ChapterRevision.findOne({
+            chapter: chapter._id,
+            revision: from !== undefined ? parseRevisionNumber(from) : toRevision.revision - 1
+        }).lean();
+        if (!fromRevision) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到要对比的修订'
+            });
+        }
+        
+        const diff = mode === 'char'
+            ? diffChars(fromRevision.content, toRevision.content)
+            : diffLines(fromRevision.content, toRevision.content);
+        
+        const summarize = revision => ({
+            revision: revision.revision,
+            title: revision.title,
+            wordCount: revision.wordCount,
+            reason: revision.reason,
+            createdAt: revision.createdAt
+        });
+        
+        return res.status(200).json({
+            success: true,
+            data: {
+                from: summarize(fromRevision),
+                to: summarize(toRevision),
+                mode,
+                titleChanged: fromRevision.title !== toRevision.title,
+                changes: diff.changes,
+                stats: diff.stats
+            }
+        });
+    } catch (error) {
+        console.error('对比章节修订失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 恢复到指定修订：用该修订的标题和正文覆盖章节，并保存为一个新的修订
+export const restoreChapterRevision = async (req, res) => {
+    try {
+        const { novelId, chapterId, revision } = req.params;
+        const userId = req.user.id;
+        
+        const chapter = await findOwnChapter(novelId, chapterId, userId);
+        if (!chapter) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到章节或您没有权限修改'
+            });
+        }
+        
+        const target = await ChapterRevision.findOne({ chapter: chapter._id, revision: parseRevisionNumber(revision) }).lean();
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到该修订'
+            });
+        }
+        
+        // 旧章节先保存当前内容，恢复后仍可以找回
+        await ChapterRevision.ensureBaseline(chapter);
+        
+        chapter.title = target.title;
+        chapter.content = target.content;
+        await chapter.save();
+        
+        const restored = await ChapterRevision.record(chapter, {
+            editor: userId,
+            reason: 'restore',
+            restoredFrom: target.revision
+        });
+        
+        console.log(`章节 ${chapter._id} 已恢复到修订 ${target.revision}，新修订号 ${restored.revision}`);
+        
+        return res.status(200).json({
+            success: true,
+            message: `已恢复到修订 ${target.revision}`,
+            data: {
+                chapter,
+                revision: restored.revision
+            }
+        });
+    } catch (error) {
+        console.error('恢复章节修订失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 获取发布队列：作者所有小说中等待定时发布的章节，按发布时间排序
+export const getPublishQueue = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        
+        const novels = await Novel.find({ creator: userId }).select('_id title').lean();
+        const novelTitles = new Map(novels.map(novel => [novel._id.toString(), novel.title]));
+        
+        const chapters = await Chapter.find({
+            novel: { $in: novels.map(novel => novel._id) },
+            status: 'scheduled'
+        })
+            .select('novel title chapterNumber volume wordCount isPremium isExtra publishAt updatedAt')
+            .sort({ publishAt: 1, chapterNumber: 1 })
+            .lean();
+        
+        const queue = chapters.map(chapter => ({
+            ...chapter,
+            novelTitle: novelTitles.get(chapter.novel.toString()) || ''
+        }));
+        
+        return res.status(200).json({
+            success: true,
+            count: queue.length,
+            data: queue
+        });
+    } catch (error) {
+        console.error('获取发布队列失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
 // 获取作者统计数据
 export const getAuthorStats = async (req, res) => {
     try {
@@ -991,7 +1743,11 @@ export const updateNovelStatus = async (req, res) => {
         novel.status = status;
         
         // 使用Mongoose的updateOne方法，跳过验证
-        await Novel.updateOne({ _id: novelId }, { status: status });
+        // 改为"已完结"时记录完结时间（已经是完结状态则保留原时间），其他状态清除完结时间
+        const completedAt = status === '已完结'
+            ? (novel.completedAt || new Date())
+            : null;
+        await Novel.updateOne({ _id: novelId }, { status: status, completedAt });
         
         // 如果状态从"已完结"变为"连载中"，取消所有章节的番外标记
         if (statusChanged) {
@@ -1014,4 +1770,219 @@ export const updateNovelStatus = async (req, res) => {
             message: '服务器错误，请稍后再试'
         });
     }
-}; 
\ No newline at end of file
+};
+
+// 查找当前作者的小说，ID无效或不属于当前用户时返回null
+const findOwnNovel = async (novelId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(novelId)) return null;
+    return Novel.findOne({ _id: novelId, creator: userId }).select('_id title');
+};
+
+// 获取小说的分卷列表
+export const getVolumes = async (req, res) => {
+    try {
+        const { novelId } = req.params;
+        const userId = req.user.id;
+        
+        const novel = await findOwnNovel(novelId, userId);
+        if (!novel) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到小说或您没有权限查看'
+            });
+        }
+        
+        const [volumes, chapterCounts] = await Promise.all([
+            Volume.find({ novel: novelId }).sort({ order: 1, createdAt: 1 }).lean(),
+            Chapter.aggregate([
+                { $match: { novel: novel._id } },
+                { $group: { _id: '$volume', count: { $sum: 1 } } }
+            ])
+        ]);
+        
+        const countByVolume = new Map(chapterCounts.map(item => [String(item._id), item.count]));
+        
+        return res.status(200).json({
+            success: true,
+            count: volumes.length,
+            data: volumes.map(volume => ({
+                ...volume,
+                chapterCount: countByVolume.get(String(volume._id)) || 0
+            })),
+            unassignedChapterCount: countByVolume.get('null') || 0
+        });
+    } catch (error) {
+        console.error('获取分卷列表失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 创建分卷
+export const createVolume = async (req, res) => {
+    try {
+        const { novelId } = req.params;
+        const userId = req.user.id;
+        const { title, description, order } = req.body;
+        
+        const novel = await findOwnNovel(novelId, userId);
+        if (!novel) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到小说或您没有权限添加分卷'
+            });
+        }
+        
+        if (!title || typeof title !== 'string' || !title.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: '请提供分卷标题'
+            });
+        }
+        
+        if (order !== undefined && !Number.isFinite(Number(order))) {
+            return res.status(400).json({
+                success: false,
+                message: '分卷排序必须是数字'
+            });
+        }
+        
+        const volume = new Volume({
+            novel: novelId,
+            title,
+            description: description || '',
+            order: order !== undefined ? Number(order) : await Volume.getNextOrder(novelId)
+        });
+        
+        try {
+            await volume.save();
+        } catch (saveError) {
+            if (saveError.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: Object.values(saveError.errors).map(err => err.message).join(', ')
+                });
+            }
+            throw saveError;
+        }
+        
+        return res.status(201).json({
+            success: true,
+            message: '分卷创建成功',
+            data: volume
+        });
+    } catch (error) {
+        console.error('创建分卷失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 更新分卷
+export const updateVolume = async (req, res) => {
+    try {
+        const { novelId, volumeId } = req.params;
+        const userId = req.user.id;
+        const { title, description, order } = req.body;
+        
+        const novel = await findOwnNovel(novelId, userId);
+        if (!novel || !mongoose.Types.ObjectId.isValid(volumeId)) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到分卷或您没有权限修改'
+            });
+        }
+        
+        const volume = await Volume.findOne({ _id: volumeId, novel: novelId });
+        if (!volume) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到分卷或您没有权限修改'
+            });
+        }
+        
+        if (order !== undefined && !Number.isFinite(Number(order))) {
+            return res.status(400).json({
+                success: false,
+                message: '分卷排序必须是数字'
+            });
+        }
+        
+        if (title !== undefined) volume.title = title;
+        if (description !== undefined) volume.description = description;
+        if (order !== undefined) volume.order = Number(order);
+        
+        try {
+            await volume.save();
+        } catch (saveError) {
+            if (saveError.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: Object.values(saveError.errors).map(err => err.message).join(', ')
+                });
+            }
+            throw saveError;
+        }
+        
+        return res.status(200).json({
+            success: true,
+            message: '分卷更新成功',
+            data: volume
+        });
+    } catch (error) {
+        console.error('更新分卷失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 删除分卷（分卷中的章节不会被删除，而是移出分卷）
+export const deleteVolume = async (req, res) => {
+    try {
+        const { novelId, volumeId } = req.params;
+        const userId = req.user.id;
+        
+        const novel = await findOwnNovel(novelId, userId);
+        if (!novel || !mongoose.Types.ObjectId.isValid(volumeId)) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到分卷或您没有权限删除'
+            });
+        }
+        
+        const volume = await Volume.findOneAndDelete({ _id: volumeId, novel: novelId });
+        if (!volume) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到分卷或您没有权限删除'
+            });
+        }
+        
+        const result = await Chapter.updateMany(
+            { novel: novelId, volume: volume._id },
+            { $set: { volume: null } }
+        );
+        
+        console.log(`分卷 ${volume.title} 已删除，${result.modifiedCount} 个章节已移出分卷`);
+        
+        return res.status(200).json({
+            success: true,
+            message: '分卷删除成功',
+            data: {
+                unassignedChapters: result.modifiedCount
+            }
+        });
+    } catch (error) {
+        console.error('删除分卷失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
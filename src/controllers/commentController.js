@@ -41,7 +41,7 @@ export const createComment = async (req, res) => {
         // 如果是章节留言，验证章节是否存在并添加章节信息
         if (chapterId) {
             const chapter = await Chapter.findById(chapterId);
-            if (!chapter) {
+            if (!chapter || !chapter.isPublished()) {
                 return res.status(404).json({
                     success: false,
                     message: '章节不存在'
@@ -143,7 +143,7 @@ export const getChapterComments = async (req, res) => {
         
         // 验证章节是否存在
         const chapter = await Chapter.findById(chapterId);
-        if (!chapter) {
+        if (!chapter || !chapter.isPublished()) {
             return res.status(404).json({
                 success: false,
                 message: '章节不存在'
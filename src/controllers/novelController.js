@@ -1,15 +1,29 @@
 import { Novel } from '../models/novel.js';
-import { Chapter } from '../models/chapter.js';
+import { Chapter, PUBLISHED_CHAPTER_FILTER } from '../models/chapter.js';
 import mongoose from 'mongoose';
-import { User, ReadingHistory, Favorite } from '../models/index.js';
+import { User, ReadingHistory, Favorite, NovelSearchIndex, SearchLog, RankingSnapshot, NovelSimilarity, Volume } from '../models/index.js';
+import { RANKING_TYPES, RANKING_PERIODS, getPeriodRange } from '../models/rankingSnapshot.js';
 import crypto from 'crypto';
+import { parseSearchQuery, buildPhraseFilter, isStringParam } from '../utils/searchQuery.js';
+import { getRecommendationsForUser, getPopularRecommendations } from '../utils/recommendations.js';
+import { EXPORT_FORMATS, groupExportChapters, getCoverUrl, loadCoverImage, renderTextHeader, renderTextSection, renderTextChapter, buildEpub } from '../utils/novelExport.js';
 
 /**
  * 小说控制器 - 处理小说阅读相关的API请求
  * 包括小说列表、小说详情、章节阅读等功能
  */
 
-// 获取小说列表（支持分页、分类和排序）
+// 小说列表返回的字段
+const NOVEL_LIST_FIELDS = ['title', 'authorName', 'cover', 'shortDescription', 'status', 'totalChapters', 'readers', 'collections', 'updatedAt'];
+
+// 搜索参数无效时的响应
+const sendInvalidQuery = (res, message) => res.status(400).json({
+    success: false,
+    message,
+    type: 'invalid_query'
+});
+
+// 获取小说列表（支持分页、分类和排序，有搜索关键词时按相关度排序）
 export const getNovelList = async (req, res) => {
     try {
         const { 
@@ -22,20 +36,46 @@ export const getNovelList = async (req, res) => {
             search
         } = req.query;
         
+        // 筛选参数必须是字符串，避免被解析为查询操作符
+        if (![category, status, sort, order].every(isStringParam)) {
+            return sendInvalidQuery(res, '筛选参数格式无效');
+        }
+        
         // 构建查询条件
         const query = {};
         if (category) query.categories = category;
         if (status) query.status = status;
-        if (search) {
-            // 支持按标题或作者名搜索
-            query.$or = [
-                { title: { $regex: search, $options: 'i' } },
-                { authorName: { $regex: search, $options: 'i' } }
-            ];
-        }
+        
+        // 分页参数限制在有效范围内，非数字时使用默认值
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
         
         // 计算跳过的文档数
-        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const skip = (pageNumber - 1) * pageSize;
+        
+        // 有搜索关键词时使用搜索索引，按相关度排序
+        if (search) {
+            const parsedQuery = parseSearchQuery(search);
+            if (parsedQuery.error) {
+                return sendInvalidQuery(res, parsedQuery.error);
+            }
+            
+            const { novels, total } = await NovelSearchIndex.search(parsedQuery.text, {
+                filter: { ...query, ...buildPhraseFilter(parsedQuery) },
+                fields: NOVEL_LIST_FIELDS,
+                skip,
+                limit: pageSize
+            });
+            
+            return res.status(200).json({
+                success: true,
+                count: novels.length,
+                total,
+                totalPages: Math.ceil(total / pageSize),
+                currentPage: pageNumber,
+                data: novels
+            });
+        }
         
         // 构建排序条件
         const sortObj = {};
@@ -45,8 +85,8 @@ export const getNovelList = async (req, res) => {
         const novels = await Novel.find(query)
             .sort(sortObj)
             .skip(skip)
-            .limit(parseInt(limit))
-            .select('title authorName cover shortDescription status totalChapters readers collections updatedAt');
+            .limit(pageSize)
+            .select(NOVEL_LIST_FIELDS.join(' '));
             
         // 计算总数
         const total = await Novel.countDocuments(query);
@@ -55,8 +95,8 @@ export const getNovelList = async (req, res) => {
             success: true,
             count: novels.length,
             total,
-            totalPages: Math.ceil(total / parseInt(limit)),
-            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / pageSize),
+            currentPage: pageNumber,
             data: novels
         });
     } catch (error) {
@@ -68,6 +108,248 @@ export const getNovelList = async (req, res) => {
     }
 };
 
+// 字数区间（分面筛选）
+const WORD_COUNT_RANGES = [
+    { key: 'lt100k', label: '10万字以下', min: 0, max: 100000 },
+    { key: '100k-300k', label: '10-30万字', min: 100000, max: 300000 },
+    { key: '300k-1m', label: '30-100万字', min: 300000, max: 1000000 },
+    { key: '1m-2m', label: '100-200万字', min: 1000000, max: 2000000 },
+    { key: 'gt2m', label: '200万字以上', min: 2000000, max: null }
+];
+
+// 更新时间范围（分面筛选），单位：天
+const UPDATED_WITHIN_WINDOWS = [
+    { key: '3d', label: '3天内', days: 3 },
+    { key: '7d', label: '7天内', days: 7 },
+    { key: '30d', label: '30天内', days: 30 },
+    { key: '90d', label: '90天内', days: 90 }
+];
+
+// 分面搜索允许的排序字段
+const FACET_SORT_FIELDS = ['updatedAt', 'createdAt', 'readers', 'collections', 'wordCount', 'rating'];
+
+// 将逗号分隔的参数（或重复参数）解析为数组
+const parseListParam = (value) => {
+    if (!value) return [];
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    return [...new Set(values.map(item => String(item).trim()).filter(Boolean))];
+};
+
+// 构建分面搜索的各维度筛选条件，每个维度单独保存，便于计算其他维度的分面数量
+const buildFacetFilters = (params) => {
+    const filters = {};
+    
+    // 分类：mode=and 时必须同时属于所有分类，默认满足任意一个
+    const categories = parseListParam(params.categories || params.category);
+    if (categories.length > 0) {
+        filters.category = params.categoryMode === 'and'
+            ? { categories: { $all: categories } }
+            : { categories: { $in: categories } };
+    }
+    
+    // 标签：同上
+    const tags = parseListParam(params.tags || params.tag);
+    if (tags.length > 0) {
+        filters.tag = params.tagMode === 'and'
+            ? { tags: { $all: tags } }
+            : { tags: { $in: tags } };
+    }
+    
+    // 状态：满足任意一个
+    const statuses = parseListParam(params.status);
+    if (statuses.length > 0) {
+        filters.status = { status: { $in: statuses } };
+    }
+    
+    // 字数：可以选择多个区间，也可以指定minWords/maxWords
+    const rangeConditions = parseListParam(params.length)
+        .map(key => WORD_COUNT_RANGES.find(range => range.key === key))
+        .filter(Boolean)
+        .map(range => ({
+            wordCount: range.max === null ? { $gte: range.min } : { $gte: range.min, $lt: range.max }
+        }));
+    const minWords = parseInt(params.minWords);
+    const maxWords = parseInt(params.maxWords);
+    if (!isNaN(minWords) || !isNaN(maxWords)) {
+        const wordCount = {};
+        if (!isNaN(minWords)) wordCount.$gte = minWords;
+        if (!isNaN(maxWords)) wordCount.$lte = maxWords;
+        rangeConditions.push({ wordCount });
+    }
+    if (rangeConditions.length === 1) {
+        filters.length = rangeConditions[0];
+    } else if (rangeConditions.length > 1) {
+        filters.length = { $or: rangeConditions };
+    }
+    
+    // 更新时间
+    const window = UPDATED_WITHIN_WINDOWS.find(item => item.key === params.updatedWithin);
+    if (window) {
+        filters.updated = { updatedAt: { $gte: new Date(Date.now() - window.days * 24 * 60 * 60 * 1000) } };
+    }
+    
+    // 免费/付费
+    if (params.premium === 'premium') {
+        filters.premium = { premiumChapters: { $gt: 0 } };
+    } else if (params.premium === 'free') {
+        filters.premium = { premiumChapters: { $in: [0, null] } };
+    }
+    
+    return filters;
+};
+
+// 合并筛选条件，exclude为计算该维度分面时需要排除的自身条件
+const combineFacetFilters = (filters, exclude = null) => {
+    const conditions = Object.entries(filters)
+        .filter(([dimension]) => dimension !== exclude)
+        .map(([, condition]) => condition);
+    return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+// 分面搜索 - 多维度筛选，并返回每个维度下各选项的数量
+export const getFacetedNovels = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, sort = 'updatedAt', order = 'desc' } = req.query;
+        
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
+        const currentPage = Math.max(parseInt(page) || 1, 1);
+        const sortField = FACET_SORT_FIELDS.includes(sort) ? sort : 'updatedAt';
+        
+        const filters = buildFacetFilters(req.query);
+        const now = Date.now();
+        
+        // 每个维度的分面数量只应用其他维度的条件（选择某个分类后仍能看到其他分类的数量）
+        const [result] = await Novel.aggregate([
+            {
+                $project: {
+                    title: 1, authorName: 1, cover: 1, shortDescription: 1, status: 1,
+                    totalChapters: 1, readers: 1, collections: 1, rating: 1, wordCount: 1,
+                    categories: 1, tags: 1, premiumChapters: 1, createdAt: 1, updatedAt: 1
+                }
+            },
+            {
+                $facet: {
+                    data: [
+                        { $match: combineFacetFilters(filters) },
+                        { $sort: { [sortField]: order === 'asc' ? 1 : -1, _id: 1 } },
+                        { $skip: (currentPage - 1) * pageSize },
+                        { $limit: pageSize },
+                        { $project: { categories: 0, premiumChapters: 0 } }
+                    ],
+                    total: [
+                        { $match: combineFacetFilters(filters) },
+                        { $count: 'count' }
+                    ],
+                    categories: [
+                        { $match: combineFacetFilters(filters, 'category') },
+                        { $unwind: '$categories' },
+                        { $group: { _id: '$categories', count: { $sum: 1 } } },
+                        { $sort: { count: -1, _id: 1 } },
+                        { $limit: 50 }
+                    ],
+                    tags: [
+                        { $match: combineFacetFilters(filters, 'tag') },
+                        { $unwind: '$tags' },
+                        { $group: { _id: '$tags', count: { $sum: 1 } } },
+                        { $sort: { count: -1, _id: 1 } },
+                        { $limit: 30 }
+                    ],
+                    status: [
+                        { $match: combineFacetFilters(filters, 'status') },
+                        { $group: { _id: '$status', count: { $sum: 1 } } },
+                        { $sort: { count: -1 } }
+                    ],
+                    length: [
+                        { $match: combineFacetFilters(filters, 'length') },
+                        {
+                            $bucket: {
+                                groupBy: { $ifNull: ['$wordCount', 0] },
+                                boundaries: WORD_COUNT_RANGES.map(range => range.min),
+                                default: 'gt2m',
+                                output: { count: { $sum: 1 } }
+                            }
+                        }
+                    ],
+                    updated: [
+                        { $match: combineFacetFilters(filters, 'updated') },
+                        {
+                            $group: {
+                                _id: null,
+                                ...Object.fromEntries(UPDATED_WITHIN_WINDOWS.map(window => [
+                                    window.key,
+                                    {
+                                        $sum: {
+                                            $cond: [
+                                                { $gte: ['$updatedAt', new Date(now - window.days * 24 * 60 * 60 * 1000)] },
+                                                1,
+                                                0
+                                            ]
+                                        }
+                                    }
+                                ]))
+                            }
+                        }
+                    ],
+                    premium: [
+                        { $match: combineFacetFilters(filters, 'premium') },
+                        {
+                            $group: {
+                                _id: { $cond: [{ $gt: [{ $ifNull: ['$premiumChapters', 0] }, 0] }, 'premium', 'free'] },
+                                count: { $sum: 1 }
+                            }
+                        }
+                    ]
+                }
+            }
+        ]);
+        
+        const total = result.total.length > 0 ? result.total[0].count : 0;
+        
+        // 将字数分桶结果转换为区间key
+        const lengthCounts = new Map(result.length.map(bucket => {
+            const range = WORD_COUNT_RANGES.find(item => item.min === bucket._id);
+            return [range ? range.key : bucket._id, bucket.count];
+        }));
+        const updatedCounts = result.updated[0] || {};
+        const premiumCounts = new Map(result.premium.map(item => [item._id, item.count]));
+        
+        return res.status(200).json({
+            success: true,
+            count: result.data.length,
+            total,
+            totalPages: Math.ceil(total / pageSize),
+            currentPage,
+            data: result.data,
+            facets: {
+                categories: result.categories.map(item => ({ value: item._id, count: item.count })),
+                tags: result.tags.map(item => ({ value: item._id, count: item.count })),
+                status: result.status.map(item => ({ value: item._id, count: item.count })),
+                length: WORD_COUNT_RANGES.map(range => ({
+                    value: range.key,
+                    label: range.label,
+                    count: lengthCounts.get(range.key) || 0
+                })),
+                updatedWithin: UPDATED_WITHIN_WINDOWS.map(window => ({
+                    value: window.key,
+                    label: window.label,
+                    count: updatedCounts[window.key] || 0
+                })),
+                premium: ['free', 'premium'].map(value => ({
+                    value,
+                    label: value === 'free' ? '免费' : '含收费章节',
+                    count: premiumCounts.get(value) || 0
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('分面搜索小说失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
 // 获取小说详情
 export const getNovelDetail = async (req, res) => {
     try {
@@ -97,7 +379,7 @@ export const getNovelDetail = async (req, res) => {
         // 获取章节列表
         let chapters = [];
         try {
-            chapters = await Chapter.find({ novel: novelId })
+            chapters = await Chapter.find({ novel: novelId, ...PUBLISHED_CHAPTER_FILTER })
                 .select('title chapterNumber updatedAt isPremium')
                 .sort({ chapterNumber: 1 });
             console.log(`找到${chapters.length}个章节`);
@@ -110,7 +392,7 @@ export const getNovelDetail = async (req, res) => {
         // 获取最新章节
         let latestChapters = [];
         try {
-            latestChapters = await Chapter.find({ novel: novelId })
+            latestChapters = await Chapter.find({ novel: novelId, ...PUBLISHED_CHAPTER_FILTER })
                 .select('title chapterNumber updatedAt')
                 .sort({ chapterNumber: -1 })
                 .limit(5);
@@ -183,6 +465,182 @@ export const getNovelDetail = async (req, res) => {
     }
 };
 
+// 获取相似小说（标签/分类重合、共同收藏和简介文本相似度）
+export const getSimilarNovels = async (req, res) => {
+    try {
+        const { novelId } = req.params;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 6, 1), 30);
+        
+        if (!mongoose.Types.ObjectId.isValid(novelId)) {
+            return res.status(400).json({
+                success: false,
+                message: '无效的小说ID'
+            });
+        }
+        
+        const similarity = await NovelSimilarity.getSimilar(novelId);
+        if (!similarity) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到小说'
+            });
+        }
+        
+        // 缓存中可能包含已删除的小说，多取一些再过滤
+        const entries = similarity.similar.slice(0, limit * 2);
+        const novels = await Novel.find({ _id: { $in: entries.map(entry => entry.novel) } })
+            .select(NOVEL_LIST_FIELDS.join(' ') + ' tags categories')
+            .lean();
+        const novelById = new Map(novels.map(novel => [novel._id.toString(), novel]));
+        
+        const data = entries
+            .filter(entry => novelById.has(entry.novel.toString()))
+            .slice(0, limit)
+            .map(entry => ({
+                ...novelById.get(entry.novel.toString()),
+                similarity: {
+                    score: entry.score,
+                    sharedTags: entry.sharedTags,
+                    sharedCategories: entry.sharedCategories,
+                    coFavorites: entry.coFavorites
+                }
+            }));
+        
+        return res.status(200).json({
+            success: true,
+            count: data.length,
+            computedAt: similarity.computedAt,
+            data
+        });
+    } catch (error) {
+        console.error('获取相似小说失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 导出小说为EPUB、TXT或Markdown文件
+// 作者可以导出全部章节（包括草稿），读者只能导出已发布的免费章节
+// 目前没有记录章节购买情况，付费章节不向读者导出
+export const exportNovel = async (req, res) => {
+    try {
+        const { novelId } = req.params;
+        const format = req.query.format || 'epub';
+        
+        if (!isStringParam(format) || !EXPORT_FORMATS[format]) {
+            return sendInvalidQuery(res, '导出格式只能是 epub、txt 或 md');
+        }
+        
+        if (!mongoose.Types.ObjectId.isValid(novelId)) {
+            return res.status(400).json({
+                success: false,
+                message: '无效的小说ID'
+            });
+        }
+        
+        const novel = await Novel.findById(novelId).lean();
+        if (!novel) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到小说'
+            });
+        }
+        
+        const isAuthor = Boolean(req.user && novel.creator.toString() === req.user.id.toString());
+        const chapterFilter = isAuthor
+            ? { novel: novel._id }
+            : { novel: novel._id, ...PUBLISHED_CHAPTER_FILTER, isPremium: { $ne: true } };
+        
+        // 先只取目录，正文在写入时再读取
+        const chapterList = await Chapter.find(chapterFilter)
+            .select('title chapterNumber isExtra')
+            .sort({ chapterNumber: 1 })
+            .lean();
+        if (chapterList.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: '没有可以导出的章节'
+            });
+        }
+        
+        const sections = groupExportChapters(chapterList);
+        const { extension, contentType } = EXPORT_FORMATS[format];
+        const fileName = `${novel.title}.${extension}`;
+        
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="novel-${novel._id}.${extension}"; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+        res.setHeader('Cache-Control', 'no-store');
+        
+        if (format === 'epub') {
+            const [chapters, cover] = await Promise.all([
+                Chapter.find(chapterFilter).select('title content chapterNumber isExtra').lean(),
+                loadCoverImage(novel)
+            ]);
+            const epub = buildEpub({ novel, sections: groupExportChapters(chapters), cover });
+            res.setHeader('Content-Length', epub.length);
+            return res.end(epub);
+        }
+        
+        // TXT和Markdown逐章写入，不需要把整本书放在内存中
+        const baseUrl = `${req.protocol}://${req.get('host')}`;
+        res.write(renderTextHeader(novel, sections, format, { coverUrl: getCoverUrl(novel, baseUrl) }));
+        
+        for (const section of sections) {
+            if (section.title) {
+                res.write(renderTextSection(section.title, format));
+            }
+            
+            // 有标题的分组是番外
+            const cursor = Chapter.find({ ...chapterFilter, isExtra: section.title ? true : { $ne: true } })
+                .select('title content chapterNumber')
+                .sort({ chapterNumber: 1 })
+                .lean()
+                .cursor();
+            for await (const chapter of cursor) {
+                res.write(renderTextChapter(chapter, format));
+            }
+        }
+        
+        return res.end();
+    } catch (error) {
+        console.error('导出小说失败:', error);
+        // 已经开始输出文件时无法再返回错误信息，直接断开
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 将章节按分卷分组，没有分卷的章节放在最后的"未分卷"分组（volumeId为null）
+const groupChaptersByVolume = (volumes, chapters) => {
+    const groups = volumes.map(volume => ({
+        volumeId: volume._id,
+        title: volume.title,
+        description: volume.description,
+        order: volume.order,
+        chapters: []
+    }));
+    const groupById = new Map(groups.map(group => [group.volumeId.toString(), group]));
+    const unassigned = { volumeId: null, title: '未分卷', description: '', order: null, chapters: [] };
+    
+    chapters.forEach(chapter => {
+        const group = chapter.volume ? groupById.get(chapter.volume.toString()) : null;
+        (group || unassigned).chapters.push(chapter);
+    });
+    
+    if (unassigned.chapters.length > 0) {
+        groups.push(unassigned);
+    }
+    
+    return groups.map(group => ({ ...group, chapterCount: group.chapters.length }));
+};
+
 // 获取小说章节列表
 export const getNovelChapters = async (req, res) => {
     try {
@@ -210,8 +668,8 @@ export const getNovelChapters = async (req, res) => {
         // 获取所有章节
         let chapters = [];
         try {
-            chapters = await Chapter.find({ novel: novelId })
-                .select('title chapterNumber updatedAt isPremium isExtra')
+            chapters = await Chapter.find({ novel: novelId, ...PUBLISHED_CHAPTER_FILTER })
+                .select('title chapterNumber volume updatedAt isPremium isExtra')
                 .sort({ chapterNumber: 1 });
             console.log(`找到${chapters.length}个章节`);
         } catch (chapterError) {
@@ -219,6 +677,13 @@ export const getNovelChapters = async (req, res) => {
             // 如果获取章节失败，返回空数组而不是报错
             chapters = [];
         }
+        
+        // 按分卷分组的目录
+        const volumes = await Volume.find({ novel: novelId })
+            .select('title description order')
+            .sort({ order: 1, createdAt: 1 })
+            .lean();
+        const tableOfContents = groupChaptersByVolume(volumes, chapters);
             
         console.log('章节列表API返回成功');
         return res.status(200).json({
@@ -229,7 +694,8 @@ export const getNovelChapters = async (req, res) => {
                 authorName: novel.authorName
             },
             count: chapters.length,
-            data: chapters
+            data: chapters,
+            volumes: tableOfContents
         });
     } catch (error) {
         console.error('获取章节列表失败:', error);
@@ -264,10 +730,11 @@ export const getChapterContent = async (req, res) => {
             });
         }
         
-        // 查询指定章节
+        // 查询指定章节（草稿和未到发布时间的章节对读者不可见）
         const chapter = await Chapter.findOne({ 
             novel: novelId, 
-            chapterNumber: parseFloat(chapterNumber) 
+            chapterNumber: parseFloat(chapterNumber),
+            ...PUBLISHED_CHAPTER_FILTER
         });
         
         if (!chapter) {
@@ -381,14 +848,16 @@ export const getChapterContent = async (req, res) => {
         try {
             prevChapter = await Chapter.findOne({
                 novel: novelId,
-                chapterNumber: { $lt: parseFloat(chapterNumber) }
+                chapterNumber: { $lt: parseFloat(chapterNumber) },
+                ...PUBLISHED_CHAPTER_FILTER
             })
             .sort({ chapterNumber: -1 })
             .select('chapterNumber title');
             
             nextChapter = await Chapter.findOne({
                 novel: novelId,
-                chapterNumber: { $gt: parseFloat(chapterNumber) }
+                chapterNumber: { $gt: parseFloat(chapterNumber) },
+                ...PUBLISHED_CHAPTER_FILTER
             })
             .sort({ chapterNumber: 1 })
             .select('chapterNumber title');
@@ -436,13 +905,24 @@ export const getChapterContent = async (req, res) => {
 // 获取热门小说
 export const getPopularNovels = async (req, res) => {
     try {
-        const { limit = 10 } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
         
-        // 按阅读人数排序获取热门小说
-        const novels = await Novel.find()
-            .sort({ readers: -1 })
-            .limit(parseInt(limit))
-            .select('title authorName cover shortDescription readers collections');
+        // 优先使用本周阅读榜，榜单为空（如刚上线还没有阅读数据）时按累计阅读量排序
+        const ranking = await RankingSnapshot.getRanking('most_read', 'weekly');
+        const rankedIds = ranking.entries.slice(0, limit).map(entry => entry.novel);
+        
+        let novels;
+        if (rankedIds.length > 0) {
+            const rankedNovels = await Novel.find({ _id: { $in: rankedIds } })
+                .select('title authorName cover shortDescription readers collections');
+            const novelById = new Map(rankedNovels.map(novel => [novel._id.toString(), novel]));
+            novels = rankedIds.map(id => novelById.get(id.toString())).filter(Boolean);
+        } else {
+            novels = await Novel.find()
+                .sort({ readers: -1 })
+                .limit(limit)
+                .select('title authorName cover shortDescription readers collections');
+        }
             
         return res.status(200).json({
             success: true,
@@ -458,6 +938,95 @@ export const getPopularNovels = async (req, res) => {
     }
 };
 
+// 获取推荐小说 - 登录用户根据阅读记录、收藏和类型偏好推荐，未登录用户返回热门小说
+export const getRecommendedNovels = async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 30);
+        
+        const { novels, personalized } = req.user
+            ? await getRecommendationsForUser(req.user.id, { limit })
+            : { novels: await getPopularRecommendations(limit), personalized: false };
+        
+        return res.status(200).json({
+            success: true,
+            count: novels.length,
+            personalized,
+            data: novels
+        });
+    } catch (error) {
+        console.error('获取推荐小说失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 获取排行榜（日榜/周榜/月榜，可以通过date参数查看历史榜单）
+export const getRankings = async (req, res) => {
+    try {
+        const type = String(req.params.type || '').replace(/-/g, '_');
+        const { period = 'weekly', date } = req.query;
+        
+        if (!RANKING_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: `无效的榜单类型，可选值: ${RANKING_TYPES.join(', ')}`
+            });
+        }
+        
+        if (!RANKING_PERIODS.includes(period)) {
+            return res.status(400).json({
+                success: false,
+                message: `无效的榜单周期，可选值: ${RANKING_PERIODS.join(', ')}`
+            });
+        }
+        
+        // date格式为YYYY-MM-DD，表示查看包含该日期的时间段
+        let targetDate = new Date();
+        if (date !== undefined) {
+            const match = typeof date === 'string' && date.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+            targetDate = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+            
+            if (!targetDate || isNaN(targetDate.getTime())) {
+                return res.status(400).json({
+                    success: false,
+                    message: '日期格式无效，请使用YYYY-MM-DD'
+                });
+            }
+            
+            if (getPeriodRange(period, targetDate).start > new Date()) {
+                return res.status(400).json({
+                    success: false,
+                    message: '不能查看未来的榜单'
+                });
+            }
+        }
+        
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 50);
+        const snapshot = await RankingSnapshot.getRanking(type, period, targetDate);
+        
+        return res.status(200).json({
+            success: true,
+            data: {
+                type,
+                period,
+                periodStart: snapshot.periodStart,
+                periodEnd: snapshot.periodEnd,
+                isFinal: snapshot.isFinal,
+                generatedAt: snapshot.generatedAt,
+                entries: snapshot.entries.slice(0, limit)
+            }
+        });
+    } catch (error) {
+        console.error('获取排行榜失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
 // 获取最新更新的小说
 export const getLatestNovels = async (req, res) => {
     try {
@@ -495,13 +1064,20 @@ export const getNovelsByCategory = async (req, res) => {
             });
         }
         
-        const skip = (parseInt(page) - 1) * parseInt(limit);
+        if (!isStringParam(category)) {
+            return sendInvalidQuery(res, '分类参数格式无效');
+        }
+        
+        // 分页参数限制在有效范围内，非数字时使用默认值
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+        const skip = (pageNumber - 1) * pageSize;
         
         // 按分类查询小说
         const novels = await Novel.find({ categories: category })
             .sort({ updatedAt: -1 })
             .skip(skip)
-            .limit(parseInt(limit))
+            .limit(pageSize)
             .select('title authorName cover shortDescription status totalChapters readers collections updatedAt');
             
         // 计算总数
@@ -511,8 +1087,8 @@ export const getNovelsByCategory = async (req, res) => {
             success: true,
             count: novels.length,
             total,
-            totalPages: Math.ceil(total / parseInt(limit)),
-            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / pageSize),
+            currentPage: pageNumber,
             category,
             data: novels
         });
@@ -530,40 +1106,37 @@ export const searchNovels = async (req, res) => {
     try {
         const { keyword, limit = 10, page = 1 } = req.query;
         
-        if (!keyword) {
-            return res.status(400).json({
-                success: false,
-                message: '请提供搜索关键词'
-            });
+        // 解析关键词：支持"短语"和-排除词，格式错误时返回400
+        const parsedQuery = parseSearchQuery(keyword);
+        if (parsedQuery.error) {
+            return sendInvalidQuery(res, parsedQuery.error);
         }
         
-        const skip = (parseInt(page) - 1) * parseInt(limit);
+        // 分页参数限制在有效范围内，非数字时使用默认值
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+        const skip = (pageNumber - 1) * pageSize;
         
-        // 构建搜索条件
-        const query = {
-            $or: [
-                { title: { $regex: keyword, $options: 'i' } },
-                { authorName: { $regex: keyword, $options: 'i' } },
-                { tags: { $regex: keyword, $options: 'i' } }
-            ]
-        };
+        // 通过搜索索引查找，按相关度（结合阅读量和收藏数）排序
+        const { novels, total } = await NovelSearchIndex.search(parsedQuery.text, {
+            filter: buildPhraseFilter(parsedQuery),
+            fields: ['title', 'authorName', 'cover', 'shortDescription', 'status', 'totalChapters', 'readers', 'collections', 'tags'],
+            skip,
+            limit: pageSize
+        });
         
-        // 搜索小说
-        const novels = await Novel.find(query)
-            .sort({ readers: -1 })
-            .skip(skip)
-            .limit(parseInt(limit))
-            .select('title authorName cover shortDescription status totalChapters readers collections');
-            
-        // 计算总数
-        const total = await Novel.countDocuments(query);
+        // 记录搜索关键词用于热门搜索（只记录第一页，翻页不重复计数）
+        if (pageNumber === 1) {
+            SearchLog.record(keyword, total)
+                .catch(error => console.error('记录搜索关键词失败:', error));
+        }
         
         return res.status(200).json({
             success: true,
             count: novels.length,
             total,
-            totalPages: Math.ceil(total / parseInt(limit)),
-            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / pageSize),
+            currentPage: pageNumber,
             keyword,
             data: novels
         });
@@ -576,18 +1149,49 @@ export const searchNovels = async (req, res) => {
     }
 };
 
+// 搜索建议 - 输入框自动补全（标题、笔名、标签的前缀匹配，以及热门搜索）
+export const getSearchSuggestions = async (req, res) => {
+    try {
+        const { q = '' } = req.query;
+        
+        if (!isStringParam(q)) {
+            return sendInvalidQuery(res, '搜索关键词格式无效');
+        }
+        
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 10);
+        const prefix = String(q).trim();
+        
+        // 未输入内容时只返回热门搜索
+        const [suggestions, popularQueries] = await Promise.all([
+            prefix
+                ? NovelSearchIndex.suggest(prefix, { limit })
+                : Promise.resolve({ titles: [], authors: [], tags: [] }),
+            SearchLog.getPopular({ prefix, limit: prefix ? limit : 10 })
+        ]);
+        
+        return res.status(200).json({
+            success: true,
+            data: {
+                query: prefix,
+                ...suggestions,
+                popularQueries
+            }
+        });
+    } catch (error) {
+        console.error('获取搜索建议失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
 // 修复小说统计数据
 export const fixNovelStats = async (req, res) => {
     try {
         const { novelId } = req.params;
         
-        // 检查是否是管理员
-        if (!req.user.isAdmin) {
-            return res.status(403).json({
-                success: false,
-                message: '只有管理员可以执行此操作'
-            });
-        }
+        // 管理员权限由路由上的authorize中间件校验
         
         // 如果提供了特定小说ID，只修复该小说
         if (novelId && mongoose.Types.ObjectId.isValid(novelId)) {
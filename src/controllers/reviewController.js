@@ -0,0 +1,397 @@
+import mongoose from 'mongoose';
+import { Novel, ReadingHistory, Review } from '../models/index.js';
+
+/**
+ * 书评控制器
+ *
+ * 处理读者对小说的评分和评价，路由挂载在 /api/novels/:novelId/reviews 下
+ * 书评发生变化后重新统计小说的评分
+ */
+
+// 书评列表的排序方式
+const REVIEW_SORTS = {
+    newest: { createdAt: -1 },
+    helpful: { helpfulCount: -1, createdAt: -1 }
+};
+
+// 书评作者返回的字段
+const REVIEW_USER_FIELDS = 'username avatar penName';
+
+// 校验评分：1-5的整数
+const isValidScore = (score) => Number.isInteger(score) && score >= 1 && score <= 5;
+
+// 查找小说，ID无效或小说不存在时返回null
+const findNovel = async (novelId) => {
+    if (!mongoose.Types.ObjectId.isValid(novelId)) return null;
+    return Novel.findById(novelId).select('creator rating ratingAverage ratingCount ratingDistribution');
+};
+
+// 查找属于该小说的书评
+const findReview = async (novelId, reviewId) => {
+    if (!mongoose.Types.ObjectId.isValid(novelId) || !mongoose.Types.ObjectId.isValid(reviewId)) return null;
+    return Review.findOne({ _id: reviewId, novel: novelId });
+};
+
+// 同步阅读记录中的用户评分（没有阅读记录时不创建）
+const syncReadingHistoryRating = async (userId, novelId, score) => {
+    try {
+        await ReadingHistory.updateOne({ user: userId, novel: novelId }, { $set: { rating: score } });
+    } catch (error) {
+        console.error('同步阅读记录评分失败:', error);
+    }
+};
+
+// 获取小说的书评列表
+export const getNovelReviews = async (req, res) => {
+    try {
+        const { novelId } = req.params;
+        const { sort = 'newest', order = 'desc' } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const currentUserId = req.user ? req.user.id : null;
+
+        const novel = await findNovel(novelId);
+        if (!novel) {
+            return res.status(404).json({
+                success: false,
+                message: '小说不存在'
+            });
+        }
+
+        // 按评分排序时支持升序（先看差评）
+        const sortObj = sort === 'score'
+            ? { score: order === 'asc' ? 1 : -1, createdAt: -1 }
+            : (REVIEW_SORTS[sort] || REVIEW_SORTS.newest);
+
+        const filter = { novel: novelId };
+        if (req.query.score) {
+            const score = parseInt(req.query.score);
+            if (!isValidScore(score)) {
+                return res.status(400).json({
+                    success: false,
+                    message: '评分筛选必须是1-5的整数'
+                });
+            }
+            filter.score = score;
+        }
+
+        const [reviews, total, myReview] = await Promise.all([
+            Review.find(filter)
+                .sort(sortObj)
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .populate('user', REVIEW_USER_FIELDS),
+            Review.countDocuments(filter),
+            currentUserId ? Review.findOne({ novel: novelId, user: currentUserId }) : null
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                reviews: reviews.map(review => review.toPublicJSON(currentUserId)),
+                summary: {
+                    rating: novel.rating,
+                    ratingAverage: novel.ratingAverage,
+                    ratingCount: novel.ratingCount,
+                    ratingDistribution: novel.ratingDistribution
+                },
+                myReview: myReview ? myReview.toPublicJSON(currentUserId) : null,
+                pagination: {
+                    total,
+                    page,
+                    limit,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('获取书评列表失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 发表书评
+export const createReview = async (req, res) => {
+    try {
+        const { novelId } = req.params;
+        const { score, content = '' } = req.body;
+        const userId = req.user.id;
+
+        if (!isValidScore(score)) {
+            return res.status(400).json({
+                success: false,
+                message: '评分必须是1-5的整数'
+            });
+        }
+
+        const novel = await findNovel(novelId);
+        if (!novel) {
+            return res.status(404).json({
+                success: false,
+                message: '小说不存在'
+            });
+        }
+
+        // 作者不能评价自己的作品
+        if (novel.creator.toString() === userId) {
+            return res.status(403).json({
+                success: false,
+                message: '不能评价自己的作品'
+            });
+        }
+
+        const existing = await Review.findOne({ novel: novelId, user: userId }).select('_id');
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                message: '您已经评价过这本小说，可以修改原来的书评',
+                type: 'review_exists',
+                reviewId: existing._id
+            });
+        }
+
+        let review;
+        try {
+            review = await Review.create({
+                novel: novelId,
+                user: userId,
+                score,
+                content: typeof content === 'string' ? content : ''
+            });
+        } catch (createError) {
+            // 并发请求同时创建时由唯一索引拦截
+            if (createError.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: '您已经评价过这本小说，可以修改原来的书评',
+                    type: 'review_exists'
+                });
+            }
+            if (createError.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: Object.values(createError.errors).map(err => err.message).join(', ')
+                });
+            }
+            throw createError;
+        }
+
+        const summary = await Review.updateNovelRating(novelId);
+        await syncReadingHistoryRating(userId, novelId, score);
+        await review.populate('user', REVIEW_USER_FIELDS);
+
+        res.status(201).json({
+            success: true,
+            message: '书评发表成功',
+            data: {
+                review: review.toPublicJSON(userId),
+                summary
+            }
+        });
+    } catch (error) {
+        console.error('发表书评失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 修改书评
+export const updateReview = async (req, res) => {
+    try {
+        const { novelId, reviewId } = req.params;
+        const { score, content } = req.body;
+        const userId = req.user.id;
+
+        const review = await findReview(novelId, reviewId);
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: '书评不存在'
+            });
+        }
+
+        if (review.user.toString() !== userId) {
+            return res.status(403).json({
+                success: false,
+                message: '只能修改自己的书评'
+            });
+        }
+
+        if (score !== undefined) {
+            if (!isValidScore(score)) {
+                return res.status(400).json({
+                    success: false,
+                    message: '评分必须是1-5的整数'
+                });
+            }
+            review.score = score;
+        }
+
+        if (content !== undefined) {
+            review.content = typeof content === 'string' ? content : '';
+        }
+
+        try {
+            await review.save();
+        } catch (saveError) {
+            if (saveError.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: Object.values(saveError.errors).map(err => err.message).join(', ')
+                });
+            }
+            throw saveError;
+        }
+
+        const summary = await Review.updateNovelRating(novelId);
+        await syncReadingHistoryRating(userId, novelId, review.score);
+        await review.populate('user', REVIEW_USER_FIELDS);
+
+        res.status(200).json({
+            success: true,
+            message: '书评已更新',
+            data: {
+                review: review.toPublicJSON(userId),
+                summary
+            }
+        });
+    } catch (error) {
+        console.error('修改书评失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 删除书评（书评作者或管理员）
+export const deleteReview = async (req, res) => {
+    try {
+        const { novelId, reviewId } = req.params;
+        const userId = req.user.id;
+
+        const review = await findReview(novelId, reviewId);
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: '书评不存在'
+            });
+        }
+
+        const isReviewAuthor = review.user.toString() === userId;
+        const isAdmin = req.user.role === 'admin';
+
+        if (!isReviewAuthor && !isAdmin) {
+            return res.status(403).json({
+                success: false,
+                message: '您没有权限删除此书评'
+            });
+        }
+
+        await review.deleteOne();
+
+        const summary = await Review.updateNovelRating(novelId);
+        await syncReadingHistoryRating(review.user, novelId, 0);
+
+        res.status(200).json({
+            success: true,
+            message: '书评已删除',
+            data: { summary }
+        });
+    } catch (error) {
+        console.error('删除书评失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 标记书评有用
+export const markReviewHelpful = async (req, res) => {
+    try {
+        const { novelId, reviewId } = req.params;
+        const userId = req.user.id;
+
+        const review = await findReview(novelId, reviewId);
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: '书评不存在'
+            });
+        }
+
+        if (review.user.toString() === userId) {
+            return res.status(400).json({
+                success: false,
+                message: '不能给自己的书评投票'
+            });
+        }
+
+        // 条件更新，重复投票不会重复计数
+        await Review.updateOne(
+            { _id: review._id, helpfulBy: { $ne: userId } },
+            { $addToSet: { helpfulBy: userId }, $inc: { helpfulCount: 1 } }
+        );
+
+        const updated = await Review.findById(review._id).select('helpfulCount');
+
+        res.status(200).json({
+            success: true,
+            message: '已标记为有用',
+            data: {
+                helpfulCount: updated.helpfulCount,
+                votedHelpful: true
+            }
+        });
+    } catch (error) {
+        console.error('标记书评有用失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 取消标记书评有用
+export const unmarkReviewHelpful = async (req, res) => {
+    try {
+        const { novelId, reviewId } = req.params;
+        const userId = req.user.id;
+
+        const review = await findReview(novelId, reviewId);
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                message: '书评不存在'
+            });
+        }
+
+        await Review.updateOne(
+            { _id: review._id, helpfulBy: userId },
+            { $pull: { helpfulBy: userId }, $inc: { helpfulCount: -1 } }
+        );
+
+        const updated = await Review.findById(review._id).select('helpfulCount');
+
+        res.status(200).json({
+            success: true,
+            message: '已取消标记',
+            data: {
+                helpfulCount: updated.helpfulCount,
+                votedHelpful: false
+            }
+        });
+    } catch (error) {
+        console.error('取消标记书评有用失败:', error);
+        res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
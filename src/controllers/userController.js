@@ -1,12 +1,39 @@
-import { User, ReadingHistory, Favorite, Novel, Chapter, FavoriteFolder } from '../models/index.js';
+import { User, ReadingHistory, Favorite, Novel, Chapter, FavoriteFolder, Session, OAuthState, ApiKey, SecurityEvent, Review } from '../models/index.js';
+import { PUBLISHED_CHAPTER_FILTER } from '../models/chapter.js';
 import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
+import { sendEmailChangeVerification } from '../utils/mailer.js';
+import { getOAuthProvider, listOAuthProviders } from '../config/oauthProviders.js';
+import { createAuthorizationRequest } from '../utils/oidc.js';
+import { API_KEY_SCOPES } from '../config/permissions.js';
+import { recordSecurityEvent } from '../utils/securityLog.js';
+import { setOAuthStateCookie } from '../utils/authCookies.js';
 
 /**
  * 用户控制器 - 处理用户个人中心相关的API请求
  * 包括用户资料、阅读历史、收藏等功能
  */
 
+// 用户文档中不能返回给前端的令牌字段（更新资料时刚生成的令牌仍在内存文档中）
+const PRIVATE_USER_FIELDS = [
+    'password',
+    'emailVerificationToken',
+    'emailVerificationExpires',
+    'passwordResetToken',
+    'passwordResetExpires',
+    'pendingEmailToken',
+    'pendingEmailExpires',
+    'unlockToken',
+    'unlockTokenExpires'
+];
+
+// 去掉令牌字段后的用户信息
+const toPublicUser = (user) => {
+    const data = user.toObject();
+    PRIVATE_USER_FIELDS.forEach(field => delete data[field]);
+    return data;
+};
+
 // 获取当前用户信息
 export const getCurrentUser = async (req, res) => {
     try {
@@ -14,7 +41,7 @@ export const getCurrentUser = async (req, res) => {
         
         // 查询用户信息，不返回敏感字段
         const user = await User.findById(userId)
-            .select('-emailVerificationToken -emailVerificationExpires');
+            .select('-emailVerificationToken -emailVerificationExpires -passwordResetToken -passwordResetExpires -pendingEmailToken');
             
         if (!user) {
             return res.status(404).json({
@@ -44,6 +71,8 @@ export const updateProfile = async (req, res) => {
         // 提取请求体中的数据
         const { 
             username,
+            email,
+            currentPassword,
             avatar,
             penName,
             profile,
@@ -60,6 +89,48 @@ export const updateProfile = async (req, res) => {
             });
         }
         
+        // 更换邮箱：新邮箱验证通过之前不修改当前邮箱
+        let emailChangeToken = null;
+        const newEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+        if (newEmail && newEmail !== user.email) {
+            if (!/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/.test(newEmail)) {
+                return res.status(400).json({
+                    success: false,
+                    message: '请输入有效的邮箱地址'
+                });
+            }
+            
+            // 更换邮箱需要验证当前密码（还没有设置过密码的第三方登录账号除外）
+            if (user.passwordSet !== false) {
+                if (!currentPassword) {
+                    return res.status(400).json({
+                        success: false,
+                        message: '更换邮箱需要提供当前密码'
+                    });
+                }
+                
+                const userWithPassword = await User.findById(userId).select('+password');
+                const isMatch = await userWithPassword.comparePassword(currentPassword);
+                if (!isMatch) {
+                    return res.status(400).json({
+                        success: false,
+                        message: '当前密码错误'
+                    });
+                }
+            }
+            
+            const existingUser = await User.findOne({ email: newEmail });
+            if (existingUser) {
+                return res.status(400).json({
+                    success: false,
+                    message: '该邮箱已被注册'
+                });
+            }
+            
+            emailChangeToken = user.generateEmailChangeToken(newEmail);
+            recordSecurityEvent(req, { type: 'email_change_request', user, metadata: { newEmail } });
+        }
+        
         // 验证用户名唯一性
         if (username && username !== user.username) {
             const existingUser = await User.findOne({ username });
@@ -120,10 +191,25 @@ export const updateProfile = async (req, res) => {
             }
         }
         
+        // 后台发送新邮箱验证邮件
+        if (emailChangeToken) {
+            setTimeout(async () => {
+                try {
+                    await sendEmailChangeVerification(user.pendingEmail, emailChangeToken, user.username);
+                    console.log(`用户 ${userId} 的更换邮箱验证邮件已发送`);
+                } catch (emailError) {
+                    console.error('发送更换邮箱验证邮件失败:', emailError);
+                }
+            }, 0);
+        }
+        
         return res.status(200).json({
             success: true,
-            message: '个人资料更新成功',
-            data: user
+            message: emailChangeToken
+                ? '个人资料更新成功，请前往新邮箱完成验证后生效'
+                : '个人资料更新成功',
+            emailChangePending: !!emailChangeToken,
+            data: toPublicUser(user)
         });
     } catch (error) {
         console.error('更新用户资料失败:', error);
@@ -141,7 +227,7 @@ export const updatePassword = async (req, res) => {
         const { currentPassword, newPassword } = req.body;
         
         // 验证请求数据
-        if (!currentPassword || !newPassword) {
+        if (!newPassword) {
             return res.status(400).json({
                 success: false,
                 message: '请提供当前密码和新密码'
@@ -158,18 +244,32 @@ export const updatePassword = async (req, res) => {
             });
         }
         
-        // 验证当前密码
-        const isMatch = await user.comparePassword(currentPassword);
-        if (!isMatch) {
-            return res.status(400).json({
-                success: false,
-                message: '当前密码错误'
-            });
+        // 通过第三方登录创建、还没有设置过密码的账号可以直接设置密码
+        if (user.passwordSet !== false) {
+            if (!currentPassword) {
+                return res.status(400).json({
+                    success: false,
+                    message: '请提供当前密码和新密码'
+                });
+            }
+            
+            // 验证当前密码
+            const isMatch = await user.comparePassword(currentPassword);
+            if (!isMatch) {
+                recordSecurityEvent(req, { type: 'password_change', user, outcome: 'failure', reason: 'invalid_current_password' });
+                return res.status(400).json({
+                    success: false,
+                    message: '当前密码错误'
+                });
+            }
         }
         
         // 更新密码
         user.password = newPassword;
+        const isFirstPassword = user.passwordSet === false;
+        user.passwordSet = true;
         await user.save();
+        recordSecurityEvent(req, { type: 'password_change', user, reason: isFirstPassword ? 'password_set' : null });
         
         return res.status(200).json({
             success: true,
@@ -542,24 +642,8 @@ export const deleteFavorite = async (req, res) => {
         // 删除收藏与文件夹的关联
         await FavoriteFolder.deleteMany({ user: userId, favorite: favorite._id });
         
-        // MongoDB 4.x及以上版本使用deleteOne代替remove
-        try {
-            // 优先尝试使用remove()方法以触发中间件
-            await favorite.remove(); 
-        } catch (removeError) {
-            console.log('remove()方法失败，尝试使用deleteOne()', removeError);
-            await Favorite.deleteOne({ _id: favorite._id });
-            
-            // 手动更新小说收藏数量
-            try {
-                await Novel.findByIdAndUpdate(
-                    favorite.novel,
-                    { $inc: { collections: -1 } }
-                );
-            } catch (updateError) {
-                console.error('手动更新小说收藏数失败:', updateError);
-            }
-        }
+        // 使用文档的deleteOne()以触发中间件，由中间件更新小说收藏数和排行、相似小说数据
+        await favorite.deleteOne();
         
         return res.status(200).json({
             success: true,
@@ -638,6 +722,7 @@ export const uploadAvatar = async (req, res) => {
         // 更新用户头像
         user.avatar = `/uploads/${req.file.filename}`;
         await user.save();
+        recordSecurityEvent(req, { type: 'avatar_upload', user, metadata: { filename: req.file.filename } });
         
         return res.status(200).json({
             success: true,
@@ -677,6 +762,15 @@ export const deleteAccount = async (req, res) => {
         // 2. 删除收藏记录
         await Favorite.deleteMany({ user: userId });
         
+        // 删除书评并重新统计相关小说的评分
+        const reviewedNovelIds = await Review.distinct('novel', { user: userId });
+        if (reviewedNovelIds.length > 0) {
+            await Review.deleteMany({ user: userId });
+            for (const novelId of reviewedNovelIds) {
+                await Review.updateNovelRating(novelId);
+            }
+        }
+        
         // 3. 如果是作者，可能需要处理他的作品
         if (user.role === 'author') {
             // 这里可以选择删除作品或改为匿名作者
@@ -691,6 +785,7 @@ export const deleteAccount = async (req, res) => {
         
         // 4. 删除用户账号
         await User.findByIdAndDelete(userId);
+        recordSecurityEvent(req, { type: 'account_delete', user, identifier: user.email });
         
         return res.status(200).json({
             success: true,
@@ -729,8 +824,8 @@ export const addReadingHistory = async (req, res) => {
             });
         }
         
-        // 查找该小说的第一章
-        const firstChapter = await Chapter.findOne({ novel: novelId }).sort({ chapterNumber: 1 });
+        // 查找该小说已发布的第一章
+        const firstChapter = await Chapter.findOne({ novel: novelId, ...PUBLISHED_CHAPTER_FILTER }).sort({ chapterNumber: 1 });
         if (!firstChapter) {
             return res.status(404).json({
                 success: false,
@@ -809,7 +904,7 @@ export const updateReadingProgress = async (req, res) => {
         
         // 检查章节是否存在
         const chapter = await Chapter.findById(chapterId);
-        if (!chapter) {
+        if (!chapter || !chapter.isPublished()) {
             return res.status(404).json({
                 success: false,
                 message: '章节不存在'
@@ -949,4 +1044,385 @@ export const getUserFavoritesById = async (req, res) => {
             message: '服务器错误，请稍后再试'
         });
     }
-}; 
\ No newline at end of file
+};
+
+// 获取当前用户的登录会话（已登录的设备）
+export const getSessions = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const currentSessionId = req.authSession ? req.authSession._id.toString() : null;
+        
+        const sessions = await Session.findActiveByUser(userId);
+        
+        const data = sessions.map(session => ({
+            id: session._id,
+            device: session.device,
+            userAgent: session.userAgent,
+            ipAddress: session.ipAddress,
+            lastIpAddress: session.lastIpAddress,
+            firstSeenAt: session.createdAt,
+            lastSeenAt: session.lastSeenAt,
+            isCurrent: session._id.toString() === currentSessionId
+        }));
+        
+        return res.status(200).json({
+            success: true,
+            count: data.length,
+            data
+        });
+    } catch (error) {
+        console.error('获取登录会话失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 移除登录会话（在指定设备上退出登录）
+export const revokeSession = async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { id } = req.params;
+        
+        // 验证ID
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: '无效的会话ID'
+            });
+        }
+        
+        const session = await Session.findOne({ _id: id, user: userId });
+        
+        if (!session || !session.isActive()) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到会话或会话已失效'
+            });
+        }
+        
+        await session.revoke('revoked_by_user');
+        console.log(`用户 ${userId} 移除了会话 ${id}`);
+        recordSecurityEvent(req, { type: 'session_revoke', user: req.user, metadata: { sessionId: session._id } });
+        
+        return res.status(200).json({
+            success: true,
+            message: '已在该设备上退出登录',
+            data: {
+                id: session._id,
+                isCurrent: !!req.authSession && req.authSession._id.toString() === id
+            }
+        });
+    } catch (error) {
+        console.error('移除登录会话失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 获取已绑定的第三方账号
+export const getIdentities = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('identities passwordSet');
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到用户'
+            });
+        }
+        
+        return res.status(200).json({
+            success: true,
+            data: {
+                passwordSet: user.passwordSet !== false,
+                identities: user.getLinkedIdentities(),
+                providers: listOAuthProviders()
+            }
+        });
+    } catch (error) {
+        console.error('获取第三方账号失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 绑定第三方账号 - 生成授权链接，授权完成后由 /api/auth/oauth/:provider/callback 完成绑定
+export const linkIdentity = async (req, res) => {
+    try {
+        const provider = getOAuthProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({
+                success: false,
+                message: '不支持该登录方式'
+            });
+        }
+        
+        const user = await User.findById(req.user.id).select('identities');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到用户'
+            });
+        }
+        
+        if (user.findIdentity(provider.name)) {
+            return res.status(400).json({
+                success: false,
+                message: '您已绑定该平台的账号'
+            });
+        }
+        
+        const { state, nonce, codeVerifier, authorizationUrl } = await createAuthorizationRequest(provider);
+        await OAuthState.createForProvider({
+            state,
+            provider: provider.name,
+            intent: 'link',
+            user: user._id,
+            codeVerifier,
+            nonce
+        });
+        setOAuthStateCookie(res, state);
+        
+        return res.status(200).json({
+            success: true,
+            authorizationUrl
+        });
+    } catch (error) {
+        console.error('创建第三方账号绑定请求失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 解绑第三方账号
+export const unlinkIdentity = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('identities passwordSet');
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到用户'
+            });
+        }
+        
+        const identity = user.findIdentity(req.params.provider);
+        if (!identity) {
+            return res.status(404).json({
+                success: false,
+                message: '未绑定该平台的账号'
+            });
+        }
+        
+        // 没有设置密码时至少保留一种登录方式
+        if (user.passwordSet === false && user.identities.length <= 1) {
+            return res.status(400).json({
+                success: false,
+                message: '请先设置登录密码，再解绑最后一个第三方账号'
+            });
+        }
+        
+        user.identities.pull(identity._id);
+        await user.save();
+        
+        console.log(`用户 ${user._id} 解绑了第三方账号 ${identity.provider}`);
+        recordSecurityEvent(req, { type: 'identity_unlink', user, metadata: { provider: identity.provider } });
+        
+        return res.status(200).json({
+            success: true,
+            message: '解绑成功',
+            data: user.getLinkedIdentities()
+        });
+    } catch (error) {
+        console.error('解绑第三方账号失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 每个用户最多拥有的有效API Key数量
+const MAX_API_KEYS_PER_USER = 10;
+
+// 获取我的API Key列表
+export const getApiKeys = async (req, res) => {
+    try {
+        const apiKeys = await ApiKey.findActiveByUser(req.user._id);
+        
+        return res.status(200).json({
+            success: true,
+            data: apiKeys.map(apiKey => apiKey.toPublicJSON()),
+            scopes: Object.values(API_KEY_SCOPES)
+        });
+    } catch (error) {
+        console.error('获取API Key列表失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 创建API Key，完整Key只在响应中返回这一次
+export const createApiKey = async (req, res) => {
+    try {
+        const { name, scopes, expiresInDays } = req.body;
+        
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: '请填写API Key名称'
+            });
+        }
+        
+        // 校验授权范围
+        const allowedScopes = Object.values(API_KEY_SCOPES);
+        const requestedScopes = Array.isArray(scopes) && scopes.length > 0 ? [...new Set(scopes)] : [API_KEY_SCOPES.READ];
+        const invalidScopes = requestedScopes.filter(scope => !allowedScopes.includes(scope));
+        if (invalidScopes.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `无效的授权范围: ${invalidScopes.join(', ')}`
+            });
+        }
+        
+        // 有效期（天），不填表示永不过期
+        let expiresAt = null;
+        if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+            const days = parseInt(expiresInDays);
+            if (isNaN(days) || days < 1 || days > 365) {
+                return res.status(400).json({
+                    success: false,
+                    message: '有效期必须在1到365天之间'
+                });
+            }
+            expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+        }
+        
+        const activeCount = await ApiKey.countDocuments({
+            user: req.user._id,
+            revokedAt: null,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+        });
+        if (activeCount >= MAX_API_KEYS_PER_USER) {
+            return res.status(400).json({
+                success: false,
+                message: `最多只能创建${MAX_API_KEYS_PER_USER}个API Key，请先删除不再使用的Key`
+            });
+        }
+        
+        const { apiKey, key } = await ApiKey.generate({
+            user: req.user._id,
+            name: name.trim(),
+            scopes: requestedScopes,
+            expiresAt
+        });
+        
+        console.log(`用户 ${req.user._id} 创建了API Key ${apiKey.prefix}，授权范围: ${requestedScopes.join(', ')}`);
+        recordSecurityEvent(req, { type: 'api_key_create', user: req.user, metadata: { prefix: apiKey.prefix, scopes: requestedScopes } });
+        
+        return res.status(201).json({
+            success: true,
+            message: 'API Key创建成功，请立即复制保存，关闭后将无法再次查看',
+            data: {
+                ...apiKey.toPublicJSON(),
+                key
+            }
+        });
+    } catch (error) {
+        console.error('创建API Key失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 吊销API Key
+export const revokeApiKey = async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                message: '无效的API Key ID'
+            });
+        }
+        
+        const apiKey = await ApiKey.findOne({ _id: id, user: req.user._id, revokedAt: null });
+        if (!apiKey) {
+            return res.status(404).json({
+                success: false,
+                message: '未找到该API Key'
+            });
+        }
+        
+        apiKey.revokedAt = new Date();
+        await apiKey.save();
+        
+        console.log(`用户 ${req.user._id} 吊销了API Key ${apiKey.prefix}`);
+        recordSecurityEvent(req, { type: 'api_key_revoke', user: req.user, metadata: { prefix: apiKey.prefix } });
+        
+        return res.status(200).json({
+            success: true,
+            message: 'API Key已删除'
+        });
+    } catch (error) {
+        console.error('吊销API Key失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
+
+// 获取我的安全记录（登录、修改密码等）
+export const getSecurityEvents = async (req, res) => {
+    try {
+        const userId = req.user._id;
+        const { type, limit = 20, page = 1 } = req.query;
+        
+        const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        const currentPage = Math.max(parseInt(page) || 1, 1);
+        
+        const query = { user: userId };
+        if (type) {
+            query.type = { $in: String(type).split(',') };
+        }
+        
+        const [events, total] = await Promise.all([
+            SecurityEvent.find(query)
+                .sort({ createdAt: -1 })
+                .skip((currentPage - 1) * pageSize)
+                .limit(pageSize)
+                .select('-user -identifier')
+                .lean(),
+            SecurityEvent.countDocuments(query)
+        ]);
+        
+        return res.status(200).json({
+            success: true,
+            count: events.length,
+            total,
+            totalPages: Math.ceil(total / pageSize),
+            currentPage,
+            data: events
+        });
+    } catch (error) {
+        console.error('获取安全记录失败:', error);
+        return res.status(500).json({
+            success: false,
+            message: '服务器错误，请稍后再试'
+        });
+    }
+};
@@ -9,8 +9,10 @@ import authorRoutes from './routes/authorRoutes.js';
 import novelRoutes from './routes/novelRoutes.js';
 import folderRoutes from './routes/folderRoutes.js';
 import commentRoutes from './routes/commentRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
 import testRoutes from './routes/test.js';
 import { setupDirectories } from './utils/setupDirectories.js';
+import { startChapterScheduler } from './utils/chapterScheduler.js';
 
 // 使用CommonJS方式导入中间件
 import { createRequire } from 'module';
@@ -23,6 +25,16 @@ const app = express();
 // 配置环境变量
 dotenv.config();
 
+// 反向代理配置：部署在代理之后时通过TRUST_PROXY指定信任的代理（跳数、IP/网段或loopback等），
+// req.ip才会取代理添加的X-Forwarded-For地址；未配置时不信任该请求头，直接使用连接地址
+const parseTrustProxy = (value) => {
+    if (!value || value === 'false') return false;
+    if (value === 'true') return true;
+    if (/^\d+$/.test(value)) return parseInt(value);
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // 中间件
 const allowedOrigins = [
     'http://localhost:3000',
@@ -53,7 +65,7 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Auth-Mode', 'X-CSRF-Token', 'X-API-Key']
 }));
 
 // 设置响应头，确保凭据可以正确传递
@@ -105,11 +117,20 @@ app.use((req, res, next) => {
 app.use((req, res, next) => {
     // 记录所有请求
     console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-    console.log('Request Header:', JSON.stringify(req.headers));
+    // 记录请求头（隐藏凭据）
+    const sanitizedHeaders = { ...req.headers };
+    ['authorization', 'cookie', 'x-api-key', 'x-csrf-token']
+        .forEach(field => {
+            if (sanitizedHeaders[field]) sanitizedHeaders[field] = '[REDACTED]';
+        });
+    console.log('Request Header:', JSON.stringify(sanitizedHeaders));
     
     // 记录请求体 (除了敏感信息)
     const sanitizedBody = { ...req.body };
-    if (sanitizedBody.password) sanitizedBody.password = '[REDACTED]';
+    ['password', 'currentPassword', 'newPassword', 'confirmPassword', 'refreshToken', 'challengeToken', 'code', 'recoveryCode']
+        .forEach(field => {
+            if (sanitizedBody[field]) sanitizedBody[field] = '[REDACTED]';
+        });
     console.log('Request Body:', JSON.stringify(sanitizedBody));
     
     // 保存原始结束函数
@@ -133,6 +154,8 @@ mongoose.connect(process.env.MONGODB_URI)
         console.log('Database connection successful');
         // 确保初始化数据库集合和索引
         initializeDatabase();
+        // 启动章节定时发布任务
+        startChapterScheduler();
     })
     .catch((err) => console.error('Database connection failed:', err));
 
@@ -178,6 +201,7 @@ app.use('/api/author', authorRoutes);
 app.use('/api/novels', novelRoutes);
 app.use('/api/folders', folderRoutes);
 app.use('/api/comments', commentRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/api/test', testRoutes);
 
 // 添加明确的错误处理
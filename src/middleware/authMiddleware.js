@@ -1,19 +1,100 @@
 import jwt from 'jsonwebtoken';
-import { User } from '../models/index.js';
+import { User, Session, ApiKey } from '../models/index.js';
+import { getClientIp } from '../utils/requestInfo.js';
+import { ROLE_PERMISSIONS, roleHasPermission, API_KEY_SCOPES, apiKeyScopesAllow } from '../config/permissions.js';
+import { getAccessTokenFromRequest, isCsrfValid } from '../utils/authCookies.js';
 
 /**
  * 认证中间件
  * 提供强制认证和可选认证两种方式
+ * 访问Token可以来自 Authorization: Bearer 请求头，也可以来自httpOnly Cookie（Cookie模式）
+ * 没有访问Token时也可以使用个人API Key（X-API-Key 请求头）：
+ *   - 默认只能发起GET等只读请求，并且需要read授权范围
+ *   - 使用了acceptApiKeyWrites的路由可以修改数据，由authorize按Key的授权范围校验
  */
 
+// 不修改数据的请求方法
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// 使用API Key认证，成功时返回 { user, apiKey }，失败时返回 { status, type, message }
+const authenticateApiKey = async (req) => {
+    const apiKey = await ApiKey.findActiveByKey(req.headers['x-api-key']);
+    if (!apiKey) {
+        return { status: 401, type: 'invalid_api_key', message: 'API Key无效或已被吊销' };
+    }
+
+    const user = await User.findById(apiKey.user);
+    if (!user) {
+        return { status: 401, type: 'invalid_api_key', message: '用户不存在' };
+    }
+
+    if (SAFE_METHODS.includes(req.method)) {
+        if (!apiKey.hasScope(API_KEY_SCOPES.READ) && !req.apiKeyWritesAccepted) {
+            return { status: 403, type: 'insufficient_scope', message: 'API Key没有read授权范围' };
+        }
+    } else if (!req.apiKeyWritesAccepted) {
+        return { status: 403, type: 'insufficient_scope', message: 'API Key不能用于此操作' };
+    }
+
+    await apiKey.touch(getClientIp(req));
+    return { user, apiKey };
+};
+
+// 允许API Key修改数据的路由使用，必须放在protect之前
+// 这些路由都应该使用authorize，由authorize按API Key的授权范围进行校验
+export const acceptApiKeyWrites = (req, res, next) => {
+    req.apiKeyWritesAccepted = true;
+    next();
+};
+
+// 账号和安全相关的路由使用，必须放在protect之后
+// API Key只用于发布脚本等自动化场景，不能查看登录会话、安全记录、第三方账号和其他API Key
+export const rejectApiKey = (req, res, next) => {
+    if (req.apiKey) {
+        return res.status(403).json({
+            success: false,
+            type: 'api_key_not_allowed',
+            message: '该操作不支持使用API Key，请登录后操作'
+        });
+    }
+    next();
+};
+
+// 检查访问Token所属的会话是否仍然有效，有效时返回会话
+// 没有会话ID的旧Token（会话功能上线前签发的Token）不做会话检查
+const checkTokenSession = async (decoded, req) => {
+    if (!decoded.sid) return { valid: true, session: null };
+
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive() || session.user.toString() !== decoded.id.toString()) {
+        return { valid: false, session: null };
+    }
+
+    await session.touch(getClientIp(req));
+    return { valid: true, session };
+};
+
 // 强制要求用户认证的中间件
 export const protect = async (req, res, next) => {
     try {
-        let token;
+        // 从请求头或Cookie获取token
+        const { token, source } = getAccessTokenFromRequest(req);
 
-        // 从请求头获取token
-        if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-            token = req.headers.authorization.split(' ')[1];
+        // 没有访问Token时尝试使用API Key
+        if (!token && req.headers['x-api-key']) {
+            const result = await authenticateApiKey(req);
+            if (!result.user) {
+                return res.status(result.status).json({
+                    success: false,
+                    type: result.type,
+                    message: result.message
+                });
+            }
+
+            req.user = result.user;
+            req.apiKey = result.apiKey;
+            req.authSession = null;
+            return next();
         }
 
         // 检查token是否存在
@@ -24,6 +105,15 @@ export const protect = async (req, res, next) => {
             });
         }
 
+        // Cookie会被浏览器自动携带，修改数据的请求必须通过CSRF校验
+        if (source === 'cookie' && !isCsrfValid(req)) {
+            return res.status(403).json({
+                success: false,
+                type: 'csrf_failed',
+                message: '安全校验失败，请刷新页面后重试'
+            });
+        }
+
         try {
             // 验证token
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
@@ -37,8 +127,19 @@ export const protect = async (req, res, next) => {
                 });
             }
 
+            // 检查会话是否已被吊销（退出登录或在其他设备上被移除）
+            const { valid, session } = await checkTokenSession(decoded, req);
+            if (!valid) {
+                return res.status(401).json({
+                    success: false,
+                    message: '登录会话已失效，请重新登录',
+                    isSessionRevoked: true
+                });
+            }
+
             // 将用户信息添加到请求对象
             req.user = user;
+            req.authSession = session;
             next();
         } catch (error) {
             // token过期或无效
@@ -60,15 +161,21 @@ export const protect = async (req, res, next) => {
 // 可选认证中间件 - 有token则验证，无token则继续
 export const optionalProtect = async (req, res, next) => {
     try {
-        let token;
+        // 从请求头或Cookie获取token
+        const { token, source } = getAccessTokenFromRequest(req);
 
-        // 从请求头获取token
-        if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-            token = req.headers.authorization.split(' ')[1];
+        // 没有访问Token时尝试使用API Key，无效的Key按未登录处理
+        if (!token && req.headers['x-api-key']) {
+            const result = await authenticateApiKey(req);
+            if (result.user) {
+                req.user = result.user;
+                req.apiKey = result.apiKey;
+            }
+            return next();
         }
 
-        // 如果没有token，直接继续
-        if (!token) {
+        // 如果没有token，直接继续；未通过CSRF校验的Cookie按未登录处理
+        if (!token || (source === 'cookie' && !isCsrfValid(req))) {
             return next();
         }
 
@@ -76,11 +183,15 @@ export const optionalProtect = async (req, res, next) => {
             // 验证token
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-            // 检查用户是否存在
+            // 检查用户是否存在，会话被吊销的Token按未登录处理
             const user = await User.findById(decoded.id);
             if (user) {
-                // 将用户信息添加到请求对象
-                req.user = user;
+                const { valid, session } = await checkTokenSession(decoded, req);
+                if (valid) {
+                    // 将用户信息添加到请求对象
+                    req.user = user;
+                    req.authSession = session;
+                }
             }
             next();
         } catch (error) {
@@ -92,4 +203,39 @@ export const optionalProtect = async (req, res, next) => {
         // 任何错误都不阻止请求继续
         next();
     }
-}; 
\ No newline at end of file
+};
+
+// 授权中间件 - 必须放在protect之后
+// 参数可以是角色（如 'admin'）或权限（如 'novels:write'），满足任意一个即可通过
+export const authorize = (...requirements) => {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: '请先登录'
+            });
+        }
+
+        const role = req.user.role || 'user';
+        const allowed = requirements.some(requirement => {
+            // 角色名（API Key不能代替角色）
+            if (ROLE_PERMISSIONS[requirement]) {
+                return !req.apiKey && role === requirement;
+            }
+            // 权限名，使用API Key时还需要Key拥有对应的授权范围
+            if (req.apiKey && !apiKeyScopesAllow(req.apiKey.scopes, requirement)) {
+                return false;
+            }
+            return roleHasPermission(role, requirement);
+        });
+
+        if (!allowed) {
+            return res.status(403).json({
+                success: false,
+                message: '您没有权限执行此操作'
+            });
+        }
+
+        next();
+    };
+};
@@ -0,0 +1,56 @@
+import { getClientIp } from '../utils/requestInfo.js';
+
+/**
+ * 简单的内存限流中间件
+ * 在固定时间窗口内限制同一客户端的请求次数，超出后返回429
+ * 注意：计数保存在进程内存中，多实例部署时各实例分别计数
+ */
+
+/**
+ * 创建限流中间件
+ * @param {Object} options - { windowMs, max, message, keyGenerator }
+ * @returns {Function} - Express中间件
+ */
+export const rateLimit = ({
+    windowMs = 15 * 60 * 1000,
+    max = 5,
+    message = '请求过于频繁，请稍后再试',
+    keyGenerator = (req) => getClientIp(req)
+} = {}) => {
+    const hits = new Map();
+
+    // 定期清理已过期的计数，避免内存持续增长
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= now) hits.delete(key);
+        }
+    }, windowMs);
+    cleanup.unref();
+
+    return (req, res, next) => {
+        const key = keyGenerator(req);
+        const now = Date.now();
+
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+
+        entry.count += 1;
+
+        if (entry.count > max) {
+            const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                success: false,
+                type: 'rate_limited',
+                retryAfter,
+                message
+            });
+        }
+
+        next();
+    };
+};
@@ -47,6 +47,29 @@ export const uploadCover = upload.single('cover');
 // 导出头像上传中间件
 export const uploadAvatar = upload.single('avatar');
 
+// 导入文件大小限制
+const IMPORT_FILE_SIZE_MB = 20;
+
+// 小说导入文件：TXT、Markdown和EPUB，保存在内存中解析，不写入磁盘
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        const allowedExtensions = ['.txt', '.md', '.markdown', '.epub'];
+        
+        if (allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+            cb(null, true);
+        } else {
+            cb(new Error('不支持的文件类型。只允许 TXT、Markdown 和 EPUB 格式。'), false);
+        }
+    },
+    limits: {
+        fileSize: IMPORT_FILE_SIZE_MB * 1024 * 1024
+    }
+});
+
+// 导出小说导入文件上传中间件
+export const uploadImportFile = importUpload.single('file');
+
 // 错误处理中间件
 export const handleUploadError = (err, req, res, next) => {
     if (err instanceof multer.MulterError) {
@@ -54,7 +77,7 @@ export const handleUploadError = (err, req, res, next) => {
         if (err.code === 'LIMIT_FILE_SIZE') {
             return res.status(400).json({
                 success: false,
-                message: '文件大小不能超过5MB'
+                message: `文件大小不能超过${err.field === 'file' ? IMPORT_FILE_SIZE_MB : 5}MB`
             });
         }
         return res.status(400).json({
@@ -0,0 +1,159 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+/**
+ * 个人API Key模型
+ *
+ * 供作者在脚本和发布工具中使用，数据库中只保存完整Key的SHA-256哈希值
+ * 完整Key只在创建时返回一次，之后只能看到前缀
+ * Key格式：elf_<8位前缀>_<随机密钥>
+ */
+const apiKeySchema = new mongoose.Schema({
+    // 所属用户
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    // 名称，方便用户区分不同用途的Key
+    name: {
+        type: String,
+        required: [true, '请填写API Key名称'],
+        trim: true,
+        maxlength: [50, 'API Key名称不能超过50个字符']
+    },
+
+    // Key前缀（可公开显示）
+    prefix: {
+        type: String,
+        required: true
+    },
+
+    // 完整Key的SHA-256哈希值
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // 授权范围：read / novels:write / chapters:write
+    scopes: {
+        type: [String],
+        default: ['read']
+    },
+
+    // 最近一次使用的时间和IP
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedIp: {
+        type: String,
+        default: null
+    },
+
+    // 过期时间，为null表示永不过期
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+
+    // 吊销时间，为null表示有效
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// 计算Key的哈希值
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Key是否仍然有效
+apiKeySchema.methods.isActive = function() {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// 是否拥有某个授权范围
+apiKeySchema.methods.hasScope = function(scope) {
+    return this.scopes.includes(scope);
+};
+
+// 记录使用情况，距离上次记录不足1分钟时跳过，避免每个请求都写数据库
+apiKeySchema.methods.touch = async function(ipAddress = null) {
+    const now = Date.now();
+    if (this.lastUsedAt && now - this.lastUsedAt.getTime() < 60 * 1000) {
+        return this;
+    }
+
+    try {
+        await this.constructor.updateOne(
+            { _id: this._id },
+            { $set: { lastUsedAt: new Date(now), lastUsedIp: ipAddress } }
+        );
+    } catch (error) {
+        // 使用记录失败不影响请求
+        console.error('更新API Key使用时间失败:', error);
+    }
+    return this;
+};
+
+// 返回给前端的信息（不包含哈希值）
+apiKeySchema.methods.toPublicJSON = function() {
+    return {
+        id: this._id,
+        name: this.name,
+        prefix: this.prefix,
+        scopes: this.scopes,
+        lastUsedAt: this.lastUsedAt,
+        lastUsedIp: this.lastUsedIp,
+        expiresAt: this.expiresAt,
+        createdAt: this.createdAt
+    };
+};
+
+// 生成新的Key，返回 { apiKey, key }，key为完整Key，只能在此时获取
+apiKeySchema.statics.generate = async function({ user, name, scopes, expiresAt = null }) {
+    const prefix = `elf_${crypto.randomBytes(4).toString('hex')}`;
+    const key = `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const apiKey = await this.create({
+        user,
+        name,
+        prefix,
+        keyHash: hashKey(key),
+        scopes,
+        expiresAt
+    });
+
+    return { apiKey, key };
+};
+
+// 根据完整Key查找有效的API Key
+apiKeySchema.statics.findActiveByKey = async function(key) {
+    if (!key || typeof key !== 'string' || !key.startsWith('elf_')) {
+        return null;
+    }
+
+    const apiKey = await this.findOne({ keyHash: hashKey(key.trim()) });
+    return apiKey && apiKey.isActive() ? apiKey : null;
+};
+
+// 获取用户当前有效的Key列表
+apiKeySchema.statics.findActiveByUser = function(userId) {
+    return this.find({
+        user: userId,
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    }).sort({ createdAt: -1 });
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export { ApiKey };
@@ -34,6 +34,13 @@ const chapterSchema = new mongoose.Schema({
         required: true
     },
     
+    // 所属分卷（可选）
+    volume: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Volume',
+        default: null
+    },
+    
     // 创建时间
     createdAt: {
         type: Date,
@@ -74,52 +81,148 @@ const chapterSchema = new mongoose.Schema({
     price: {
         type: Number,
         default: 0
+    },
+    
+    // 发布状态：草稿、定时发布、已发布
+    // 旧数据没有该字段，按已发布处理
+    status: {
+        type: String,
+        enum: ['draft', 'scheduled', 'published'],
+        default: 'published'
+    },
+    
+    // 定时发布时间（status为scheduled时有效）
+    publishAt: {
+        type: Date,
+        default: null
+    },
+    
+    // 实际发布时间
+    publishedAt: {
+        type: Date,
+        default: null
+    }
+});
+
+/**
+ * 读者可见章节的查询条件（草稿和定时发布的章节对读者隐藏）
+ * 使用$nin而不是status: 'published'，兼容没有status字段的旧章节
+ */
+export const PUBLISHED_CHAPTER_FILTER = { status: { $nin: ['draft', 'scheduled'] } };
+
+// 定时发布任务：按发布时间查找到期的章节
+chapterSchema.index({ status: 1, publishAt: 1 });
+
+// 按小说和分卷查询章节
+chapterSchema.index({ novel: 1, volume: 1, chapterNumber: 1 });
+
+// 章节是否对读者可见
+chapterSchema.methods.isPublished = function() {
+    return this.status !== 'draft' && this.status !== 'scheduled';
+};
+
+// 发布时记录发布时间，撤回为草稿或改为定时发布时清除
+chapterSchema.pre('save', function(next) {
+    if (this.isNew || this.isModified('status')) {
+        this.publishedAt = this.isPublished() ? (this.publishedAt || new Date()) : null;
+    }
+    if (this.status !== 'scheduled') {
+        this.publishAt = null;
     }
+    next();
 });
 
+// 中文字数统计，去除空格和标点符号
+// 批量导入使用insertMany不会触发保存钩子，需要直接调用
+export const countChapterWords = (content) => String(content || '').replace(/\s+/g, '').length;
+
 // 保存前计算章节字数
 chapterSchema.pre('save', function(next) {
     // 如果内容被修改或是新章节，重新计算字数
     if (this.isNew || this.isModified('content')) {
-        // 中文字数统计，去除空格和标点符号
-        this.wordCount = this.content.replace(/\s+/g, '').length;
+        this.wordCount = countChapterWords(this.content);
         this.updatedAt = Date.now();
     }
     next();
 });
 
+// 章节保存或发布后更新小说的总章节数、总字数和最新章节
+// 保存钩子和定时发布任务共用
+const syncNovelWithChapter = async (chapter) => {
+    // 获取Novel模型
+    const Novel = mongoose.model('Novel');
+    
+    // 确保novel ID是有效的
+    if (!chapter.novel || !mongoose.Types.ObjectId.isValid(chapter.novel)) {
+        console.error('保存章节后更新小说失败: 无效的小说ID', chapter.novel);
+        return;
+    }
+    
+    const novel = await Novel.findById(chapter.novel);
+    
+    if (!novel) {
+        console.error('保存章节后更新小说失败: 未找到小说', chapter.novel);
+        return;
+    }
+    
+    // 更新小说的总章节数和总字数（只统计已发布的章节）
+    await novel.updateWordCount();
+    
+    // 最新章节为章节号最大的已发布章节（发布、撤回或调整章节号都可能改变）
+    const latestChapter = await chapter.constructor.findOne({ novel: chapter.novel, ...PUBLISHED_CHAPTER_FILTER })
+        .sort({ chapterNumber: -1 })
+        .select('_id');
+    const latestChapterId = latestChapter ? latestChapter._id : null;
+    if (String(novel.latestChapter || '') !== String(latestChapterId || '')) {
+        novel.latestChapter = latestChapterId;
+        await novel.save();
+    }
+};
+
 // 保存后更新小说模型的信息
 chapterSchema.post('save', async function() {
     try {
-        // 获取Novel模型
-        const Novel = mongoose.model('Novel');
-        
-        // 确保novel ID是有效的
-        if (!this.novel || !mongoose.Types.ObjectId.isValid(this.novel)) {
-            console.error('保存章节后更新小说失败: 无效的小说ID', this.novel);
-            return;
-        }
-        
-        const novel = await Novel.findById(this.novel);
-        
-        if (novel) {
-            // 更新小说的总章节数和总字数
-            await novel.updateWordCount();
-            
-            // 如果是新增的章节且章节号大于当前章节数，更新最新章节
-            if (this.chapterNumber >= novel.totalChapters) {
-                novel.latestChapter = this._id;
-                await novel.save();
-            }
-        } else {
-            console.error('保存章节后更新小说失败: 未找到小说', this.novel);
-        }
+        await syncNovelWithChapter(this);
     } catch (error) {
         console.error('更新小说信息失败:', error);
         // 这里我们只记录错误但不抛出，以防阻止章节创建
     }
 });
 
+/**
+ * 发布到期的定时章节
+ * 先用条件更新抢占章节（多个进程同时运行时只会发布一次），再按保存钩子的逻辑更新小说
+ * @param {Date} now - 当前时间
+ * @returns {Promise<number>} - 本次发布的章节数
+ */
+chapterSchema.statics.publishDue = async function(now = new Date()) {
+    const dueChapters = await this.find({ status: 'scheduled', publishAt: { $lte: now } })
+        .sort({ publishAt: 1, chapterNumber: 1 })
+        .select('_id publishAt')
+        .lean();
+    
+    let published = 0;
+    for (const due of dueChapters) {
+        const chapter = await this.findOneAndUpdate(
+            { _id: due._id, status: 'scheduled' },
+            { $set: { status: 'published', publishedAt: due.publishAt, publishAt: null } },
+            { new: true }
+        );
+        if (!chapter) continue;
+        
+        try {
+            await syncNovelWithChapter(chapter);
+        } catch (error) {
+            console.error(`定时发布章节 ${chapter._id} 后更新小说失败:`, error);
+        }
+        
+        published++;
+        console.log(`定时发布章节: 小说 ${chapter.novel} 第${chapter.chapterNumber}章 ${chapter.title}`);
+    }
+    
+    return published;
+};
+
 // 增加章节浏览量的方法
 chapterSchema.methods.incrementViewCount = async function(options = {}) {
     try {
@@ -145,6 +248,13 @@ chapterSchema.methods.incrementViewCount = async function(options = {}) {
                 await this.save();
                 console.log(`章节浏览量更新成功，新值: ${this.viewCount}`);
                 
+                // 记录当天的阅读量，用于排行榜
+                const { NovelActivity } = mongoose.models;
+                if (NovelActivity && this.novel) {
+                    await NovelActivity.record(this.novel, { views: 1 })
+                        .catch(activityError => console.error(`记录小说阅读活动失败: ${activityError.message}`));
+                }
+                
                 // 更新小说的读者统计
                 if (this.novel) {
                     const Novel = mongoose.model('Novel');
@@ -255,7 +365,8 @@ chapterSchema.post('findOneAndDelete', async function(doc, next) {
             
             const latestChapter = await this.model.findOne({
                 novel: chapterInfo.novelId,
-                _id: { $ne: chapterInfo.id }
+                _id: { $ne: chapterInfo.id },
+                ...PUBLISHED_CHAPTER_FILTER
             }).sort({ chapterNumber: -1 }).exec();
             
             novel.latestChapter = latestChapter ? latestChapter._id : null;
@@ -304,7 +415,8 @@ chapterSchema.post('remove', async function() {
             
             const latestChapter = await this.constructor.findOne({
                 novel: this.novel,
-                _id: { $ne: this._id }
+                _id: { $ne: this._id },
+                ...PUBLISHED_CHAPTER_FILTER
             }).sort({ chapterNumber: -1 }).exec();
             
             novel.latestChapter = latestChapter ? latestChapter._id : null;
@@ -355,8 +467,8 @@ chapterSchema.post('deleteMany', async function() {
             return;
         }
         
-        // 查找是否还有章节
-        const remainingChaptersCount = await this.model.countDocuments({ novel: novelId }).exec();
+        // 查找是否还有已发布的章节
+        const remainingChaptersCount = await this.model.countDocuments({ novel: novelId, ...PUBLISHED_CHAPTER_FILTER }).exec();
         console.log(`deleteMany钩子：小说 ${novelId} 剩余章节数：${remainingChaptersCount}`);
         
         // 如果没有剩余章节，清空最新章节引用
@@ -368,7 +480,7 @@ chapterSchema.post('deleteMany', async function() {
         // 如果有章节，更新最新章节引用
         else if (remainingChaptersCount > 0) {
             // 查找最新章节
-            const latestChapter = await this.model.findOne({ novel: novelId })
+            const latestChapter = await this.model.findOne({ novel: novelId, ...PUBLISHED_CHAPTER_FILTER })
                 .sort({ chapterNumber: -1 }).exec();
             
             if (latestChapter && 
@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+
+/**
+ * 章节修订记录模型
+ *
+ * 每次创建、修改或恢复章节时保存一份完整的标题和正文，记录只追加不修改
+ * 误操作覆盖了章节内容时可以对比历史版本并恢复
+ */
+const chapterRevisionSchema = new mongoose.Schema({
+    // 所属章节
+    chapter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chapter',
+        required: true
+    },
+
+    // 所属小说，删除小说时批量清理
+    novel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Novel',
+        required: true,
+        index: true
+    },
+
+    // 修订号，每个章节从1开始递增
+    revision: {
+        type: Number,
+        required: true
+    },
+
+    title: {
+        type: String,
+        required: true
+    },
+
+    content: {
+        type: String,
+        default: ''
+    },
+
+    wordCount: {
+        type: Number,
+        default: 0
+    },
+
+    // 修改人，修订功能上线前的旧章节没有记录修改人
+    editor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    // 修订原因：create创建章节，edit修改章节，restore恢复历史版本，baseline修订功能上线前的原始内容
+    reason: {
+        type: String,
+        enum: ['create', 'edit', 'restore', 'baseline'],
+        default: 'edit'
+    },
+
+    // 从哪个修订号恢复（reason为restore时有效）
+    restoredFrom: {
+        type: Number,
+        default: null
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// 每个章节的修订号唯一
+chapterRevisionSchema.index({ chapter: 1, revision: -1 }, { unique: true });
+
+// 修订记录只追加，不允许修改已保存的记录
+chapterRevisionSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('章节修订记录不可修改'));
+    }
+    next();
+});
+
+// 修订号冲突（并发保存同一章节）时的重试次数
+const MAX_RECORD_ATTEMPTS = 3;
+
+/**
+ * 保存章节当前的标题和正文为一个新的修订
+ * @param {Object} chapter - 章节文档
+ * @param {Object} options - { editor, reason, restoredFrom }
+ * @returns {Promise<Object>} - 新的修订记录
+ */
+chapterRevisionSchema.statics.record = async function(chapter, { editor = null, reason = 'edit', restoredFrom = null } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        const last = await this.findOne({ chapter: chapter._id }).sort({ revision: -1 }).select('revision').lean();
+
+        try {
+            return await this.create({
+                chapter: chapter._id,
+                novel: chapter.novel && chapter.novel._id ? chapter.novel._id : chapter.novel,
+                revision: last ? last.revision + 1 : 1,
+                title: chapter.title,
+                content: chapter.content,
+                wordCount: chapter.wordCount || 0,
+                editor,
+                reason,
+                restoredFrom
+            });
+        } catch (error) {
+            // 修订号被其他请求占用，重新获取
+            if (error.code === 11000 && attempt < MAX_RECORD_ATTEMPTS) continue;
+            throw error;
+        }
+    }
+};
+
+/**
+ * 修订功能上线前创建的章节没有修订记录，修改前先保存原始内容
+ * @param {Object} chapter - 修改前的章节文档
+ */
+chapterRevisionSchema.statics.ensureBaseline = async function(chapter) {
+    const exists = await this.exists({ chapter: chapter._id });
+    if (!exists) {
+        await this.record(chapter, { reason: 'baseline' });
+    }
+};
+
+const ChapterRevision = mongoose.model('ChapterRevision', chapterRevisionSchema);
+
+export { ChapterRevision };
@@ -51,8 +51,16 @@ const favoriteSchema = new mongoose.Schema({
 // 创建复合索引，确保每个用户对每本小说只有一条收藏记录
 favoriteSchema.index({ user: 1, novel: 1 }, { unique: true });
 
+// 记录本次保存是否为新收藏（修改分组或备注时不应增加收藏数）
+favoriteSchema.pre('save', function(next) {
+    this.$locals.wasNew = this.isNew;
+    next();
+});
+
 // 增加小说收藏数的方法
 favoriteSchema.post('save', async function() {
+    if (!this.$locals.wasNew) return;
+    
     try {
         // 获取Novel模型
         const Novel = mongoose.model('Novel');
@@ -60,13 +68,21 @@ favoriteSchema.post('save', async function() {
             this.novel,
             { $inc: { collections: 1 } }
         );
+        
+        // 记录当天的收藏数，用于排行榜
+        const NovelActivity = mongoose.model('NovelActivity');
+        await NovelActivity.record(this.novel, { favorites: 1 });
+        
+        // 收藏变化后，这本小说的相似小说（共同收藏）需要重新计算
+        const NovelSimilarity = mongoose.model('NovelSimilarity');
+        await NovelSimilarity.markStale(this.novel, { includeReferences: false });
     } catch (error) {
         console.error('更新小说收藏数失败:', error);
     }
 });
 
-// 减少小说收藏数的方法
-favoriteSchema.post('remove', async function() {
+// 减少小说收藏数的方法（Mongoose 8没有document.remove()，取消收藏时调用favorite.deleteOne()触发）
+favoriteSchema.post('deleteOne', { document: true, query: false }, async function() {
     try {
         // 获取Novel模型
         const Novel = mongoose.model('Novel');
@@ -74,6 +90,12 @@ favoriteSchema.post('remove', async function() {
             this.novel,
             { $inc: { collections: -1 } }
         );
+        
+        const NovelActivity = mongoose.model('NovelActivity');
+        await NovelActivity.record(this.novel, { favorites: -1 });
+        
+        const NovelSimilarity = mongoose.model('NovelSimilarity');
+        await NovelSimilarity.markStale(this.novel, { includeReferences: false });
     } catch (error) {
         console.error('更新小说收藏数失败:', error);
     }
@@ -13,6 +13,19 @@ import { ChapterViewRecord } from './chapterViewRecord.js';
 import { Folder } from './folder.js';
 import { FavoriteFolder } from './favoriteFolder.js';
 import Comment from './comment.js';
+import { Session } from './session.js';
+import { LoginAttempt } from './loginAttempt.js';
+import { OAuthState } from './oauthState.js';
+import { ApiKey } from './apiKey.js';
+import { SecurityEvent } from './securityEvent.js';
+import { NovelSearchIndex } from './novelSearchIndex.js';
+import { SearchLog } from './searchLog.js';
+import { Review } from './review.js';
+import { NovelActivity } from './novelActivity.js';
+import { RankingSnapshot } from './rankingSnapshot.js';
+import { NovelSimilarity } from './novelSimilarity.js';
+import { Volume } from './volume.js';
+import { ChapterRevision } from './chapterRevision.js';
 
 export {
     User,
@@ -23,7 +36,20 @@ export {
     ChapterViewRecord,
     Folder,
     FavoriteFolder,
-    Comment
+    Comment,
+    Session,
+    LoginAttempt,
+    OAuthState,
+    ApiKey,
+    SecurityEvent,
+    NovelSearchIndex,
+    SearchLog,
+    Review,
+    NovelActivity,
+    RankingSnapshot,
+    NovelSimilarity,
+    Volume,
+    ChapterRevision
 };
 
 // 默认导出所有模型的对象
@@ -36,5 +62,18 @@ export default {
     ChapterViewRecord,
     Folder,
     FavoriteFolder,
-    Comment
+    Comment,
+    Session,
+    LoginAttempt,
+    OAuthState,
+    ApiKey,
+    SecurityEvent,
+    NovelSearchIndex,
+    SearchLog,
+    Review,
+    NovelActivity,
+    RankingSnapshot,
+    NovelSimilarity,
+    Volume,
+    ChapterRevision
 }; 
\ No newline at end of file
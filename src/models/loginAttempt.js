@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+/**
+ * 登录失败记录模型
+ *
+ * 按登录标识（用户名/邮箱）和IP地址分别记录连续失败次数
+ * 超过免费尝试次数后按指数退避暂时拒绝登录，成功登录后清除记录
+ */
+const loginAttemptSchema = new mongoose.Schema({
+    // 记录键，如 identifier:reader@example.com 或 ip:127.0.0.1
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // 连续失败次数
+    count: {
+        type: Number,
+        default: 0
+    },
+
+    // 最近一次失败时间
+    lastFailedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    // 在此时间之前拒绝登录
+    blockedUntil: {
+        type: Date,
+        default: null
+    },
+
+    // 记录过期时间，长时间没有失败的记录自动清理
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// 为expiresAt字段创建TTL索引
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// 失败记录保留时间
+const RECORD_TTL_MS = 24 * 60 * 60 * 1000;
+
+// 退避时间上限
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+
+// 获取仍需等待的毫秒数（取所有键中最长的一个），不需要等待时返回0
+loginAttemptSchema.statics.getRetryAfter = async function(keys) {
+    const now = Date.now();
+    const records = await this.find({
+        key: { $in: keys },
+        blockedUntil: { $gt: new Date(now) }
+    }).select('blockedUntil').lean();
+
+    return records.reduce((max, record) => Math.max(max, record.blockedUntil.getTime() - now), 0);
+};
+
+// 记录一次失败，超过免费尝试次数后等待时间按 1秒、2秒、4秒…… 递增
+loginAttemptSchema.statics.recordFailure = async function(key, freeAttempts = 3) {
+    const now = Date.now();
+    const record = await this.findOneAndUpdate(
+        { key },
+        {
+            $inc: { count: 1 },
+            $set: {
+                lastFailedAt: new Date(now),
+                expiresAt: new Date(now + RECORD_TTL_MS)
+            }
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    if (record.count > freeAttempts) {
+        const exponent = Math.min(record.count - freeAttempts - 1, 20);
+        const backoff = Math.min(1000 * 2 ** exponent, MAX_BACKOFF_MS);
+        record.blockedUntil = new Date(now + backoff);
+        await record.save();
+    }
+
+    return record;
+};
+
+// 清除失败记录
+loginAttemptSchema.statics.reset = async function(keys) {
+    return this.deleteMany({ key: { $in: keys } });
+};
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+export { LoginAttempt };
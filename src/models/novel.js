@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { NovelSearchIndex } from './novelSearchIndex.js';
+import { NovelSimilarity } from './novelSimilarity.js';
 
 /**
  * 小说模型
@@ -86,6 +88,12 @@ const novelSchema = new mongoose.Schema({
         default: '连载中'
     },
     
+    // 完结时间，状态改为"已完结"时记录，用于新完结榜
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    
     // 统计信息
     wordCount: {
         type: Number,
@@ -97,6 +105,12 @@ const novelSchema = new mongoose.Schema({
         default: 0
     },
     
+    // 收费章节数，用于区分免费/付费作品
+    premiumChapters: {
+        type: Number,
+        default: 0
+    },
+    
     readers: {
         type: Number,
         default: 0
@@ -107,6 +121,7 @@ const novelSchema = new mongoose.Schema({
         default: 0
     },
     
+    // 评分（贝叶斯平均，由书评统计得出）
     rating: {
         type: Number,
         default: 0,
@@ -114,6 +129,27 @@ const novelSchema = new mongoose.Schema({
         max: 5
     },
     
+    // 书评的算术平均分
+    ratingAverage: {
+        type: Number,
+        default: 0
+    },
+    
+    // 评分人数
+    ratingCount: {
+        type: Number,
+        default: 0
+    },
+    
+    // 各分数的评分人数
+    ratingDistribution: {
+        1: { type: Number, default: 0 },
+        2: { type: Number, default: 0 },
+        3: { type: Number, default: 0 },
+        4: { type: Number, default: 0 },
+        5: { type: Number, default: 0 }
+    },
+    
     // 时间信息
     createdAt: {
         type: Date,
@@ -155,6 +191,97 @@ novelSchema.pre('save', function(next) {
     next();
 });
 
+// 状态改为"已完结"时记录完结时间，重新连载时清除
+novelSchema.pre('save', function(next) {
+    if (this.isNew || this.isModified('status')) {
+        if (this.status === '已完结') {
+            this.completedAt = this.completedAt || new Date();
+        } else {
+            this.completedAt = null;
+        }
+    }
+    next();
+});
+
+// 参与搜索索引的字段
+const SEARCH_FIELDS = ['title', 'authorName', 'shortDescription', 'longDescription', 'tags', 'categories'];
+
+// 记录本次保存是否修改了搜索字段
+novelSchema.pre('save', function(next) {
+    this.$locals.searchFieldsChanged = this.isNew || SEARCH_FIELDS.some(field => this.isModified(field));
+    next();
+});
+
+// 保存后同步搜索索引（索引失败不影响小说保存）
+novelSchema.post('save', async function(doc) {
+    if (!doc.$locals.searchFieldsChanged) return;
+
+    try {
+        await NovelSearchIndex.syncNovel(doc);
+    } catch (error) {
+        console.error(`同步小说 ${doc._id} 的搜索索引失败:`, error);
+    }
+
+    // 标签、分类或简介变化后，相似小说需要重新计算
+    try {
+        await NovelSimilarity.markStale(doc._id);
+    } catch (error) {
+        console.error(`标记小说 ${doc._id} 的相似小说缓存过期失败:`, error);
+    }
+});
+
+// 删除小说的相似小说缓存，并让包含该小说的其他缓存重新计算
+const removeSimilarityCache = async (novelId) => {
+    try {
+        await NovelSimilarity.deleteOne({ novel: novelId });
+        await NovelSimilarity.markStale(novelId);
+    } catch (error) {
+        console.error(`删除小说 ${novelId} 的相似小说缓存失败:`, error);
+    }
+};
+
+// 删除小说后删除搜索索引和相似小说缓存
+novelSchema.post('findOneAndDelete', async function(doc) {
+    if (!doc) return;
+
+    try {
+        await NovelSearchIndex.removeNovel(doc._id);
+    } catch (error) {
+        console.error(`删除小说 ${doc._id} 的搜索索引失败:`, error);
+    }
+
+    await removeSimilarityCache(doc._id);
+});
+
+novelSchema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    try {
+        await NovelSearchIndex.removeNovel(doc._id);
+    } catch (error) {
+        console.error(`删除小说 ${doc._id} 的搜索索引失败:`, error);
+    }
+
+    await removeSimilarityCache(doc._id);
+});
+
+// 批量更新（如同步笔名）修改了搜索字段时，重建受影响小说的索引
+novelSchema.post('updateMany', async function() {
+    const update = this.getUpdate() || {};
+    const changedFields = Object.keys({ ...update, ...(update.$set || {}) });
+    if (!changedFields.some(field => SEARCH_FIELDS.includes(field))) return;
+
+    try {
+        const novels = await this.model.find(this.getFilter())
+            .select(SEARCH_FIELDS.join(' '))
+            .lean();
+        for (const novel of novels) {
+            await NovelSearchIndex.syncNovel(novel);
+        }
+        console.log(`已重建 ${novels.length} 本小说的搜索索引`);
+    } catch (error) {
+        console.error('批量更新后同步搜索索引失败:', error);
+    }
+});
+
 // 定义虚拟字段 latestChapters，返回最近的几章
 novelSchema.virtual('latestChapters', {
     ref: 'Chapter',
@@ -170,25 +297,29 @@ novelSchema.methods.updateWordCount = async function() {
         
         console.log(`更新小说 ${this._id} 的字数统计开始`);
         
-        // 使用lean()获取原始数据，提高性能
-        const chapters = await Chapter.find({ novel: this._id }).lean();
+        // 使用lean()获取原始数据，提高性能（草稿和定时发布的章节不计入）
+        const chapters = await Chapter.find({ novel: this._id, status: { $nin: ['draft', 'scheduled'] } }).lean();
         
         console.log(`更新小说 ${this._id} 的字数统计，找到 ${chapters.length} 章节`);
         
         let totalWords = 0;
+        let premiumChapters = 0;
         chapters.forEach(chapter => {
             totalWords += chapter.wordCount || 0;
+            if (chapter.isPremium) premiumChapters++;
         });
         
-        console.log(`小说 ${this._id} 的总字数: ${totalWords}，总章节数: ${chapters.length}`);
+        console.log(`小说 ${this._id} 的总字数: ${totalWords}，总章节数: ${chapters.length}，收费章节数: ${premiumChapters}`);
         
         // 显式地设置这些值，确保它们会被保存
         this.wordCount = totalWords;
         this.totalChapters = chapters.length;
+        this.premiumChapters = premiumChapters;
         
         // 标记这些字段为已修改
         this.markModified('wordCount');
         this.markModified('totalChapters');
+        this.markModified('premiumChapters');
         
         // 显式强制保存并等待结果
         console.log(`正在保存小说 ${this._id} 的更新`);
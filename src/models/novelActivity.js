@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+/**
+ * 小说每日活动统计模型
+ *
+ * 按"小说 + 日期"记录当天新增的阅读量和收藏数，每本小说每天最多一条记录
+ * 阅读量在章节浏览量增加时记录，收藏数为当天新增收藏减去取消收藏
+ * 排行榜按时间段汇总这些记录，而不是使用累计的readers和collections字段
+ */
+const novelActivitySchema = new mongoose.Schema({
+    novel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Novel',
+        required: true
+    },
+
+    // 统计日期（当天0点）
+    day: {
+        type: Date,
+        required: true
+    },
+
+    // 当天新增的阅读量
+    views: {
+        type: Number,
+        default: 0
+    },
+
+    // 当天净增的收藏数
+    favorites: {
+        type: Number,
+        default: 0
+    }
+});
+
+// 每本小说每天一条记录
+novelActivitySchema.index({ novel: 1, day: 1 }, { unique: true });
+
+// 按日期汇总排行榜，记录保留400天（足够计算上一年同期的月榜）
+novelActivitySchema.index({ day: 1 }, { expireAfterSeconds: 400 * 24 * 60 * 60 });
+
+/**
+ * 获取某个时间所在日期的0点
+ * @param {Date} date - 时间
+ * @returns {Date}
+ */
+export const startOfDay = (date = new Date()) => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+};
+
+/**
+ * 记录小说的活动
+ * @param {string|ObjectId} novelId - 小说ID
+ * @param {Object} counts - { views, favorites }，可以为负数
+ */
+novelActivitySchema.statics.record = async function(novelId, { views = 0, favorites = 0 } = {}) {
+    if (!novelId || (!views && !favorites)) return;
+
+    await this.updateOne(
+        { novel: novelId, day: startOfDay() },
+        { $inc: { views, favorites } },
+        { upsert: true }
+    );
+};
+
+/**
+ * 汇总时间段内各小说的活动
+ * @param {Date} start - 开始时间（包含）
+ * @param {Date} end - 结束时间（不包含）
+ * @param {Object} options - { field: 排序字段 views/favorites, novelIds: 只统计这些小说, limit }
+ * @returns {Promise<Array>} - [{ _id: 小说ID, views, favorites }]
+ */
+novelActivitySchema.statics.summarize = async function(start, end, { field = 'views', novelIds = null, limit = 0 } = {}) {
+    const match = { day: { $gte: start, $lt: end } };
+    if (novelIds) {
+        match.novel = { $in: novelIds };
+    }
+
+    const pipeline = [
+        { $match: match },
+        { $group: { _id: '$novel', views: { $sum: '$views' }, favorites: { $sum: '$favorites' } } },
+        { $sort: { [field]: -1, _id: 1 } }
+    ];
+    if (limit > 0) {
+        pipeline.push({ $limit: limit });
+    }
+
+    return this.aggregate(pipeline);
+};
+
+const NovelActivity = mongoose.model('NovelActivity', novelActivitySchema);
+
+export { NovelActivity };
@@ -0,0 +1,317 @@
+import mongoose from 'mongoose';
+import { normalizeText, tokenizeForIndex, tokenizeQuery, escapeRegex, getPinyinInitials } from '../utils/tokenizer.js';
+
+/**
+ * 小说搜索索引模型
+ *
+ * 每本小说对应一条索引记录，保存标题、作者、简介、标签等字段分词后的词元及权重
+ * 搜索时按命中词元的权重之和计算相关度，再结合阅读量和收藏数排序
+ * 同时保存标准化后的标题、笔名、标签和标题拼音首字母，用于搜索框的前缀补全
+ * 索引通过Novel模型的钩子自动同步，历史数据可以执行 npm run search:rebuild 重建
+ */
+const novelSearchIndexSchema = new mongoose.Schema({
+    // 对应的小说
+    novel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Novel',
+        required: true,
+        unique: true
+    },
+
+    // 标准化后的标题，用于完整匹配加权
+    title: {
+        type: String,
+        default: ''
+    },
+
+    // 标题拼音首字母，用于搜索建议
+    titleInitials: {
+        type: String,
+        default: ''
+    },
+
+    // 笔名（原文）及标准化后的笔名，用于搜索建议
+    authorName: {
+        type: String,
+        default: ''
+    },
+    authorKey: {
+        type: String,
+        default: ''
+    },
+
+    // 标签（原文）及标准化后的标签，用于搜索建议
+    tags: [{
+        _id: false,
+        key: String,
+        value: String
+    }],
+
+    // 词元及权重
+    postings: [{
+        _id: false,
+        t: String,      // 词元
+        w: Number       // 权重
+    }],
+
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// 按词元查找
+novelSearchIndexSchema.index({ 'postings.t': 1 });
+
+// 搜索建议的前缀匹配（锚定开头的正则可以使用索引）
+novelSearchIndexSchema.index({ title: 1 });
+novelSearchIndexSchema.index({ titleInitials: 1 });
+novelSearchIndexSchema.index({ authorKey: 1 });
+novelSearchIndexSchema.index({ 'tags.key': 1 });
+
+// 各字段的权重
+const FIELD_WEIGHTS = {
+    title: 10,
+    authorName: 8,
+    tags: 6,
+    categories: 4,
+    shortDescription: 2,
+    longDescription: 1
+};
+
+// 同一字段中同一词元最多计算的次数，避免长简介中的高频词压过标题
+const MAX_TERM_FREQUENCY = 3;
+
+// 每条索引最多保存的词元数量
+const MAX_POSTINGS = 3000;
+
+// 多个词元的搜索至少需要命中的比例
+const MIN_COVERAGE = 0.5;
+
+// 搜索关键词最大长度
+const MAX_QUERY_LENGTH = 100;
+
+// 每页搜索结果数量上限
+const MAX_SEARCH_LIMIT = 50;
+
+// 搜索建议前缀的最大长度
+const MAX_PREFIX_LENGTH = 30;
+
+// 每类搜索建议的候选数量上限
+const MAX_SUGGEST_CANDIDATES = 20;
+
+// 计算小说的词元权重
+const buildPostings = (novel) => {
+    const weights = new Map();
+
+    for (const [field, fieldWeight] of Object.entries(FIELD_WEIGHTS)) {
+        const value = novel[field];
+        const text = Array.isArray(value) ? value.join(' ') : value;
+        if (!text) continue;
+
+        // 统计该字段中的词频
+        const frequencies = new Map();
+        for (const token of tokenizeForIndex(text)) {
+            frequencies.set(token, (frequencies.get(token) || 0) + 1);
+        }
+
+        for (const [token, frequency] of frequencies) {
+            const weight = fieldWeight * Math.min(frequency, MAX_TERM_FREQUENCY);
+            weights.set(token, (weights.get(token) || 0) + weight);
+        }
+    }
+
+    return [...weights.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_POSTINGS)
+        .map(([t, w]) => ({ t, w }));
+};
+
+// 同步一本小说的索引
+novelSearchIndexSchema.statics.syncNovel = async function(novel) {
+    return this.findOneAndUpdate(
+        { novel: novel._id },
+        {
+            $set: {
+                title: normalizeText(novel.title),
+                titleInitials: getPinyinInitials(novel.title),
+                authorName: novel.authorName || '',
+                authorKey: normalizeText(novel.authorName),
+                tags: [...new Set((novel.tags || []).filter(Boolean))]
+                    .map(tag => ({ key: normalizeText(tag), value: tag })),
+                postings: buildPostings(novel),
+                updatedAt: new Date()
+            }
+        },
+        { upsert: true, new: true }
+    );
+};
+
+// 删除小说的索引
+novelSearchIndexSchema.statics.removeNovel = async function(novelId) {
+    return this.deleteOne({ novel: novelId });
+};
+
+/**
+ * 按相关度搜索小说
+ * @param {string} keyword - 搜索关键词
+ * @param {Object} options - { filter: 小说筛选条件, fields: 返回的小说字段, skip, limit }
+ * @returns {Promise<Object>} - { novels, total }，novels中每项附带relevance字段
+ */
+novelSearchIndexSchema.statics.search = async function(keyword, { filter = {}, fields = [], skip = 0, limit = 10 } = {}) {
+    const normalizedKeyword = normalizeText(keyword).slice(0, MAX_QUERY_LENGTH);
+    const tokens = tokenizeQuery(normalizedKeyword);
+    if (tokens.length === 0) {
+        return { novels: [], total: 0 };
+    }
+
+    // $skip和$limit不接受负数、0（$limit）或非数字，先限制在有效范围内
+    const safeSkip = Math.max(parseInt(skip) || 0, 0);
+    const safeLimit = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_SEARCH_LIMIT);
+
+    const Novel = mongoose.model('Novel');
+    const novelProjection = Object.fromEntries(fields.map(field => [field, 1]));
+    const matchFilter = Object.keys(filter).length > 0 ? [{ $match: filter }] : [];
+
+    const [result] = await this.aggregate([
+        { $match: { 'postings.t': { $in: tokens } } },
+        {
+            $project: {
+                novel: 1,
+                title: 1,
+                matched: {
+                    $filter: {
+                        input: '$postings',
+                        as: 'posting',
+                        cond: { $in: ['$$posting.t', tokens] }
+                    }
+                }
+            }
+        },
+        {
+            $addFields: {
+                textScore: { $sum: '$matched.w' },
+                coverage: { $divide: [{ $size: '$matched' }, tokens.length] }
+            }
+        },
+        { $match: { coverage: { $gte: tokens.length > 1 ? MIN_COVERAGE : 1 } } },
+        {
+            $lookup: {
+                from: Novel.collection.name,
+                let: { novelId: '$novel' },
+                pipeline: [
+                    { $match: { $expr: { $eq: ['$_id', '$$novelId'] } } },
+                    ...matchFilter,
+                    { $project: { ...novelProjection, readers: 1, collections: 1 } }
+                ],
+                as: 'novel'
+            }
+        },
+        { $unwind: '$novel' },
+        {
+            $addFields: {
+                // 标题与关键词完全相同或包含关键词时加权
+                titleBoost: {
+                    $cond: [
+                        { $eq: ['$title', normalizedKeyword] },
+                        3,
+                        { $cond: [{ $gte: [{ $indexOfCP: ['$title', normalizedKeyword] }, 0] }, 2, 1] }
+                    ]
+                },
+                // 热度加权：阅读量和收藏数取对数，避免热门作品完全压过相关度
+                popularityBoost: {
+                    $add: [
+                        1,
+                        { $multiply: [0.1, { $log10: { $add: [1, { $ifNull: ['$novel.readers', 0] }] } }] },
+                        { $multiply: [0.2, { $log10: { $add: [1, { $ifNull: ['$novel.collections', 0] }] } }] }
+                    ]
+                }
+            }
+        },
+        {
+            $addFields: {
+                relevance: {
+                    $multiply: ['$textScore', '$coverage', '$coverage', '$titleBoost', '$popularityBoost']
+                }
+            }
+        },
+        { $sort: { relevance: -1, 'novel.readers': -1, _id: 1 } },
+        {
+            $facet: {
+                data: [
+                    { $skip: safeSkip },
+                    { $limit: safeLimit },
+                    { $replaceRoot: { newRoot: { $mergeObjects: ['$novel', { relevance: '$relevance' }] } } }
+                ],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]);
+
+    return {
+        novels: result.data,
+        total: result.total.length > 0 ? result.total[0].count : 0
+    };
+};
+
+/**
+ * 搜索建议：按前缀匹配标题、笔名和标签
+ * 纯字母的前缀同时匹配中文标题的拼音首字母
+ * @param {string} prefix - 用户已输入的内容
+ * @param {Object} options - { limit: 每类建议的数量 }
+ * @returns {Promise<Object>} - { titles: [{ novelId, title, authorName }], authors: [{ name, novels }], tags: [{ name, novels }] }
+ */
+novelSearchIndexSchema.statics.suggest = async function(prefix, { limit = 5 } = {}) {
+    const normalizedPrefix = normalizeText(prefix).slice(0, MAX_PREFIX_LENGTH);
+    if (!normalizedPrefix) {
+        return { titles: [], authors: [], tags: [] };
+    }
+
+    const prefixPattern = new RegExp(`^${escapeRegex(normalizedPrefix)}`);
+    const titleConditions = [{ title: prefixPattern }];
+    if (/^[a-z0-9]+$/.test(normalizedPrefix)) {
+        titleConditions.push({ titleInitials: prefixPattern });
+    }
+
+    const Novel = mongoose.model('Novel');
+
+    const [titleMatches, authors, tags] = await Promise.all([
+        this.find({ $or: titleConditions })
+            .select('novel')
+            .limit(MAX_SUGGEST_CANDIDATES)
+            .lean(),
+        this.aggregate([
+            { $match: { authorKey: prefixPattern } },
+            { $group: { _id: '$authorName', novels: { $sum: 1 } } },
+            { $sort: { novels: -1, _id: 1 } },
+            { $limit: limit }
+        ]),
+        this.aggregate([
+            { $match: { 'tags.key': prefixPattern } },
+            { $unwind: '$tags' },
+            { $match: { 'tags.key': prefixPattern } },
+            { $group: { _id: '$tags.value', novels: { $sum: 1 } } },
+            { $sort: { novels: -1, _id: 1 } },
+            { $limit: limit }
+        ])
+    ]);
+
+    // 候选标题按阅读量排序，热门作品优先
+    const novels = titleMatches.length > 0
+        ? await Novel.find({ _id: { $in: titleMatches.map(match => match.novel) } })
+            .select('title authorName')
+            .sort({ readers: -1, _id: 1 })
+            .limit(limit)
+            .lean()
+        : [];
+
+    return {
+        titles: novels.map(novel => ({ novelId: novel._id, title: novel.title, authorName: novel.authorName })),
+        authors: authors.map(author => ({ name: author._id, novels: author.novels })),
+        tags: tags.map(tag => ({ name: tag._id, novels: tag.novels }))
+    };
+};
+
+const NovelSearchIndex = mongoose.model('NovelSearchIndex', novelSearchIndexSchema);
+
+export { NovelSearchIndex };
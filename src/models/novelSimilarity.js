@@ -0,0 +1,246 @@
+import mongoose from 'mongoose';
+import { NovelSearchIndex } from './novelSearchIndex.js';
+
+/**
+ * 相似小说缓存模型
+ *
+ * 每本小说保存一份相似小说列表，相似度由三部分组成：
+ *   - 标签和分类的重合程度
+ *   - 共同收藏：收藏了这本小说的读者还收藏了哪些小说
+ *   - 简介文本：复用搜索索引中的词元，比较权重最高的词元的重合程度
+ * 小说的标签、分类、简介或收藏变化时将缓存标记为过期，下次请求时重新计算
+ */
+const similarEntrySchema = new mongoose.Schema({
+    novel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Novel'
+    },
+    score: Number,
+    // 共同的标签和分类，用于显示"相似原因"
+    sharedTags: [String],
+    sharedCategories: [String],
+    // 共同收藏的读者数
+    coFavorites: Number
+}, { _id: false });
+
+const novelSimilaritySchema = new mongoose.Schema({
+    novel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Novel',
+        required: true,
+        unique: true
+    },
+
+    similar: [similarEntrySchema],
+
+    // 标记为过期后下次请求时重新计算
+    isStale: {
+        type: Boolean,
+        default: false
+    },
+
+    computedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// 小说变化时查找包含该小说的缓存
+novelSimilaritySchema.index({ 'similar.novel': 1 });
+
+// 缓存的相似小说数量
+const MAX_SIMILAR = 30;
+
+// 缓存有效期（共同收藏等数据会缓慢变化，即使没有被标记过期也定期重新计算）
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// 各部分的权重
+const WEIGHTS = {
+    tags: 0.4,
+    coFavorites: 0.35,
+    text: 0.25
+};
+
+// 分类比标签更宽泛，重合时的权重较低
+const CATEGORY_WEIGHT = 0.5;
+
+// 各部分的候选数量上限
+const TAG_CANDIDATES = 200;
+const FAVORITE_USERS = 1000;
+const CO_FAVORITE_CANDIDATES = 100;
+const TEXT_TERMS = 30;
+const TEXT_CANDIDATES = 100;
+
+// 标签和分类的加权Jaccard相似度
+const tagSimilarity = (source, target) => {
+    const weightedSet = (novel) => new Map([
+        ...(novel.categories || []).map(category => [`c:${category}`, CATEGORY_WEIGHT]),
+        ...(novel.tags || []).map(tag => [`t:${tag}`, 1])
+    ]);
+
+    const a = weightedSet(source);
+    const b = weightedSet(target);
+    let intersection = 0;
+    let union = 0;
+    new Set([...a.keys(), ...b.keys()]).forEach(key => {
+        if (a.has(key) && b.has(key)) intersection += a.get(key);
+        union += a.get(key) || b.get(key);
+    });
+    return union > 0 ? intersection / union : 0;
+};
+
+// 共同收藏数：{ novelId => 同时收藏的读者数 }
+const countCoFavorites = async (novelId) => {
+    const Favorite = mongoose.model('Favorite');
+
+    const fans = await Favorite.find({ novel: novelId })
+        .sort({ addedAt: -1 })
+        .limit(FAVORITE_USERS)
+        .select('user')
+        .lean();
+    if (fans.length === 0) return new Map();
+
+    const rows = await Favorite.aggregate([
+        { $match: { user: { $in: fans.map(fan => fan.user) }, novel: { $ne: novelId } } },
+        { $group: { _id: '$novel', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: CO_FAVORITE_CANDIDATES }
+    ]);
+    return new Map(rows.map(row => [String(row._id), row.count]));
+};
+
+// 简介文本相似度：{ novelId => 重合词元的权重之和 }
+const scoreText = async (novelId) => {
+    const sourceIndex = await NovelSearchIndex.findOne({ novel: novelId }).select('postings').lean();
+    if (!sourceIndex || sourceIndex.postings.length === 0) return new Map();
+
+    // postings已按权重从高到低排序，只取单字以外的词元，单字太常见
+    const terms = sourceIndex.postings
+        .filter(posting => Array.from(posting.t).length > 1)
+        .slice(0, TEXT_TERMS);
+    if (terms.length === 0) return new Map();
+
+    const termWeights = Object.fromEntries(terms.map(posting => [posting.t, posting.w]));
+    const termList = Object.keys(termWeights);
+
+    const rows = await NovelSearchIndex.aggregate([
+        { $match: { 'postings.t': { $in: termList }, novel: { $ne: novelId } } },
+        {
+            $project: {
+                novel: 1,
+                matched: {
+                    $filter: {
+                        input: '$postings',
+                        as: 'posting',
+                        cond: { $in: ['$$posting.t', termList] }
+                    }
+                }
+            }
+        },
+        { $project: { novel: 1, terms: '$matched.t' } }
+    ]);
+
+    // 按源小说中的词元权重累加，避免目标小说中的高频词影响结果
+    return new Map(rows
+        .map(row => [String(row.novel), row.terms.reduce((sum, term) => sum + (termWeights[term] || 0), 0)])
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TEXT_CANDIDATES));
+};
+
+/**
+ * 计算并保存小说的相似小说
+ * @param {string|ObjectId} novelId - 小说ID
+ * @returns {Promise<Object|null>} - 保存后的缓存，小说不存在时返回null
+ */
+novelSimilaritySchema.statics.compute = async function(novelId) {
+    const Novel = mongoose.model('Novel');
+    const objectId = new mongoose.Types.ObjectId(String(novelId));
+
+    const source = await Novel.findById(objectId).select('tags categories').lean();
+    if (!source) return null;
+
+    const tagQuery = [];
+    if (source.tags && source.tags.length > 0) tagQuery.push({ tags: { $in: source.tags } });
+    if (source.categories && source.categories.length > 0) tagQuery.push({ categories: { $in: source.categories } });
+
+    const [tagCandidates, coFavorites, textScores] = await Promise.all([
+        tagQuery.length > 0
+            ? Novel.find({ _id: { $ne: objectId }, $or: tagQuery })
+                .sort({ readers: -1 })
+                .limit(TAG_CANDIDATES)
+                .select('_id')
+                .lean()
+            : [],
+        countCoFavorites(objectId),
+        scoreText(objectId)
+    ]);
+
+    const candidateIds = [...new Set([
+        ...tagCandidates.map(novel => String(novel._id)),
+        ...coFavorites.keys(),
+        ...textScores.keys()
+    ])];
+    const candidates = candidateIds.length > 0
+        ? await Novel.find({ _id: { $in: candidateIds } }).select('tags categories readers').lean()
+        : [];
+
+    const maxCoFavorites = Math.max(0, ...coFavorites.values()) || 1;
+    const maxText = Math.max(0, ...textScores.values()) || 1;
+
+    const similar = candidates
+        .map(novel => {
+            const id = String(novel._id);
+            const coFavoriteCount = coFavorites.get(id) || 0;
+            const score = WEIGHTS.tags * tagSimilarity(source, novel)
+                + WEIGHTS.coFavorites * coFavoriteCount / maxCoFavorites
+                + WEIGHTS.text * (textScores.get(id) || 0) / maxText;
+
+            return {
+                novel: novel._id,
+                score: Math.round(score * 1000) / 1000,
+                sharedTags: (novel.tags || []).filter(tag => (source.tags || []).includes(tag)),
+                sharedCategories: (novel.categories || []).filter(category => (source.categories || []).includes(category)),
+                coFavorites: coFavoriteCount,
+                readers: novel.readers || 0
+            };
+        })
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score || b.readers - a.readers)
+        .slice(0, MAX_SIMILAR)
+        .map(({ readers, ...entry }) => entry);
+
+    return this.findOneAndUpdate(
+        { novel: objectId },
+        { $set: { similar, isStale: false, computedAt: new Date() } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+/**
+ * 获取相似小说，缓存过期时重新计算
+ * @param {string|ObjectId} novelId - 小说ID
+ * @returns {Promise<Object|null>}
+ */
+novelSimilaritySchema.statics.getSimilar = async function(novelId) {
+    const cached = await this.findOne({ novel: novelId });
+    if (cached && !cached.isStale && Date.now() - cached.computedAt.getTime() < CACHE_TTL_MS) {
+        return cached;
+    }
+    return this.compute(novelId);
+};
+
+/**
+ * 将小说自身的缓存以及包含该小说的缓存标记为过期
+ * @param {string|ObjectId} novelId - 小说ID
+ * @param {Object} options - { includeReferences: 是否同时标记包含该小说的其他缓存 }
+ */
+novelSimilaritySchema.statics.markStale = async function(novelId, { includeReferences = true } = {}) {
+    const filter = includeReferences
+        ? { $or: [{ novel: novelId }, { 'similar.novel': novelId }] }
+        : { novel: novelId };
+    await this.updateMany(filter, { $set: { isStale: true } });
+};
+
+const NovelSimilarity = mongoose.model('NovelSimilarity', novelSimilaritySchema);
+
+export { NovelSimilarity };
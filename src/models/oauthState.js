@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+/**
+ * 第三方登录授权状态模型
+ *
+ * 跳转到提供方之前保存state、nonce和PKCE的code_verifier
+ * 回调时按state取出并立即删除，保证每个授权请求只能使用一次
+ */
+const oauthStateSchema = new mongoose.Schema({
+    // 随机state，回调时原样返回
+    state: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // 提供方名称
+    provider: {
+        type: String,
+        required: true
+    },
+
+    // 用途：login 登录/注册，link 绑定到已登录的账号
+    intent: {
+        type: String,
+        enum: ['login', 'link'],
+        default: 'login'
+    },
+
+    // 绑定账号时发起请求的用户
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    // PKCE的code_verifier
+    codeVerifier: {
+        type: String,
+        required: true
+    },
+
+    // ID Token中必须携带的nonce
+    nonce: {
+        type: String,
+        required: true
+    },
+
+    // 过期时间，未完成的授权请求自动清理
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// 为expiresAt字段创建TTL索引
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// 授权请求有效期
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// 创建授权状态
+oauthStateSchema.statics.createForProvider = function({ state, provider, intent = 'login', user = null, codeVerifier, nonce }) {
+    return this.create({
+        state,
+        provider,
+        intent,
+        user,
+        codeVerifier,
+        nonce,
+        expiresAt: new Date(Date.now() + STATE_TTL_MS)
+    });
+};
+
+// 取出并删除授权状态，已使用或已过期时返回null
+oauthStateSchema.statics.consume = function(state, provider) {
+    return this.findOneAndDelete({
+        state,
+        provider,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+const OAuthState = mongoose.model('OAuthState', oauthStateSchema);
+
+export { OAuthState };
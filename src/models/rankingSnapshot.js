@@ -0,0 +1,265 @@
+import mongoose from 'mongoose';
+import { NovelActivity, startOfDay } from './novelActivity.js';
+
+/**
+ * 排行榜快照模型
+ *
+ * 每种榜单（最多阅读、最多收藏、上升最快、新完结）按日榜、周榜、月榜分别保存
+ * 当前时间段的榜单每隔几分钟重新计算一次，时间段结束后的榜单不再变化，可以随时回看
+ * 榜单条目保存了小说当时的标题、笔名和封面，小说修改或删除后历史榜单仍可正常显示
+ */
+
+// 榜单类型
+export const RANKING_TYPES = ['most_read', 'most_collected', 'rising', 'newly_completed'];
+
+// 榜单周期
+export const RANKING_PERIODS = ['daily', 'weekly', 'monthly'];
+
+const rankingEntrySchema = new mongoose.Schema({
+    rank: Number,
+    novel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Novel'
+    },
+    title: String,
+    authorName: String,
+    cover: String,
+    // 排序依据的分数（阅读量、收藏数或上升倍数）
+    score: Number,
+    views: Number,
+    favorites: Number,
+    // 上一期的排名，上一期未上榜或没有快照时为null
+    previousRank: {
+        type: Number,
+        default: null
+    }
+}, { _id: false });
+
+const rankingSnapshotSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: RANKING_TYPES,
+        required: true
+    },
+
+    period: {
+        type: String,
+        enum: RANKING_PERIODS,
+        required: true
+    },
+
+    // 时间段的开始（包含）和结束（不包含）
+    periodStart: {
+        type: Date,
+        required: true
+    },
+    periodEnd: {
+        type: Date,
+        required: true
+    },
+
+    // 时间段结束后生成的快照为最终结果，不再重新计算
+    isFinal: {
+        type: Boolean,
+        default: false
+    },
+
+    entries: [rankingEntrySchema],
+
+    generatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// 每种榜单每个时间段一份快照
+rankingSnapshotSchema.index({ type: 1, period: 1, periodStart: -1 }, { unique: true });
+
+// 榜单上的小说数量
+const RANKING_SIZE = 50;
+
+// 当前时间段的榜单重新计算的间隔
+const CURRENT_SNAPSHOT_TTL_MS = 10 * 60 * 1000;
+
+// 上升榜：参与计算的候选数量、最低阅读量和平滑值（避免从1到3的阅读量被算作3倍增长）
+const RISING_CANDIDATES = 500;
+const RISING_MIN_VIEWS = 10;
+const RISING_SMOOTHING = 10;
+
+// 新完结榜最多统计的小说数量
+const COMPLETED_CANDIDATES = 500;
+
+/**
+ * 计算某个时间所在的时间段
+ * 周榜从周一开始，月榜从每月1日开始
+ * @param {string} period - daily / weekly / monthly
+ * @param {Date} date - 时间段内的任意时间
+ * @returns {Object} - { start, end }
+ */
+export const getPeriodRange = (period, date = new Date()) => {
+    const start = startOfDay(date);
+
+    if (period === 'weekly') {
+        const weekday = (start.getDay() + 6) % 7; // 周一为0
+        start.setDate(start.getDate() - weekday);
+    } else if (period === 'monthly') {
+        start.setDate(1);
+    }
+
+    const end = new Date(start);
+    if (period === 'daily') {
+        end.setDate(end.getDate() + 1);
+    } else if (period === 'weekly') {
+        end.setDate(end.getDate() + 7);
+    } else {
+        end.setMonth(end.getMonth() + 1);
+    }
+
+    return { start, end };
+};
+
+// 上一个时间段
+const getPreviousRange = (period, start) => {
+    const previousDay = new Date(start);
+    previousDay.setDate(previousDay.getDate() - 1);
+    return getPeriodRange(period, previousDay);
+};
+
+// 计算榜单的候选条目（按分数从高到低），每项为 { novel, score, views, favorites }
+const computeCandidates = async (type, period, start, end) => {
+    if (type === 'most_read' || type === 'most_collected') {
+        const field = type === 'most_read' ? 'views' : 'favorites';
+        const rows = await NovelActivity.summarize(start, end, { field, limit: RANKING_SIZE });
+        return rows
+            .filter(row => row[field] > 0)
+            .map(row => ({ novel: row._id, score: row[field], views: row.views, favorites: row.favorites }));
+    }
+
+    if (type === 'rising') {
+        const current = await NovelActivity.summarize(start, end, { field: 'views', limit: RISING_CANDIDATES });
+        const candidates = current.filter(row => row.views >= RISING_MIN_VIEWS);
+        if (candidates.length === 0) return [];
+
+        const previousRange = getPreviousRange(period, start);
+        const previous = await NovelActivity.summarize(previousRange.start, previousRange.end, {
+            novelIds: candidates.map(row => row._id)
+        });
+        const previousViews = new Map(previous.map(row => [String(row._id), row.views]));
+
+        return candidates
+            .map(row => {
+                const before = previousViews.get(String(row._id)) || 0;
+                return {
+                    novel: row._id,
+                    score: Math.round((row.views + RISING_SMOOTHING) / (before + RISING_SMOOTHING) * 100) / 100,
+                    views: row.views,
+                    favorites: row.favorites,
+                    increase: row.views - before
+                };
+            })
+            .filter(entry => entry.increase > 0)
+            .sort((a, b) => b.score - a.score || b.increase - a.increase)
+            .slice(0, RANKING_SIZE);
+    }
+
+    // 新完结榜：时间段内完结的小说，按该时间段的阅读量排序
+    const Novel = mongoose.model('Novel');
+    const completed = await Novel.find({ completedAt: { $gte: start, $lt: end } })
+        .sort({ completedAt: -1 })
+        .limit(COMPLETED_CANDIDATES)
+        .select('_id readers')
+        .lean();
+    if (completed.length === 0) return [];
+
+    const activity = await NovelActivity.summarize(start, end, { novelIds: completed.map(novel => novel._id) });
+    const activityByNovel = new Map(activity.map(row => [String(row._id), row]));
+
+    return completed
+        .map(novel => {
+            const row = activityByNovel.get(String(novel._id)) || { views: 0, favorites: 0 };
+            return { novel: novel._id, score: row.views, views: row.views, favorites: row.favorites, readers: novel.readers || 0 };
+        })
+        .sort((a, b) => b.score - a.score || b.readers - a.readers)
+        .slice(0, RANKING_SIZE);
+};
+
+/**
+ * 重新计算并保存某个时间段的榜单
+ * @returns {Promise<Object>} - 保存后的快照
+ */
+rankingSnapshotSchema.statics.generate = async function(type, period, date = new Date()) {
+    const { start, end } = getPeriodRange(period, date);
+    const Novel = mongoose.model('Novel');
+
+    const candidates = await computeCandidates(type, period, start, end);
+
+    // 补充小说信息，已删除的小说不上榜
+    const novels = await Novel.find({ _id: { $in: candidates.map(candidate => candidate.novel) } })
+        .select('title authorName cover')
+        .lean();
+    const novelById = new Map(novels.map(novel => [String(novel._id), novel]));
+
+    // 上一期的排名（只使用已有的快照）
+    const previousRange = getPreviousRange(period, start);
+    const previousSnapshot = await this.findOne({ type, period, periodStart: previousRange.start })
+        .select('entries.novel entries.rank')
+        .lean();
+    const previousRanks = new Map((previousSnapshot ? previousSnapshot.entries : [])
+        .map(entry => [String(entry.novel), entry.rank]));
+
+    const entries = candidates
+        .filter(candidate => novelById.has(String(candidate.novel)))
+        .map((candidate, index) => {
+            const novel = novelById.get(String(candidate.novel));
+            return {
+                rank: index + 1,
+                novel: novel._id,
+                title: novel.title,
+                authorName: novel.authorName,
+                cover: novel.cover,
+                score: candidate.score,
+                views: candidate.views,
+                favorites: candidate.favorites,
+                previousRank: previousRanks.get(String(novel._id)) || null
+            };
+        });
+
+    const generatedAt = new Date();
+    const snapshot = await this.findOneAndUpdate(
+        { type, period, periodStart: start },
+        {
+            $set: {
+                periodEnd: end,
+                isFinal: generatedAt >= end,
+                entries,
+                generatedAt
+            }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`已生成${period}榜单 ${type}（${start.toISOString()}），共 ${entries.length} 本小说`);
+    return snapshot;
+};
+
+/**
+ * 获取榜单：已结束的时间段直接返回保存的快照，当前时间段的快照过期后重新计算
+ * @param {string} type - 榜单类型
+ * @param {string} period - 榜单周期
+ * @param {Date} date - 时间段内的任意时间，默认为当前时间段
+ * @returns {Promise<Object>}
+ */
+rankingSnapshotSchema.statics.getRanking = async function(type, period, date = new Date()) {
+    const { start } = getPeriodRange(period, date);
+    const snapshot = await this.findOne({ type, period, periodStart: start });
+
+    if (snapshot && (snapshot.isFinal || Date.now() - snapshot.generatedAt.getTime() < CURRENT_SNAPSHOT_TTL_MS)) {
+        return snapshot;
+    }
+
+    return this.generate(type, period, date);
+};
+
+const RankingSnapshot = mongoose.model('RankingSnapshot', rankingSnapshotSchema);
+
+export { RankingSnapshot };
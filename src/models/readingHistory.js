@@ -74,6 +74,9 @@ const readingHistorySchema = new mongoose.Schema({
 // 创建复合索引，确保每个用户对每本小说只有一条记录
 readingHistorySchema.index({ user: 1, novel: 1 }, { unique: true });
 
+// 推荐时按小说查找最近的读者
+readingHistorySchema.index({ novel: 1, lastReadAt: -1 });
+
 // 更新阅读历史的方法
 readingHistorySchema.statics.updateHistory = async function(userId, novelId, chapterId, progress = 0) {
     try {
@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+
+/**
+ * 书评模型
+ *
+ * 每个用户对每本小说只能有一条书评，包含1-5分的评分和可选的评价内容
+ * 书评变化后重新统计小说的评分（贝叶斯平均）、评分人数和分数分布
+ */
+const reviewSchema = new mongoose.Schema({
+    // 评价的小说
+    novel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Novel',
+        required: true
+    },
+
+    // 书评作者
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // 评分
+    score: {
+        type: Number,
+        required: [true, '评分是必需的'],
+        min: [1, '评分不能低于1分'],
+        max: [5, '评分不能高于5分'],
+        validate: {
+            validator: Number.isInteger,
+            message: '评分必须是整数'
+        }
+    },
+
+    // 评价内容（可选）
+    content: {
+        type: String,
+        trim: true,
+        default: '',
+        maxlength: [2000, '评价内容不能超过2000个字符']
+    },
+
+    // 认为有用的人数
+    helpfulCount: {
+        type: Number,
+        default: 0
+    },
+
+    // 认为有用的用户
+    helpfulBy: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// 每个用户对每本小说只能有一条书评
+reviewSchema.index({ novel: 1, user: 1 }, { unique: true });
+
+// 书评列表的排序
+reviewSchema.index({ novel: 1, createdAt: -1 });
+reviewSchema.index({ novel: 1, helpfulCount: -1, createdAt: -1 });
+reviewSchema.index({ novel: 1, score: -1, createdAt: -1 });
+
+// 修改评分或内容时更新updatedAt字段
+reviewSchema.pre('save', function(next) {
+    if (!this.isNew && (this.isModified('score') || this.isModified('content'))) {
+        this.updatedAt = Date.now();
+    }
+    next();
+});
+
+// 贝叶斯平均的先验：相当于每本小说预先有 PRIOR_WEIGHT 个 PRIOR_MEAN 分的评分
+// 评分人数少时评分向先验靠拢，避免一两个满分评价就排到最前面
+const PRIOR_MEAN = 3;
+const PRIOR_WEIGHT = 5;
+
+/**
+ * 重新统计小说的评分并保存到小说上
+ * @param {string|ObjectId} novelId - 小说ID
+ * @returns {Promise<Object>} - { rating, ratingAverage, ratingCount, ratingDistribution }
+ */
+reviewSchema.statics.updateNovelRating = async function(novelId) {
+    const Novel = mongoose.model('Novel');
+
+    const groups = await this.aggregate([
+        { $match: { novel: new mongoose.Types.ObjectId(String(novelId)) } },
+        { $group: { _id: '$score', count: { $sum: 1 } } }
+    ]);
+
+    const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let ratingCount = 0;
+    let scoreSum = 0;
+    groups.forEach(group => {
+        ratingDistribution[group._id] = group.count;
+        ratingCount += group.count;
+        scoreSum += group._id * group.count;
+    });
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const stats = {
+        rating: ratingCount > 0 ? round((PRIOR_MEAN * PRIOR_WEIGHT + scoreSum) / (PRIOR_WEIGHT + ratingCount)) : 0,
+        ratingAverage: ratingCount > 0 ? round(scoreSum / ratingCount) : 0,
+        ratingCount,
+        ratingDistribution
+    };
+
+    // 使用updateOne，评分变化不影响小说的更新时间
+    await Novel.updateOne({ _id: novelId }, { $set: stats });
+
+    console.log(`小说 ${novelId} 的评分已更新: ${stats.rating}（${ratingCount}人评分）`);
+    return stats;
+};
+
+// 转换为返回给前端的格式，不暴露点赞用户列表
+reviewSchema.methods.toPublicJSON = function(currentUserId = null) {
+    const review = this.toObject();
+    const userId = review.user && review.user._id ? review.user._id : review.user;
+
+    delete review.helpfulBy;
+    delete review.__v;
+
+    return {
+        ...review,
+        isMine: !!currentUserId && String(userId) === String(currentUserId),
+        votedHelpful: !!currentUserId && this.helpfulBy.some(id => String(id) === String(currentUserId))
+    };
+};
+
+const Review = mongoose.model('Review', reviewSchema);
+
+export { Review };
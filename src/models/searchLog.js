@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import { normalizeText } from '../utils/tokenizer.js';
+
+/**
+ * 搜索记录模型
+ *
+ * 按"关键词 + 日期"汇总搜索次数，每天每个关键词只有一条记录
+ * 用于生成热门搜索列表，只记录有搜索结果的关键词，过期记录自动清理
+ */
+const searchLogSchema = new mongoose.Schema({
+    // 标准化后的关键词
+    query: {
+        type: String,
+        required: true
+    },
+
+    // 统计日期（当天0点）
+    day: {
+        type: Date,
+        required: true
+    },
+
+    // 当天的搜索次数
+    count: {
+        type: Number,
+        default: 0
+    },
+
+    // 最近一次搜索的结果数量
+    lastResultCount: {
+        type: Number,
+        default: 0
+    }
+});
+
+// 每个关键词每天一条记录
+searchLogSchema.index({ query: 1, day: 1 }, { unique: true });
+
+// 按日期统计热门搜索，并在90天后自动清理
+searchLogSchema.index({ day: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// 关键词最大长度，超出的不记录
+const MAX_QUERY_LENGTH = 30;
+
+// 热门搜索的统计天数
+const POPULAR_WINDOW_DAYS = 7;
+
+// 热门搜索缓存的数量和有效期
+const POPULAR_CACHE_SIZE = 100;
+const POPULAR_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// 热门搜索缓存，避免每次输入都执行聚合
+let popularCache = { expiresAt: 0, queries: [] };
+
+// 记录一次搜索
+searchLogSchema.statics.record = async function(keyword, resultCount) {
+    const query = normalizeText(keyword).replace(/\s+/g, ' ');
+    if (!query || query.length > MAX_QUERY_LENGTH || resultCount <= 0) return;
+
+    const day = new Date();
+    day.setHours(0, 0, 0, 0);
+
+    await this.updateOne(
+        { query, day },
+        {
+            $inc: { count: 1 },
+            $set: { lastResultCount: resultCount }
+        },
+        { upsert: true }
+    );
+};
+
+/**
+ * 获取热门搜索
+ * @param {Object} options - { prefix: 只返回以此开头的关键词, limit }
+ * @returns {Promise<Array>} - [{ query, count }]
+ */
+searchLogSchema.statics.getPopular = async function({ prefix = '', limit = 10 } = {}) {
+    if (popularCache.expiresAt <= Date.now()) {
+        const since = new Date(Date.now() - POPULAR_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+        const queries = await this.aggregate([
+            { $match: { day: { $gte: since } } },
+            { $group: { _id: '$query', count: { $sum: '$count' } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: POPULAR_CACHE_SIZE }
+        ]);
+
+        popularCache = {
+            expiresAt: Date.now() + POPULAR_CACHE_TTL_MS,
+            queries: queries.map(item => ({ query: item._id, count: item.count }))
+        };
+    }
+
+    const normalizedPrefix = normalizeText(prefix);
+
+    return popularCache.queries
+        .filter(item => item.query.startsWith(normalizedPrefix))
+        .slice(0, limit);
+};
+
+const SearchLog = mongoose.model('SearchLog', searchLogSchema);
+
+export { SearchLog };
@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+
+/**
+ * 安全事件模型（审计日志）
+ *
+ * 记录登录、退出、修改密码、两步验证设置、删除账号等与账号安全相关的操作
+ * 登录失败时可能找不到对应用户，此时user为空，只记录登录标识
+ */
+
+// 事件类型
+export const SECURITY_EVENT_TYPES = [
+    'login',                    // 密码登录
+    'login_2fa',                // 两步验证登录第二步
+    'oauth_login',              // 第三方登录
+    'logout',                   // 退出登录
+    'logout_all',               // 退出所有设备
+    'token_reuse',              // 检测到刷新Token被重复使用
+    'session_revoke',           // 移除登录设备
+    'password_change',          // 修改密码
+    'password_reset_request',   // 申请重置密码
+    'password_reset',           // 通过邮件重置密码
+    'account_locked',           // 密码错误次数过多被锁定
+    'account_unlock',           // 通过邮件解锁账号
+    'email_verify',             // 验证邮箱
+    'email_change_request',     // 申请更换邮箱
+    'email_change',             // 完成更换邮箱
+    'two_factor_enable',        // 开启两步验证
+    'two_factor_disable',       // 关闭两步验证
+    'recovery_codes_regenerate',// 重新生成恢复码
+    'identity_link',            // 绑定第三方账号
+    'identity_unlink',          // 解绑第三方账号
+    'api_key_create',           // 创建API Key
+    'api_key_revoke',           // 吊销API Key
+    'avatar_upload',            // 上传头像
+    'account_delete'            // 删除账号
+];
+
+const securityEventSchema = new mongoose.Schema({
+    // 相关用户，登录失败且账号不存在时为空
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    // 事件类型
+    type: {
+        type: String,
+        enum: SECURITY_EVENT_TYPES,
+        required: true
+    },
+
+    // 结果：success 成功，failure 失败
+    outcome: {
+        type: String,
+        enum: ['success', 'failure'],
+        default: 'success'
+    },
+
+    // 失败原因或补充说明，如 invalid_credentials
+    reason: {
+        type: String,
+        default: null
+    },
+
+    // 登录时使用的用户名或邮箱（用户不存在时用于追查）
+    identifier: {
+        type: String,
+        default: null
+    },
+
+    // 请求来源IP，取自req.ip（不直接读取客户端可伪造的X-Forwarded-For，见TRUST_PROXY）
+    ipAddress: {
+        type: String,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    device: {
+        browser: String,
+        os: String,
+        type: {
+            type: String,
+            default: 'unknown'
+        }
+    },
+
+    // 其他信息，如第三方平台名称、API Key前缀
+    metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// 用户查看自己的记录、管理员按类型和时间筛选
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+
+// 记录保留一年后自动清理
+securityEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+export { SecurityEvent };
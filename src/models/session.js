@@ -0,0 +1,179 @@
+import mongoose from 'mongoose';
+
+/**
+ * 登录会话模型
+ *
+ * 每次登录创建一个会话，会话中只保存当前有效刷新Token的哈希值
+ * 刷新Token每次使用后都会轮换，同一会话内的所有刷新Token构成一个Token家族
+ * 如果已被轮换掉的旧Token再次出现，说明Token可能泄露，整个会话会被吊销
+ */
+const sessionSchema = new mongoose.Schema({
+    // 关联的用户ID
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    // 当前有效刷新Token的SHA-256哈希值
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+
+    // 登录设备信息
+    userAgent: {
+        type: String,
+        default: ''
+    },
+
+    device: {
+        browser: String,
+        os: String,
+        type: {
+            type: String,
+            default: 'unknown'
+        }
+    },
+
+    // 登录时的IP地址
+    ipAddress: {
+        type: String,
+        default: null
+    },
+
+    // 最近一次活动的IP地址
+    lastIpAddress: {
+        type: String,
+        default: null
+    },
+
+    // 最近一次活动时间（创建时间即首次出现时间）
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    // 轮换次数
+    rotationCount: {
+        type: Number,
+        default: 0
+    },
+
+    // 最近一次轮换时间
+    lastRotatedAt: {
+        type: Date,
+        default: null
+    },
+
+    // 会话过期时间（与当前刷新Token的过期时间一致）
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    // 吊销时间，为null表示会话有效
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+
+    // 吊销原因：logout / logout_all / reuse_detected / password_reset
+    revokedReason: {
+        type: String,
+        default: null
+    },
+
+    // 创建时间
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// 过期的会话由MongoDB自动清理
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// 会话是否仍然有效
+sessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// 吊销会话
+sessionSchema.methods.revoke = async function(reason) {
+    if (this.revokedAt) return this;
+
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    return this.save();
+};
+
+// 使用旧Token哈希原子地轮换刷新Token，旧Token已被使用过时返回null
+sessionSchema.statics.rotate = async function(sessionId, oldHash, newHash, expiresAt, ipAddress = null) {
+    const now = new Date();
+    const update = {
+        refreshTokenHash: newHash,
+        expiresAt,
+        lastRotatedAt: now,
+        lastSeenAt: now
+    };
+    if (ipAddress) update.lastIpAddress = ipAddress;
+
+    return this.findOneAndUpdate(
+        { _id: sessionId, refreshTokenHash: oldHash, revokedAt: null },
+        {
+            $set: update,
+            $inc: { rotationCount: 1 }
+        },
+        { new: true }
+    );
+};
+
+// 记录会话活动，距离上次记录不足5分钟时跳过，避免每个请求都写数据库
+sessionSchema.methods.touch = async function(ipAddress = null) {
+    const now = Date.now();
+    if (this.lastSeenAt && now - this.lastSeenAt.getTime() < 5 * 60 * 1000) {
+        return this;
+    }
+
+    const update = { lastSeenAt: new Date(now) };
+    if (ipAddress) update.lastIpAddress = ipAddress;
+
+    try {
+        await this.constructor.updateOne({ _id: this._id }, { $set: update });
+    } catch (error) {
+        // 活动记录失败不影响请求
+        console.error('更新会话活动时间失败:', error);
+    }
+    return this;
+};
+
+// 获取用户当前有效的会话列表
+sessionSchema.statics.findActiveByUser = function(userId) {
+    return this.find({
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+};
+
+// 吊销用户的所有有效会话
+sessionSchema.statics.revokeAllForUser = async function(userId, reason) {
+    try {
+        const result = await this.updateMany(
+            { user: userId, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+
+        console.log(`已吊销用户 ${userId} 的 ${result.modifiedCount} 个会话，原因: ${reason}`);
+        return result.modifiedCount;
+    } catch (error) {
+        console.error('吊销用户会话失败:', error);
+        throw error;
+    }
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export { Session };
@@ -36,6 +36,44 @@ const userSchema = new mongoose.Schema({
     },
     emailVerificationToken: String,
     emailVerificationExpires: Date,
+    // 最近一次发送验证邮件的时间，用于限制重发频率
+    emailVerificationSentAt: Date,
+
+    // 更换邮箱：新邮箱验证通过之前保存在这里，不影响当前邮箱
+    pendingEmail: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    pendingEmailToken: {
+        type: String,
+        select: false
+    },
+    pendingEmailExpires: {
+        type: Date,
+        select: false
+    },
+
+    // 密码重置相关字段
+    passwordResetToken: String,
+    passwordResetExpires: Date,
+    // 最近一次修改密码的时间，早于该时间签发的刷新Token全部失效
+    passwordChangedAt: Date,
+
+    // 登录保护：连续密码错误次数及账号锁定信息
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lockUntil: Date,
+    unlockToken: {
+        type: String,
+        select: false
+    },
+    unlockTokenExpires: {
+        type: Date,
+        select: false
+    },
 
     password: {
         type: String,
@@ -44,6 +82,76 @@ const userSchema = new mongoose.Schema({
         select: false
     },
 
+    // 是否由用户自己设置过密码（通过第三方登录创建的账号使用随机密码，为false）
+    passwordSet: {
+        type: Boolean,
+        default: true
+    },
+
+    // 已绑定的第三方登录身份
+    identities: [{
+        // 提供方名称
+        provider: {
+            type: String,
+            required: true
+        },
+        // 提供方中的用户唯一标识（ID Token的sub）
+        subject: {
+            type: String,
+            required: true
+        },
+        email: String,
+        emailVerified: {
+            type: Boolean,
+            default: false
+        },
+        name: String,
+        linkedAt: {
+            type: Date,
+            default: Date.now
+        },
+        lastLoginAt: Date
+    }],
+
+    // 两步验证（TOTP）
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        // 已启用的TOTP密钥（Base32）
+        secret: {
+            type: String,
+            select: false
+        },
+        // 绑定中尚未确认的密钥
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        // 恢复码的SHA-256哈希值，每个恢复码只能使用一次
+        recoveryCodes: {
+            type: [String],
+            select: false
+        },
+        // 最近一次使用的TOTP时间步，防止验证码重放
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        // 连续验证失败次数及锁定时间
+        failedAttempts: {
+            type: Number,
+            default: 0,
+            select: false
+        },
+        lockedUntil: {
+            type: Date,
+            select: false
+        },
+        enabledAt: Date
+    },
+
     // 用户头像
     avatar: {
         type: String,
@@ -187,6 +295,11 @@ userSchema.pre('save', async function(next) {
         const salt = await bcrypt.genSalt(10);
         // 加密密码
         this.password = await bcrypt.hash(this.password, salt);
+        
+        // 非新用户修改密码时记录修改时间（提前1秒，避免与随后签发的Token的iat冲突）
+        if (!this.isNew) {
+            this.passwordChangedAt = Date.now() - 1000;
+        }
         next();
     } catch (error) {
         next(error);
@@ -220,10 +333,142 @@ userSchema.methods.generateEmailVerificationToken = function() {
     
     // 设置过期时间（24小时后）
     this.emailVerificationExpires = Date.now() + 24*60*60*1000;
+    this.emailVerificationSentAt = Date.now();
     
     return verificationToken;
 };
 
+// 生成更换邮箱的验证token
+userSchema.methods.generateEmailChangeToken = function(newEmail) {
+    // 生成随机token
+    const changeToken = crypto.randomBytes(32).toString('hex');
+    
+    this.pendingEmail = newEmail;
+    this.pendingEmailToken = crypto
+        .createHash('sha256')
+        .update(changeToken)
+        .digest('hex');
+    
+    // 设置过期时间（24小时后）
+    this.pendingEmailExpires = Date.now() + 24*60*60*1000;
+    
+    return changeToken;
+};
+
+// 查找已绑定的第三方身份
+userSchema.methods.findIdentity = function(provider) {
+    return (this.identities || []).find(identity => identity.provider === provider) || null;
+};
+
+// 获取可以返回给前端的第三方身份列表
+userSchema.methods.getLinkedIdentities = function() {
+    return (this.identities || []).map(identity => ({
+        provider: identity.provider,
+        email: identity.email,
+        name: identity.name,
+        linkedAt: identity.linkedAt,
+        lastLoginAt: identity.lastLoginAt
+    }));
+};
+
+// 生成密码重置token
+userSchema.methods.generatePasswordResetToken = function() {
+    // 生成随机token
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    
+    // 只在用户文档中保存哈希值
+    this.passwordResetToken = crypto
+        .createHash('sha256')
+        .update(resetToken)
+        .digest('hex');
+    
+    // 设置过期时间（1小时后）
+    this.passwordResetExpires = Date.now() + 60*60*1000;
+    
+    return resetToken;
+};
+
+// 检查密码是否在Token签发之后被修改过（JWTTimestamp为秒）
+userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
+    if (!this.passwordChangedAt) return false;
+    return Math.floor(this.passwordChangedAt.getTime() / 1000) > JWTTimestamp;
+};
+
+// 账号是否处于锁定状态
+userSchema.methods.isLocked = function() {
+    return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// 记录一次密码错误，达到上限时锁定账号，返回本次是否触发锁定
+userSchema.methods.registerFailedLogin = async function(maxAttempts, lockDurationMs) {
+    this.failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+    
+    let locked = false;
+    if (this.failedLoginAttempts >= maxAttempts) {
+        this.lockUntil = Date.now() + lockDurationMs;
+        this.failedLoginAttempts = 0;
+        locked = true;
+    }
+    
+    await this.save();
+    return locked;
+};
+
+// 清除密码错误记录和锁定状态
+userSchema.methods.resetLoginAttempts = function() {
+    this.failedLoginAttempts = 0;
+    this.lockUntil = undefined;
+    this.unlockToken = undefined;
+    this.unlockTokenExpires = undefined;
+};
+
+// 生成账号解锁token
+userSchema.methods.generateUnlockToken = function() {
+    const unlockToken = crypto.randomBytes(32).toString('hex');
+    
+    this.unlockToken = crypto
+        .createHash('sha256')
+        .update(unlockToken)
+        .digest('hex');
+    
+    // 解锁链接24小时内有效
+    this.unlockTokenExpires = Date.now() + 24*60*60*1000;
+    
+    return unlockToken;
+};
+
+// 生成两步验证恢复码，返回明文（只展示一次），文档中只保存哈希值
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    
+    this.twoFactor.recoveryCodes = codes.map(code => crypto
+        .createHash('sha256')
+        .update(code)
+        .digest('hex'));
+    
+    return codes;
+};
+
+// 使用恢复码（需要查询时包含 +twoFactor.recoveryCodes），成功时移除该恢复码
+userSchema.methods.useRecoveryCode = function(code) {
+    if (!code || !this.twoFactor || !this.twoFactor.recoveryCodes) return false;
+    
+    const hashedCode = crypto
+        .createHash('sha256')
+        .update(String(code).trim().toLowerCase())
+        .digest('hex');
+    
+    const index = this.twoFactor.recoveryCodes.indexOf(hashedCode);
+    if (index === -1) return false;
+    
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+};
+
 // 更新用户阅读统计数据的方法
 userSchema.methods.updateReadingStats = async function() {
     try {
@@ -285,7 +530,7 @@ userSchema.methods.updateAuthorStats = async function() {
         const novelIds = novels.map(novel => novel._id);
         console.log(`小说ID列表: ${novelIds.join(', ')}`);
         
-        const totalChapters = await Chapter.countDocuments({ novel: { $in: novelIds } });
+        const totalChapters = await Chapter.countDocuments({ novel: { $in: novelIds }, status: { $nin: ['draft', 'scheduled'] } });
         console.log(`作者总章节数: ${totalChapters}`);
         
         this.authorProfile.totalChapters = totalChapters;
@@ -312,6 +557,11 @@ userSchema.methods.updateLastLogin = function() {
 // 注：索引定义放在创建模型之前，以免重复创建索引
 userSchema.index({ username: 1 }, { unique: true, background: true });
 userSchema.index({ email: 1 }, { unique: true, background: true });
+// 同一个第三方身份只能绑定一个账号
+userSchema.index(
+    { 'identities.provider': 1, 'identities.subject': 1 },
+    { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 // 创建用户模型
 const User = mongoose.model('User', userSchema);
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+/**
+ * 分卷模型
+ *
+ * 长篇小说按卷组织章节，每卷有标题、简介和排序
+ * 章节通过volume字段关联到分卷，未关联分卷的章节在目录中归入"未分卷"
+ */
+const volumeSchema = new mongoose.Schema({
+    // 所属小说
+    novel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Novel',
+        required: true
+    },
+
+    // 分卷标题
+    title: {
+        type: String,
+        required: [true, '分卷标题是必需的'],
+        trim: true,
+        maxlength: [100, '分卷标题不能超过100个字符']
+    },
+
+    // 分卷简介
+    description: {
+        type: String,
+        trim: true,
+        default: '',
+        maxlength: [1000, '分卷简介不能超过1000个字符']
+    },
+
+    // 排序，数字越小越靠前
+    order: {
+        type: Number,
+        required: true
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// 按小说查询并排序
+volumeSchema.index({ novel: 1, order: 1 });
+
+// 修改时更新updatedAt字段
+volumeSchema.pre('save', function(next) {
+    if (!this.isNew && this.isModified()) {
+        this.updatedAt = Date.now();
+    }
+    next();
+});
+
+// 获取小说下一个分卷的排序值
+volumeSchema.statics.getNextOrder = async function(novelId) {
+    const lastVolume = await this.findOne({ novel: novelId }).sort({ order: -1 }).select('order').lean();
+    return lastVolume ? lastVolume.order + 1 : 1;
+};
+
+const Volume = mongoose.model('Volume', volumeSchema);
+
+export { Volume };
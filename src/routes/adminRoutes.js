@@ -0,0 +1,16 @@
+import express from 'express';
+import * as adminController from '../controllers/adminController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+const router = express.Router();
+
+/**
+ * 管理员路由
+ * 所有路由都需要登录并拥有对应的管理权限
+ */
+
+// 查询安全记录
+router.get('/security-events', protect, authorize(PERMISSIONS.ADMIN_SECURITY), adminController.getSecurityEvents);
+
+export default router;
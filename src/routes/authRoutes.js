@@ -1,19 +1,75 @@
 import express from 'express';
 import * as authController from '../controllers/authController.js';
 import { protect } from '../middleware/authMiddleware.js';
+import { rateLimit } from '../middleware/rateLimitMiddleware.js';
+import { getClientIp } from '../utils/requestInfo.js';
 
 const router = express.Router();
 
+// 重发验证邮件限流：同一IP每15分钟最多5次
+const resendVerificationLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    message: '验证邮件发送过于频繁，请稍后再试'
+});
+
+// 重发验证邮件限流：同一目标邮箱每15分钟最多5次，避免通过更换IP向同一邮箱反复发信
+const resendVerificationEmailLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    message: '验证邮件发送过于频繁，请稍后再试',
+    keyGenerator: (req) => {
+        const email = req.body && typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+        return email ? `email:${email}` : `ip:${getClientIp(req)}`;
+    }
+});
+
 // 注册路由
 router.post('/register', authController.register);
 
 // 登录路由
 router.post('/login', authController.login);
 
+// 两步验证登录路由（登录第二步）
+router.post('/login/2fa', authController.verifyTwoFactorLogin);
+
 // 验证邮箱路由
 router.get('/verify-email/:token', authController.verifyEmail);
 
+// 重发验证邮件路由
+router.post('/resend-verification', resendVerificationLimiter, resendVerificationEmailLimiter, authController.resendVerification);
+
+// 确认更换邮箱路由
+router.get('/confirm-email-change/:token', authController.confirmEmailChange);
+
 // 刷新Token路由
 router.post('/refresh-token', authController.refreshToken);
 
+// 解锁账号路由
+router.get('/unlock-account/:token', authController.unlockAccount);
+
+// 退出登录路由
+router.post('/logout', authController.logout);
+
+// 退出所有设备路由
+router.post('/logout-all', protect, authController.logoutAll);
+
+// 忘记密码路由
+router.post('/forgot-password', authController.forgotPassword);
+
+// 重置密码路由
+router.post('/reset-password/:token', authController.resetPassword);
+
+// 第三方登录（OpenID Connect）路由
+router.get('/oauth/providers', authController.getOAuthProviders);
+router.get('/oauth/:provider', authController.startOAuthLogin);
+router.post('/oauth/:provider/callback', authController.oauthCallback);
+
+// 两步验证管理路由
+router.get('/2fa', protect, authController.getTwoFactorStatus);
+router.post('/2fa/setup', protect, authController.setupTwoFactor);
+router.post('/2fa/enable', protect, authController.enableTwoFactor);
+router.post('/2fa/disable', protect, authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, authController.regenerateRecoveryCodes);
+
 export default router; 
\ No newline at end of file
@@ -1,41 +1,71 @@
 import express from 'express';
 import * as authorController from '../controllers/authorController.js';
-import { protect } from '../middleware/authMiddleware.js';
-import { uploadCover, handleUploadError } from '../middleware/uploadMiddleware.js';
+import { protect, authorize, acceptApiKeyWrites } from '../middleware/authMiddleware.js';
+import { uploadCover, uploadImportFile, handleUploadError } from '../middleware/uploadMiddleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
 
 const router = express.Router();
 
 /**
  * 作者相关路由
  * 所有路由都需要用户认证中间件保护
+ * 创建小说和作者后台对所有用户开放（第一次创建小说时成为作者），其余操作需要作者权限
+ * 发布工具可以使用个人API Key调用这些接口，authorize会校验Key的授权范围
  */
 
+router.use(acceptApiKeyWrites);
+
+const canCreateNovels = authorize(PERMISSIONS.NOVELS_CREATE);
+const canWriteNovels = authorize(PERMISSIONS.NOVELS_WRITE);
+const canWriteChapters = authorize(PERMISSIONS.CHAPTERS_WRITE);
+
 // 获取我的小说列表
-router.get('/novels', protect, authorController.getMyNovels);
+router.get('/novels', protect, canCreateNovels, authorController.getMyNovels);
 
 // 获取作者统计信息
-router.get('/stats', protect, authorController.getAuthorStats);
+router.get('/stats', protect, canCreateNovels, authorController.getAuthorStats);
 
 // 小说管理
-router.post('/novels', protect, authorController.createNovel);
-router.get('/novels/:novelId', protect, authorController.getNovelDetail);
-router.put('/novels/:novelId', protect, uploadCover, handleUploadError, authorController.updateNovel);
-router.delete('/novels/:novelId', protect, authorController.deleteNovel);
+router.post('/novels', protect, canCreateNovels, authorController.createNovel);
+router.get('/novels/:novelId', protect, canWriteNovels, authorController.getNovelDetail);
+router.put('/novels/:novelId', protect, canWriteNovels, uploadCover, handleUploadError, authorController.updateNovel);
+router.delete('/novels/:novelId', protect, canWriteNovels, authorController.deleteNovel);
 
 // 添加小说状态更新路由
-router.patch('/novels/:novelId/status', protect, authorController.updateNovelStatus);
+router.patch('/novels/:novelId/status', protect, canWriteNovels, authorController.updateNovelStatus);
 // 同时支持PUT方法
-router.put('/novels/:novelId/status', protect, authorController.updateNovelStatus);
+router.put('/novels/:novelId/status', protect, canWriteNovels, authorController.updateNovelStatus);
 
 // 封面管理
-router.post('/novels/:novelId/cover', protect, uploadCover, handleUploadError, authorController.uploadNovelCover);
-router.post('/novels/:novelId/cover-template', protect, authorController.setNovelCoverTemplate);
+router.post('/novels/:novelId/cover', protect, canWriteNovels, uploadCover, handleUploadError, authorController.uploadNovelCover);
+router.post('/novels/:novelId/cover-template', protect, canWriteNovels, authorController.setNovelCoverTemplate);
 
 // 章节管理
-router.get('/novels/:novelId/chapters', protect, authorController.getNovelChapters);
-router.post('/novels/:novelId/chapters', protect, authorController.createChapter);
-router.get('/novels/:novelId/chapters/:chapterId', protect, authorController.getChapterDetail);
-router.put('/novels/:novelId/chapters/:chapterId', protect, authorController.updateChapter);
-router.delete('/novels/:novelId/chapters/:chapterId', protect, authorController.deleteChapter);
+router.get('/novels/:novelId/chapters', protect, canWriteChapters, authorController.getNovelChapters);
+router.post('/novels/:novelId/chapters', protect, canWriteChapters, authorController.createChapter);
+// 批量调整章节顺序（需在 /chapters/:chapterId 之前注册）
+router.put('/novels/:novelId/chapters/order', protect, canWriteChapters, authorController.reorderChapters);
+router.get('/novels/:novelId/chapters/:chapterId', protect, canWriteChapters, authorController.getChapterDetail);
+router.put('/novels/:novelId/chapters/:chapterId', protect, canWriteChapters, authorController.updateChapter);
+router.delete('/novels/:novelId/chapters/:chapterId', protect, canWriteChapters, authorController.deleteChapter);
+
+// 从TXT、Markdown或EPUB文件导入章节（先预览，确认后导入）
+router.post('/novels/:novelId/import/preview', protect, canWriteChapters, uploadImportFile, handleUploadError, authorController.previewNovelImport);
+router.post('/novels/:novelId/import', protect, canWriteChapters, uploadImportFile, handleUploadError, authorController.importNovelChapters);
+
+// 章节修订记录
+router.get('/novels/:novelId/chapters/:chapterId/revisions', protect, canWriteChapters, authorController.getChapterRevisions);
+router.get('/novels/:novelId/chapters/:chapterId/revisions/diff', protect, canWriteChapters, authorController.diffChapterRevisions);
+router.get('/novels/:novelId/chapters/:chapterId/revisions/:revision', protect, canWriteChapters, authorController.getChapterRevision);
+router.post('/novels/:novelId/chapters/:chapterId/revisions/:revision/restore', protect, canWriteChapters, authorController.restoreChapterRevision);
+
+// 发布队列（所有小说中等待定时发布的章节）
+router.get('/publish-queue', protect, canWriteChapters, authorController.getPublishQueue);
+
+// 分卷管理
+router.get('/novels/:novelId/volumes', protect, canWriteChapters, authorController.getVolumes);
+router.post('/novels/:novelId/volumes', protect, canWriteChapters, authorController.createVolume);
+router.put('/novels/:novelId/volumes/:volumeId', protect, canWriteChapters, authorController.updateVolume);
+router.delete('/novels/:novelId/volumes/:volumeId', protect, canWriteChapters, authorController.deleteVolume);
 
 export default router; 
\ No newline at end of file
@@ -1,9 +1,19 @@
 import express from 'express';
 import * as novelController from '../controllers/novelController.js';
-import { protect, optionalProtect } from '../middleware/authMiddleware.js';
+import { protect, optionalProtect, authorize } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { rateLimit } from '../middleware/rateLimitMiddleware.js';
+import reviewRoutes from './reviewRoutes.js';
 
 const router = express.Router();
 
+// 导出限流：生成文件开销较大，同一IP每分钟最多10次
+const exportLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 10,
+    message: '导出过于频繁，请稍后再试'
+});
+
 /**
  * 小说阅读相关路由
  * 部分路由需要用户认证，部分不需要
@@ -12,9 +22,15 @@ const router = express.Router();
 // 公开路由 - 不需要登录
 router.get('/list', novelController.getNovelList);
 router.get('/popular', novelController.getPopularNovels);
+router.get('/rankings/:type', novelController.getRankings);
 router.get('/latest', novelController.getLatestNovels);
 router.get('/category/:categoryId', novelController.getNovelsByCategory);
 router.get('/search', novelController.searchNovels);
+router.get('/suggest', novelController.getSearchSuggestions);
+router.get('/faceted-search', novelController.getFacetedNovels);
+
+// 推荐小说 - 可选认证（登录用户获取个性化推荐）
+router.get('/recommended', optionalProtect, novelController.getRecommendedNovels);
 
 // 获取指定作者的小说
 router.get('/author/:authorId', novelController.getNovelsByAuthor);
@@ -22,13 +38,20 @@ router.get('/author/:authorId', novelController.getNovelsByAuthor);
 // 获取小说信息 - 可选认证（登录用户可以获取额外信息）
 router.get('/:novelId', optionalProtect, novelController.getNovelDetail);
 router.get('/:novelId/chapters', optionalProtect, novelController.getNovelChapters);
+router.get('/:novelId/similar', novelController.getSimilarNovels);
+
+// 导出小说（EPUB、TXT、Markdown）- 可选认证（作者可以导出全部章节）
+router.get('/:novelId/export', exportLimiter, optionalProtect, novelController.exportNovel);
 
 // 获取章节内容 - 可选认证（登录用户可以阅读会员章节）
 router.get('/:novelId/chapter/:chapterNumber', optionalProtect, novelController.getChapterContent);
 
+// 书评
+router.use('/:novelId/reviews', reviewRoutes);
+
 // 修复小说统计数据（仅管理员使用）
-router.get('/admin/fix-stats', protect, novelController.fixNovelStats);
+router.get('/admin/fix-stats', protect, authorize(PERMISSIONS.ADMIN_STATS), novelController.fixNovelStats);
 // 修复特定小说的统计数据（仅管理员使用）
-router.get('/admin/fix-stats/:novelId', protect, novelController.fixNovelStats);
+router.get('/admin/fix-stats/:novelId', protect, authorize(PERMISSIONS.ADMIN_STATS), novelController.fixNovelStats);
 
 export default router; 
\ No newline at end of file
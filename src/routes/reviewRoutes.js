@@ -0,0 +1,33 @@
+import express from 'express';
+import { protect, optionalProtect } from '../middleware/authMiddleware.js';
+import {
+    getNovelReviews,
+    createReview,
+    updateReview,
+    deleteReview,
+    markReviewHelpful,
+    unmarkReviewHelpful
+} from '../controllers/reviewController.js';
+
+// mergeParams: 挂载在 /api/novels/:novelId/reviews 下，需要读取父路由的novelId
+const router = express.Router({ mergeParams: true });
+
+// 获取书评列表 - 可选认证（登录用户可以看到自己的书评和投票状态）
+router.get('/', optionalProtect, getNovelReviews);
+
+// 发表书评
+router.post('/', protect, createReview);
+
+// 修改书评
+router.put('/:reviewId', protect, updateReview);
+
+// 删除书评
+router.delete('/:reviewId', protect, deleteReview);
+
+// 标记书评有用
+router.post('/:reviewId/helpful', protect, markReviewHelpful);
+
+// 取消标记
+router.delete('/:reviewId/helpful', protect, unmarkReviewHelpful);
+
+export default router;
@@ -1,6 +1,6 @@
 import express from 'express';
 import * as userController from '../controllers/userController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, rejectApiKey } from '../middleware/authMiddleware.js';
 import { uploadAvatar, handleUploadError } from '../middleware/uploadMiddleware.js';
 
 const router = express.Router();
@@ -25,6 +25,23 @@ router.post('/avatar', protect, uploadAvatar, handleUploadError, userController.
 // 删除账号
 router.delete('/account', protect, userController.deleteAccount);
 
+// 登录会话（设备）管理
+router.get('/sessions', protect, rejectApiKey, userController.getSessions);
+router.delete('/sessions/:id', protect, rejectApiKey, userController.revokeSession);
+
+// 安全记录
+router.get('/security-events', protect, rejectApiKey, userController.getSecurityEvents);
+
+// 第三方账号绑定
+router.get('/identities', protect, rejectApiKey, userController.getIdentities);
+router.post('/identities/:provider', protect, rejectApiKey, userController.linkIdentity);
+router.delete('/identities/:provider', protect, rejectApiKey, userController.unlinkIdentity);
+
+// 个人API Key管理
+router.get('/api-keys', protect, rejectApiKey, userController.getApiKeys);
+router.post('/api-keys', protect, rejectApiKey, userController.createApiKey);
+router.delete('/api-keys/:id', protect, rejectApiKey, userController.revokeApiKey);
+
 // 阅读历史相关路由
 router.get('/reading-history', protect, userController.getReadingHistory);
 router.post('/reading-history', protect, userController.addReadingHistory);
@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+/**
+ * Cookie认证工具
+ *
+ * 前端在登录请求中携带 X-Auth-Mode: cookie 时，Token不再出现在响应体中，
+ * 而是写入httpOnly的Cookie，JavaScript无法读取，降低XSS窃取Token的风险
+ * Cookie会被浏览器自动携带，因此修改数据的请求需要双重提交CSRF Token：
+ * csrfToken Cookie（前端可读）的值必须与请求头 X-CSRF-Token 一致
+ */
+
+export const ACCESS_TOKEN_COOKIE = 'accessToken';
+export const REFRESH_TOKEN_COOKIE = 'refreshToken';
+export const CSRF_TOKEN_COOKIE = 'csrfToken';
+export const CSRF_HEADER = 'x-csrf-token';
+export const OAUTH_STATE_COOKIE = 'oauthState';
+
+// 刷新Token的Cookie只在认证接口中发送
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// 第三方登录state的Cookie只在第三方登录接口中发送，有效期与授权请求一致
+const OAUTH_STATE_COOKIE_PATH = '/api/auth/oauth';
+const OAUTH_STATE_MAX_AGE = 10 * 60 * 1000;
+
+// 不修改数据的请求方法，不需要CSRF校验
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Cookie的公共选项
+// 前后端跨站部署时需要设置 AUTH_COOKIE_SAMESITE=none（此时必须使用https）
+const getBaseCookieOptions = () => {
+    const sameSite = (process.env.AUTH_COOKIE_SAMESITE || 'lax').toLowerCase();
+    const options = {
+        sameSite,
+        secure: sameSite === 'none' || process.env.NODE_ENV === 'production'
+    };
+    if (process.env.AUTH_COOKIE_DOMAIN) {
+        options.domain = process.env.AUTH_COOKIE_DOMAIN;
+    }
+    return options;
+};
+
+// 根据Token的过期时间计算Cookie的maxAge
+const getMaxAge = (token) => {
+    const decoded = jwt.decode(token);
+    return decoded && decoded.exp ? Math.max(decoded.exp * 1000 - Date.now(), 0) : undefined;
+};
+
+// 比较两个字符串，避免时序攻击
+const safeEqual = (expected, actual) => {
+    const expectedBuffer = Buffer.from(expected);
+    const actualBuffer = Buffer.from(actual);
+    return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+};
+
+/**
+ * 请求是否要求使用Cookie模式
+ * @param {Object} req - Express请求对象
+ * @returns {boolean}
+ */
+export const wantsCookieAuth = (req) => String(req.headers['x-auth-mode'] || '').toLowerCase() === 'cookie';
+
+/**
+ * 写入访问Token、刷新Token和CSRF Token的Cookie
+ * @param {Object} res - Express响应对象
+ * @param {Object} tokens - { accessToken, refreshToken }
+ * @returns {string} - 新的CSRF Token
+ */
+export const setAuthCookies = (res, { accessToken, refreshToken }) => {
+    const baseOptions = getBaseCookieOptions();
+    const refreshMaxAge = getMaxAge(refreshToken);
+    const csrfToken = crypto.randomBytes(32).toString('hex');
+
+    res.cookie(ACCESS_TOKEN_COOKIE, accessToken, {
+        ...baseOptions,
+        httpOnly: true,
+        path: '/',
+        maxAge: getMaxAge(accessToken)
+    });
+
+    res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, {
+        ...baseOptions,
+        httpOnly: true,
+        path: REFRESH_COOKIE_PATH,
+        maxAge: refreshMaxAge
+    });
+
+    // CSRF Token需要被前端读取并放入请求头，因此不能是httpOnly
+    res.cookie(CSRF_TOKEN_COOKIE, csrfToken, {
+        ...baseOptions,
+        httpOnly: false,
+        path: '/',
+        maxAge: refreshMaxAge
+    });
+
+    return csrfToken;
+};
+
+/**
+ * 清除认证Cookie
+ * @param {Object} res - Express响应对象
+ */
+export const clearAuthCookies = (res) => {
+    const baseOptions = getBaseCookieOptions();
+
+    res.clearCookie(ACCESS_TOKEN_COOKIE, { ...baseOptions, httpOnly: true, path: '/' });
+    res.clearCookie(REFRESH_TOKEN_COOKIE, { ...baseOptions, httpOnly: true, path: REFRESH_COOKIE_PATH });
+    res.clearCookie(CSRF_TOKEN_COOKIE, { ...baseOptions, path: '/' });
+};
+
+/**
+ * 从请求中获取访问Token，优先使用Authorization请求头
+ * @param {Object} req - Express请求对象
+ * @returns {Object} - { token, source }，source为 'header' / 'cookie' / null
+ */
+export const getAccessTokenFromRequest = (req) => {
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+        return { token: req.headers.authorization.split(' ')[1], source: 'header' };
+    }
+
+    if (req.cookies && req.cookies[ACCESS_TOKEN_COOKIE]) {
+        return { token: req.cookies[ACCESS_TOKEN_COOKIE], source: 'cookie' };
+    }
+
+    return { token: null, source: null };
+};
+
+/**
+ * 从请求中获取刷新Token，优先使用请求体
+ * @param {Object} req - Express请求对象
+ * @returns {Object} - { token, source }，source为 'body' / 'cookie' / null
+ */
+export const getRefreshTokenFromRequest = (req) => {
+    if (req.body && req.body.refreshToken) {
+        return { token: req.body.refreshToken, source: 'body' };
+    }
+
+    if (req.cookies && req.cookies[REFRESH_TOKEN_COOKIE]) {
+        return { token: req.cookies[REFRESH_TOKEN_COOKIE], source: 'cookie' };
+    }
+
+    return { token: null, source: null };
+};
+
+/**
+ * 校验双重提交的CSRF Token，安全方法（GET等）直接通过
+ * @param {Object} req - Express请求对象
+ * @returns {boolean}
+ */
+export const isCsrfValid = (req) => {
+    if (SAFE_METHODS.includes(req.method)) return true;
+
+    const cookieToken = req.cookies && req.cookies[CSRF_TOKEN_COOKIE];
+    const headerToken = req.headers[CSRF_HEADER];
+    if (!cookieToken || !headerToken || typeof headerToken !== 'string') return false;
+
+    return safeEqual(cookieToken, headerToken);
+};
+
+/**
+ * 写入第三方登录state的Cookie，把授权请求绑定到发起请求的浏览器
+ * 回调时state必须与Cookie一致，防止攻击者把自己的授权回调链接交给他人完成（登录CSRF）
+ * @param {Object} res - Express响应对象
+ * @param {string} state - 授权请求的state
+ */
+export const setOAuthStateCookie = (res, state) => {
+    res.cookie(OAUTH_STATE_COOKIE, state, {
+        ...getBaseCookieOptions(),
+        httpOnly: true,
+        path: OAUTH_STATE_COOKIE_PATH,
+        maxAge: OAUTH_STATE_MAX_AGE
+    });
+};
+
+/**
+ * 清除第三方登录state的Cookie
+ * @param {Object} res - Express响应对象
+ */
+export const clearOAuthStateCookie = (res) => {
+    res.clearCookie(OAUTH_STATE_COOKIE, { ...getBaseCookieOptions(), httpOnly: true, path: OAUTH_STATE_COOKIE_PATH });
+};
+
+/**
+ * 校验回调中的state是否与当前浏览器的state Cookie一致
+ * @param {Object} req - Express请求对象
+ * @param {string} state - 回调中的state
+ * @returns {boolean}
+ */
+export const isOAuthStateCookieValid = (req, state) => {
+    const cookieState = req.cookies && req.cookies[OAUTH_STATE_COOKIE];
+    if (!cookieState || typeof cookieState !== 'string' || typeof state !== 'string') return false;
+    return safeEqual(cookieState, state);
+};
@@ -0,0 +1,58 @@
+import { Chapter } from '../models/index.js';
+
+/**
+ * 定时发布任务
+ * 在进程内定期检查到期的定时章节并发布，发布后按章节保存钩子的逻辑更新小说
+ * 多个实例同时运行时由Chapter.publishDue的条件更新保证每个章节只发布一次
+ */
+
+// 检查间隔（毫秒）
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let running = false;
+
+// 执行一次发布，上一次还没结束时跳过
+const runOnce = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+        const published = await Chapter.publishDue();
+        if (published > 0) {
+            console.log(`定时发布任务: 发布了 ${published} 个章节`);
+        }
+    } catch (error) {
+        console.error('定时发布任务失败:', error);
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * 启动定时发布任务，数据库连接成功后调用
+ * 检查间隔可通过 CHAPTER_SCHEDULER_INTERVAL_MS 配置
+ */
+export const startChapterScheduler = () => {
+    if (timer) return;
+
+    const interval = parseInt(process.env.CHAPTER_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    timer = setInterval(runOnce, interval);
+    // 不阻止进程退出
+    timer.unref();
+
+    console.log(`定时发布任务已启动，检查间隔 ${interval}ms`);
+
+    // 启动时先处理停机期间到期的章节
+    runOnce();
+};
+
+/**
+ * 停止定时发布任务
+ */
+export const stopChapterScheduler = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
@@ -0,0 +1,291 @@
+import nodemailer from 'nodemailer';
+import dotenv from 'dotenv';
+
+/**
+ * 邮件工具
+ * 统一创建邮件发送器，并提供各类账号相关邮件的发送方法
+ */
+
+// 重新加载环境变量
+dotenv.config();
+
+// 创建邮件发送器
+let transporter;
+try {
+    transporter = nodemailer.createTransport({
+        service: 'gmail',
+        auth: {
+            user: process.env.EMAIL_USERNAME,
+            pass: process.env.EMAIL_PASSWORD
+        },
+        debug: true, // 启用调试输出
+        logger: true // 启用日志记录
+    });
+    
+    // 打印环境变量（不显示完整密码）
+    console.log('邮件配置:', {
+        user: process.env.EMAIL_USERNAME,
+        passProvided: !!process.env.EMAIL_PASSWORD
+    });
+} catch (error) {
+    console.error('创建邮件发送器失败:', error);
+    // 创建一个假的发送器，避免程序崩溃
+    transporter = {
+        sendMail: async () => {
+            console.log('使用假邮件发送器，邮件未真正发送');
+            return { fake: true };
+        }
+    };
+}
+
+// 发送验证邮件（添加错误处理）
+export const sendVerificationEmail = async (email, verificationToken, username) => {
+    try {
+        // 检查环境变量
+        if (!process.env.EMAIL_USERNAME || !process.env.EMAIL_PASSWORD) {
+            console.warn('邮件配置不完整，无法发送验证邮件');
+            return;
+        }
+    
+        // 修改验证链接为前端验证页面
+        const frontendUrl = process.env.FRONTEND_URL || 'https://novel-reading-frontend.vercel.app/';
+        const verificationUrl = `${frontendUrl}/verify?token=${verificationToken}`;
+        
+        const mailOptions = {
+            from: process.env.EMAIL_USERNAME,
+            to: email,
+            subject: '请验证您的邮箱',
+            html: `
+                <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
+                    <h1 style="color: #333; text-align: center;">您好 ${username}！</h1>
+                    <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+                        <p style="color: #666; font-size: 16px; line-height: 1.5;">感谢您注册我们的小说阅读网站。请点击下面的按钮验证您的邮箱：</p>
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${verificationUrl}" 
+                               style="background-color: #4f9eff; 
+                                      color: white; 
+                                      padding: 12px 30px; 
+                                      text-decoration: none; 
+                                      border-radius: 5px;
+                                      font-size: 16px;">
+                                验证邮箱
+                            </a>
+                        </div>
+                        <p style="color: #666; font-size: 14px;">此链接24小时内有效。</p>
+                        <p style="color: #999; font-size: 12px;">如果您没有注册账号，请忽略此邮件。</p>
+                    </div>
+                    <div style="text-align: center; margin-top: 20px; color: #999; font-size: 12px;">
+                        <p>这是一封自动发送的邮件，请勿直接回复。</p>
+                    </div>
+                </div>
+            `
+        };
+    
+        console.log(`准备发送验证邮件到 ${email}`);
+        const result = await transporter.sendMail(mailOptions);
+        console.log('邮件发送结果:', result);
+        return result;
+    } catch (error) {
+        console.error('发送验证邮件过程中出错:', error);
+        throw error;
+    }
+};
+
+// 发送密码重置邮件
+export const sendPasswordResetEmail = async (email, resetToken, username) => {
+    try {
+        // 检查环境变量
+        if (!process.env.EMAIL_USERNAME || !process.env.EMAIL_PASSWORD) {
+            console.warn('邮件配置不完整，无法发送密码重置邮件');
+            return;
+        }
+    
+        // 重置链接指向前端的重置密码页面
+        const frontendUrl = process.env.FRONTEND_URL || 'https://novel-reading-frontend.vercel.app/';
+        const resetUrl = `${frontendUrl}/reset-password?token=${resetToken}`;
+        
+        const mailOptions = {
+            from: process.env.EMAIL_USERNAME,
+            to: email,
+            subject: '重置您的密码',
+            html: `
+                <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
+                    <h1 style="color: #333; text-align: center;">您好 ${username}！</h1>
+                    <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+                        <p style="color: #666; font-size: 16px; line-height: 1.5;">我们收到了重置您账号密码的请求。请点击下面的按钮设置新密码：</p>
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${resetUrl}" 
+                               style="background-color: #4f9eff; 
+                                      color: white; 
+                                      padding: 12px 30px; 
+                                      text-decoration: none; 
+                                      border-radius: 5px;
+                                      font-size: 16px;">
+                                重置密码
+                            </a>
+                        </div>
+                        <p style="color: #666; font-size: 14px;">此链接1小时内有效，且只能使用一次。</p>
+                        <p style="color: #999; font-size: 12px;">如果您没有申请重置密码，请忽略此邮件，您的密码不会被修改。</p>
+                    </div>
+                    <div style="text-align: center; margin-top: 20px; color: #999; font-size: 12px;">
+                        <p>这是一封自动发送的邮件，请勿直接回复。</p>
+                    </div>
+                </div>
+            `
+        };
+    
+        console.log(`准备发送密码重置邮件到 ${email}`);
+        const result = await transporter.sendMail(mailOptions);
+        console.log('邮件发送结果:', result);
+        return result;
+    } catch (error) {
+        console.error('发送密码重置邮件过程中出错:', error);
+        throw error;
+    }
+};
+
+// 发送账号解锁邮件
+export const sendUnlockEmail = async (email, unlockToken, username, lockMinutes) => {
+    try {
+        // 检查环境变量
+        if (!process.env.EMAIL_USERNAME || !process.env.EMAIL_PASSWORD) {
+            console.warn('邮件配置不完整，无法发送账号解锁邮件');
+            return;
+        }
+    
+        const frontendUrl = process.env.FRONTEND_URL || 'https://novel-reading-frontend.vercel.app/';
+        const unlockUrl = `${frontendUrl}/unlock-account?token=${unlockToken}`;
+        
+        const mailOptions = {
+            from: process.env.EMAIL_USERNAME,
+            to: email,
+            subject: '您的账号已被临时锁定',
+            html: `
+                <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
+                    <h1 style="color: #333; text-align: center;">您好 ${username}！</h1>
+                    <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+                        <p style="color: #666; font-size: 16px; line-height: 1.5;">由于密码连续输入错误次数过多，您的账号已被临时锁定 ${lockMinutes} 分钟。</p>
+                        <p style="color: #666; font-size: 16px; line-height: 1.5;">如果是您本人操作，可以点击下面的按钮立即解锁：</p>
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${unlockUrl}" 
+                               style="background-color: #4f9eff; 
+                                      color: white; 
+                                      padding: 12px 30px; 
+                                      text-decoration: none; 
+                                      border-radius: 5px;
+                                      font-size: 16px;">
+                                解锁账号
+                            </a>
+                        </div>
+                        <p style="color: #666; font-size: 14px;">如果不是您本人操作，说明有人正在尝试登录您的账号，建议您尽快修改密码。</p>
+                    </div>
+                    <div style="text-align: center; margin-top: 20px; color: #999; font-size: 12px;">
+                        <p>这是一封自动发送的邮件，请勿直接回复。</p>
+                    </div>
+                </div>
+            `
+        };
+    
+        console.log(`准备发送账号解锁邮件到 ${email}`);
+        const result = await transporter.sendMail(mailOptions);
+        console.log('邮件发送结果:', result);
+        return result;
+    } catch (error) {
+        console.error('发送账号解锁邮件过程中出错:', error);
+        throw error;
+    }
+};
+
+
+// 发送更换邮箱的验证邮件（发送到新邮箱）
+export const sendEmailChangeVerification = async (newEmail, changeToken, username) => {
+    try {
+        // 检查环境变量
+        if (!process.env.EMAIL_USERNAME || !process.env.EMAIL_PASSWORD) {
+            console.warn('邮件配置不完整，无法发送更换邮箱验证邮件');
+            return;
+        }
+    
+        const frontendUrl = process.env.FRONTEND_URL || 'https://novel-reading-frontend.vercel.app/';
+        const confirmUrl = `${frontendUrl}/confirm-email-change?token=${changeToken}`;
+        
+        const mailOptions = {
+            from: process.env.EMAIL_USERNAME,
+            to: newEmail,
+            subject: '请确认您的新邮箱',
+            html: `
+                <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
+                    <h1 style="color: #333; text-align: center;">您好 ${username}！</h1>
+                    <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+                        <p style="color: #666; font-size: 16px; line-height: 1.5;">您申请将账号邮箱更换为此邮箱。请点击下面的按钮完成确认：</p>
+                        <div style="text-align: center; margin: 30px 0;">
+                            <a href="${confirmUrl}" 
+                               style="background-color: #4f9eff; 
+                                      color: white; 
+                                      padding: 12px 30px; 
+                                      text-decoration: none; 
+                                      border-radius: 5px;
+                                      font-size: 16px;">
+                                确认新邮箱
+                            </a>
+                        </div>
+                        <p style="color: #666; font-size: 14px;">此链接24小时内有效，确认之前账号仍使用原邮箱。</p>
+                        <p style="color: #999; font-size: 12px;">如果您没有申请更换邮箱，请忽略此邮件。</p>
+                    </div>
+                    <div style="text-align: center; margin-top: 20px; color: #999; font-size: 12px;">
+                        <p>这是一封自动发送的邮件，请勿直接回复。</p>
+                    </div>
+                </div>
+            `
+        };
+    
+        console.log(`准备发送更换邮箱验证邮件到 ${newEmail}`);
+        const result = await transporter.sendMail(mailOptions);
+        console.log('邮件发送结果:', result);
+        return result;
+    } catch (error) {
+        console.error('发送更换邮箱验证邮件过程中出错:', error);
+        throw error;
+    }
+};
+
+// 邮箱更换完成后通知原邮箱
+export const sendEmailChangedNotice = async (oldEmail, newEmail, username) => {
+    try {
+        // 检查环境变量
+        if (!process.env.EMAIL_USERNAME || !process.env.EMAIL_PASSWORD) {
+            console.warn('邮件配置不完整，无法发送邮箱变更通知');
+            return;
+        }
+    
+        // 只显示新邮箱的部分内容
+        const [localPart, domain] = newEmail.split('@');
+        const maskedEmail = `${localPart.slice(0, 2)}***@${domain}`;
+        
+        const mailOptions = {
+            from: process.env.EMAIL_USERNAME,
+            to: oldEmail,
+            subject: '您的账号邮箱已更换',
+            html: `
+                <div style="max-width: 600px; margin: 0 auto; padding: 20px; font-family: Arial, sans-serif;">
+                    <h1 style="color: #333; text-align: center;">您好 ${username}！</h1>
+                    <div style="background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+                        <p style="color: #666; font-size: 16px; line-height: 1.5;">您账号绑定的邮箱已更换为 ${maskedEmail}，此邮箱将不再接收该账号的通知。</p>
+                        <p style="color: #666; font-size: 14px;">如果这不是您本人的操作，请立即联系我们并修改密码。</p>
+                    </div>
+                    <div style="text-align: center; margin-top: 20px; color: #999; font-size: 12px;">
+                        <p>这是一封自动发送的邮件，请勿直接回复。</p>
+                    </div>
+                </div>
+            `
+        };
+    
+        console.log(`准备发送邮箱变更通知到 ${oldEmail}`);
+        const result = await transporter.sendMail(mailOptions);
+        console.log('邮件发送结果:', result);
+        return result;
+    } catch (error) {
+        console.error('发送邮箱变更通知过程中出错:', error);
+        throw error;
+    }
+};
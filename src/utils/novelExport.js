@@ -0,0 +1,388 @@
+import fs from 'fs';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { getTemplatePath, renderTemplateCover } = require('./coverTemplateRenderer.cjs');
+
+/**
+ * 小说导出工具
+ *
+ * 把小说导出为EPUB、TXT或Markdown文件：
+ *   - 开头是书名、作者、分类、简介等信息和目录
+ *   - 正文按章节号排序，番外单独成组放在最后
+ *   - EPUB包含封面图片（自定义封面或按模板绘制），Markdown引用封面地址，TXT没有封面
+ */
+
+export const EXPORT_FORMATS = {
+    epub: { extension: 'epub', contentType: 'application/epub+zip' },
+    txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+    md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' }
+};
+
+// 下载远程封面的超时时间
+const COVER_FETCH_TIMEOUT_MS = 10000;
+
+const COVER_MEDIA_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp'
+};
+
+const PUBLIC_DIR = path.join(process.cwd(), 'public');
+
+/**
+ * 按正文和番外分组，组内按章节号排序
+ * @param {Array} chapters - 章节列表
+ * @returns {Array} - [{ title, chapters }]，正文组的title为null
+ */
+export const groupExportChapters = (chapters) => {
+    const sorted = [...chapters].sort((a, b) => a.chapterNumber - b.chapterNumber);
+    return [
+        { title: null, chapters: sorted.filter(chapter => !chapter.isExtra) },
+        { title: '番外', chapters: sorted.filter(chapter => chapter.isExtra) }
+    ].filter(section => section.chapters.length > 0);
+};
+
+// 模板封面的文件名
+const getTemplateFileName = (novel) => `cover-template-${novel.coverTemplate || 1}.jpg`;
+
+/**
+ * 获取封面图片的访问地址，模板封面带上标题和作者参数，由封面模板中间件绘制
+ * @param {Object} novel - 小说
+ * @param {string} baseUrl - 服务地址，如 https://api.example.com
+ * @returns {string}
+ */
+export const getCoverUrl = (novel, baseUrl) => {
+    if (novel.useCustomCover && novel.cover) {
+        return /^https?:\/\//.test(novel.cover) ? novel.cover : `${baseUrl}${novel.cover}`;
+    }
+    const query = new URLSearchParams({ title: novel.title, author: novel.authorName || '' });
+    return `${baseUrl}/templates/${getTemplateFileName(novel)}?${query}`;
+};
+
+/**
+ * 读取封面图片
+ * @param {Object} novel - 小说
+ * @returns {Promise<Object|null>} - { data, mediaType, extension }，获取失败时返回null
+ */
+export const loadCoverImage = async (novel) => {
+    try {
+        if (novel.useCustomCover && novel.cover) {
+            // 上传到Cloudinary的封面
+            if (/^https?:\/\//.test(novel.cover)) {
+                const response = await fetch(novel.cover, { signal: AbortSignal.timeout(COVER_FETCH_TIMEOUT_MS) });
+                const mediaType = (response.headers.get('content-type') || '').split(';')[0].trim();
+                if (!response.ok || !COVER_MEDIA_TYPES[mediaType]) {
+                    console.error(`下载封面失败: ${novel.cover} (${response.status} ${mediaType})`);
+                    return null;
+                }
+                return {
+                    data: Buffer.from(await response.arrayBuffer()),
+                    mediaType,
+                    extension: COVER_MEDIA_TYPES[mediaType]
+                };
+            }
+
+            // 本地保存的封面，只允许读取public目录下的文件
+            const localPath = path.join(PUBLIC_DIR, path.normalize(novel.cover));
+            const extension = path.extname(localPath).slice(1).toLowerCase().replace('jpeg', 'jpg');
+            const mediaType = Object.keys(COVER_MEDIA_TYPES).find(type => COVER_MEDIA_TYPES[type] === extension);
+            if (!localPath.startsWith(PUBLIC_DIR + path.sep) || !mediaType || !fs.existsSync(localPath)) {
+                return null;
+            }
+            return { data: await fs.promises.readFile(localPath), mediaType, extension };
+        }
+
+        // 模板封面：在模板上绘制标题和作者
+        const templatePath = getTemplatePath(getTemplateFileName(novel));
+        if (!templatePath) return null;
+        const canvas = await renderTemplateCover(templatePath, { title: novel.title, author: novel.authorName });
+        return { data: canvas.toBuffer('image/jpeg', { quality: 0.95 }), mediaType: 'image/jpeg', extension: 'jpg' };
+    } catch (error) {
+        console.error('获取导出封面失败:', error);
+        return null;
+    }
+};
+
+// 章节正文拆分为段落
+const toParagraphs = (content) => String(content || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean);
+
+// 小说信息行
+const getMetadataLines = (novel) => [
+    `作者：${novel.authorName || ''}`,
+    `状态：${novel.status}`,
+    novel.categories && novel.categories.length > 0 ? `分类：${novel.categories.join('、')}` : null,
+    novel.tags && novel.tags.length > 0 ? `标签：${novel.tags.join('、')}` : null,
+    `字数：${novel.wordCount || 0}`
+].filter(Boolean);
+
+// Markdown中以特殊字符开头的行需要转义，避免被解析成标题、列表等
+const escapeMarkdownLine = (line) => line.replace(/^([#>*+\-=`|]|\d+\.)/, '\\$1');
+
+/**
+ * 生成TXT或Markdown的开头部分：书名、小说信息、简介和目录
+ * @param {Object} novel - 小说
+ * @param {Array} sections - groupExportChapters的结果（不需要正文）
+ * @param {string} format - txt或md
+ * @param {Object} options - { coverUrl }，Markdown中引用的封面地址
+ * @returns {string}
+ */
+export const renderTextHeader = (novel, sections, format, { coverUrl } = {}) => {
+    const description = toParagraphs(novel.longDescription || novel.shortDescription);
+
+    if (format === 'md') {
+        return [
+            `# ${novel.title}`,
+            '',
+            coverUrl ? `![封面](${coverUrl})\n` : null,
+            ...getMetadataLines(novel).map(line => `- ${line}`),
+            '',
+            '## 简介',
+            '',
+            description.map(escapeMarkdownLine).join('\n\n'),
+            '',
+            '## 目录',
+            '',
+            ...sections.flatMap(section => [
+                ...(section.title ? [`- ${section.title}`] : []),
+                ...section.chapters.map(chapter => `${section.title ? '  ' : ''}- ${chapter.title}`)
+            ]),
+            ''
+        ].filter(line => line !== null).join('\n');
+    }
+
+    return [
+        novel.title,
+        '',
+        ...getMetadataLines(novel),
+        '',
+        '简介：',
+        ...description.map(line => `　　${line}`),
+        '',
+        '目录',
+        ...sections.flatMap(section => [
+            ...(section.title ? [section.title] : []),
+            ...section.chapters.map(chapter => `　　${chapter.title}`)
+        ]),
+        ''
+    ].join('\n');
+};
+
+/**
+ * 生成番外等分组的标题
+ * @param {string} title - 分组标题
+ * @param {string} format - txt或md
+ * @returns {string}
+ */
+export const renderTextSection = (title, format) => (format === 'md'
+    ? `\n---\n\n# ${title}\n`
+    : `\n\n==================== ${title} ====================\n`);
+
+/**
+ * 生成TXT或Markdown中的一章
+ * @param {Object} chapter - 章节（需要title和content）
+ * @param {string} format - txt或md
+ * @returns {string}
+ */
+export const renderTextChapter = (chapter, format) => {
+    const paragraphs = toParagraphs(chapter.content);
+    if (format === 'md') {
+        return `\n## ${chapter.title}\n\n${paragraphs.map(escapeMarkdownLine).join('\n\n')}\n`;
+    }
+    return `\n\n${chapter.title}\n\n${paragraphs.map(line => `　　${line}`).join('\n')}\n`;
+};
+
+// XML转义
+const escapeXml = (text) => String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// XHTML页面，stylesheet为样式表相对于页面的路径
+const xhtmlPage = (title, body, stylesheet = '../Styles/style.css') => `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="zh-CN" lang="zh-CN">
+<head>
+<meta charset="utf-8"/>
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="${stylesheet}"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+const EPUB_STYLE = `body { margin: 0 5%; line-height: 1.8; }
+h1, h2 { text-align: center; margin: 1.5em 0 1em; }
+p { text-indent: 2em; margin: 0.5em 0; }
+p.meta { text-indent: 0; text-align: center; }
+div.cover { text-align: center; margin: 0; padding: 0; }
+div.cover img { max-width: 100%; max-height: 100%; }
+`;
+
+/**
+ * 生成EPUB文件（EPUB 3，同时包含toc.ncx以兼容只支持EPUB 2的阅读器）
+ * @param {Object} options - { novel, sections（章节需要包含正文）, cover（loadCoverImage的结果） }
+ * @returns {Buffer}
+ */
+export const buildEpub = ({ novel, sections, cover }) => {
+    const identifier = `urn:elfnovel:novel:${novel._id}`;
+    const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+    // 为每章分配文件名
+    let index = 0;
+    const fileSections = sections.map(section => ({
+        title: section.title,
+        chapters: section.chapters.map(chapter => {
+            index++;
+            return { ...chapter, id: `chapter-${index}`, href: `Text/chapter-${String(index).padStart(4, '0')}.xhtml` };
+        })
+    }));
+
+    // 默认会按文件名排序，EPUB要求mimetype是第一个文件，按添加顺序保存
+    const zip = new AdmZip({ noSort: true });
+
+    // mimetype必须是第一个文件且不压缩
+    zip.addFile('mimetype', Buffer.from('application/epub+zip'));
+    zip.getEntry('mimetype').header.method = 0;
+
+    zip.addFile('META-INF/container.xml', Buffer.from(`<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`));
+
+    zip.addFile('OEBPS/Styles/style.css', Buffer.from(EPUB_STYLE));
+
+    const manifest = [
+        '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+        '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+        '<item id="style" href="Styles/style.css" media-type="text/css"/>',
+        '<item id="info" href="Text/info.xhtml" media-type="application/xhtml+xml"/>'
+    ];
+    const spine = ['<itemref idref="info"/>'];
+
+    // 封面
+    if (cover) {
+        const coverHref = `Images/cover.${cover.extension}`;
+        zip.addFile(`OEBPS/${coverHref}`, cover.data);
+        zip.addFile('OEBPS/Text/cover.xhtml', Buffer.from(xhtmlPage('封面',
+            `<div class="cover"><img src="../${coverHref}" alt="${escapeXml(novel.title)}"/></div>`)));
+        manifest.unshift(
+            `<item id="cover-image" href="${coverHref}" media-type="${cover.mediaType}" properties="cover-image"/>`,
+            '<item id="cover" href="Text/cover.xhtml" media-type="application/xhtml+xml"/>'
+        );
+        spine.unshift('<itemref idref="cover" linear="no"/>');
+    }
+
+    // 小说信息和简介
+    const description = toParagraphs(novel.longDescription || novel.shortDescription);
+    zip.addFile('OEBPS/Text/info.xhtml', Buffer.from(xhtmlPage(novel.title, [
+        `<h1>${escapeXml(novel.title)}</h1>`,
+        ...getMetadataLines(novel).map(line => `<p class="meta">${escapeXml(line)}</p>`),
+        '<h2>简介</h2>',
+        ...description.map(line => `<p>${escapeXml(line)}</p>`)
+    ].join('\n'))));
+
+    // 章节，番外等分组前加一页分组标题
+    fileSections.forEach((section, sectionIndex) => {
+        if (section.title) {
+            section.id = `section-${sectionIndex + 1}`;
+            section.href = `Text/${section.id}.xhtml`;
+            zip.addFile(`OEBPS/${section.href}`, Buffer.from(xhtmlPage(section.title, `<h1>${escapeXml(section.title)}</h1>`)));
+            manifest.push(`<item id="${section.id}" href="${section.href}" media-type="application/xhtml+xml"/>`);
+            spine.push(`<itemref idref="${section.id}"/>`);
+        }
+
+        section.chapters.forEach(chapter => {
+            zip.addFile(`OEBPS/${chapter.href}`, Buffer.from(xhtmlPage(chapter.title, [
+                `<h2>${escapeXml(chapter.title)}</h2>`,
+                ...toParagraphs(chapter.content).map(line => `<p>${escapeXml(line)}</p>`)
+            ].join('\n'))));
+            manifest.push(`<item id="${chapter.id}" href="${chapter.href}" media-type="application/xhtml+xml"/>`);
+            spine.push(`<itemref idref="${chapter.id}"/>`);
+        });
+    });
+
+    zip.addFile('OEBPS/content.opf', Buffer.from(`<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="zh-CN">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>
+<dc:title>${escapeXml(novel.title)}</dc:title>
+<dc:creator>${escapeXml(novel.authorName || '')}</dc:creator>
+<dc:language>zh-CN</dc:language>
+<dc:description>${escapeXml(novel.shortDescription || '')}</dc:description>
+${[...(novel.categories || []), ...(novel.tags || [])].map(subject => `<dc:subject>${escapeXml(subject)}</dc:subject>`).join('\n')}
+<meta property="dcterms:modified">${modified}</meta>
+${cover ? '<meta name="cover" content="cover-image"/>' : ''}
+</metadata>
+<manifest>
+${manifest.join('\n')}
+</manifest>
+<spine toc="ncx">
+${spine.join('\n')}
+</spine>
+</package>
+`));
+
+    // EPUB 3目录，番外作为一组嵌套
+    const navItems = fileSections.map(section => {
+        const items = section.chapters
+            .map(chapter => `<li><a href="${chapter.href}">${escapeXml(chapter.title)}</a></li>`)
+            .join('\n');
+        return section.title
+            ? `<li><a href="${section.href}">${escapeXml(section.title)}</a>\n<ol>\n${items}\n</ol>\n</li>`
+            : items;
+    }).join('\n');
+    zip.addFile('OEBPS/nav.xhtml', Buffer.from(xhtmlPage('目录', `<nav epub:type="toc" id="toc">
+<h1>目录</h1>
+<ol>
+<li><a href="Text/info.xhtml">${escapeXml(novel.title)}</a></li>
+${navItems}
+</ol>
+</nav>`, 'Styles/style.css')));
+
+    // EPUB 2目录
+    let playOrder = 0;
+    const navPoint = (label, href, getChildren = () => '') => {
+        playOrder++;
+        const id = `nav-${playOrder}`;
+        const order = playOrder;
+        const children = getChildren();
+        return `<navPoint id="${id}" playOrder="${order}"><navLabel><text>${escapeXml(label)}</text></navLabel><content src="${href}"/>${children}</navPoint>`;
+    };
+    const navPoints = [navPoint(novel.title, 'Text/info.xhtml')];
+    fileSections.forEach(section => {
+        const chapterPoints = () => section.chapters.map(chapter => navPoint(chapter.title, chapter.href)).join('\n');
+        if (section.title) {
+            navPoints.push(navPoint(section.title, section.href, () => `\n${chapterPoints()}\n`));
+        } else {
+            navPoints.push(chapterPoints());
+        }
+    });
+    zip.addFile('OEBPS/toc.ncx', Buffer.from(`<?xml version="1.0" encoding="utf-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head>
+<meta name="dtb:uid" content="${escapeXml(identifier)}"/>
+<meta name="dtb:depth" content="${fileSections.some(section => section.title) ? 2 : 1}"/>
+</head>
+<docTitle><text>${escapeXml(novel.title)}</text></docTitle>
+<navMap>
+${navPoints.join('\n')}
+</navMap>
+</ncx>
+`));
+
+    return zip.toBuffer();
+};
@@ -0,0 +1,409 @@
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { countChapterWords } from '../models/chapter.js';
+
+/**
+ * 小说导入工具
+ *
+ * 从TXT、Markdown和EPUB文件中拆分出章节：
+ *   - TXT：识别"第N章"、"序章"、"Chapter N"等标题行，"第N卷"作为分卷，自动识别UTF-8和GBK编码
+ *   - Markdown：按标题拆分，同时有两级标题时上一级作为分卷；没有标题时按TXT的规则识别
+ *   - EPUB：按spine顺序读取正文，章节标题取自目录（toc.ncx或nav），没有时取正文中的第一个标题
+ * 解析失败时返回 { error }，成功时返回 { format, encoding, chapters, preamble }
+ */
+
+export const IMPORT_FORMATS = {
+    '.txt': 'txt',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.epub': 'epub'
+};
+
+// 单次导入的最大章节数
+export const MAX_IMPORT_CHAPTERS = 2000;
+
+// EPUB解压后的总大小上限，防止压缩炸弹
+const MAX_EPUB_UNCOMPRESSED_BYTES = 100 * 1024 * 1024;
+
+// 章节标题长度限制，与章节模型一致
+const MAX_TITLE_LENGTH = 100;
+
+// 超过该长度的行不作为标题，避免把以"第一章"开头的正文误认为标题
+const MAX_HEADING_LENGTH = 50;
+
+const NUMERALS = '0-9０-９零〇一二三四五六七八九十百千万两';
+const CHAPTER_HEADING = new RegExp(`^(第[${NUMERALS}]+[章节回话])(?:\\s*[:：、.．\\-—]*\\s*(.*))?$`);
+const VOLUME_HEADING = new RegExp(`^(第[${NUMERALS}]+[卷部集])(?:\\s*[:：、.．\\-—]*\\s*(.*))?$`);
+const SPECIAL_HEADING = new RegExp(`^(序章|序言|楔子|引子|前言|尾声|后记|番外(?:[${NUMERALS}]+|篇)?(?:[\\s:：、.．\\-—]+.*)?)$`);
+const ENGLISH_HEADING = /^chapter\s+\d+\b.*$/i;
+
+/**
+ * 解码文本文件：优先按BOM判断，其次尝试UTF-8，失败时按GBK（GB18030）解码
+ * @param {Buffer} buffer - 文件内容
+ * @returns {Object} - { text, encoding }
+ */
+export const decodeText = (buffer) => {
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+        return { text: buffer.subarray(3).toString('utf8'), encoding: 'utf-8' };
+    }
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+        return { text: new TextDecoder('utf-16le').decode(buffer.subarray(2)), encoding: 'utf-16le' };
+    }
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+        return { text: new TextDecoder('utf-16be').decode(buffer.subarray(2)), encoding: 'utf-16be' };
+    }
+
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+    } catch (error) {
+        return { text: new TextDecoder('gb18030').decode(buffer), encoding: 'gbk' };
+    }
+};
+
+// 整理章节正文：去掉行尾空白和首尾空行，连续空行最多保留一个，保留段首缩进
+const cleanContent = (lines) => lines
+    .map(line => line.replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/^\n+|\n+$/g, '');
+
+// 标题中的多个空白合并为一个，"第一章风起"这样没有空格的标题补上空格
+const formatHeading = (prefix, rest) => (rest ? `${prefix} ${rest.trim()}` : prefix).replace(/\s+/g, ' ');
+
+// 识别一行是否是章节或分卷标题
+const matchTxtHeading = (line) => {
+    const text = line.trim().replace(/^[　\s]+/, '');
+    if (!text || text.length > MAX_HEADING_LENGTH) return null;
+
+    let match = text.match(VOLUME_HEADING);
+    if (match) return { type: 'volume', title: formatHeading(match[1], match[2]) };
+
+    match = text.match(CHAPTER_HEADING);
+    if (match) return { type: 'chapter', title: formatHeading(match[1], match[2]) };
+
+    if (SPECIAL_HEADING.test(text) || ENGLISH_HEADING.test(text)) {
+        return { type: 'chapter', title: text.replace(/\s+/g, ' ') };
+    }
+    return null;
+};
+
+/**
+ * 按标题行拆分纯文本
+ * @param {string} text - 文本内容
+ * @returns {Object} - { chapters, preamble }，preamble为第一个标题之前的内容（通常是书名、作者等信息）
+ */
+export const splitTxtChapters = (text) => {
+    const chapters = [];
+    const preamble = [];
+    let volumeTitle = null;
+    let current = null;
+
+    text.split(/\r?\n/).forEach(line => {
+        const heading = matchTxtHeading(line);
+        if (heading && heading.type === 'volume') {
+            volumeTitle = heading.title;
+            current = null;
+        } else if (heading) {
+            current = { title: heading.title, volumeTitle, lines: [] };
+            chapters.push(current);
+        } else if (current) {
+            current.lines.push(line);
+        } else if (chapters.length === 0) {
+            preamble.push(line);
+        }
+    });
+
+    return {
+        chapters: chapters.map(chapter => ({
+            title: chapter.title,
+            volumeTitle: chapter.volumeTitle,
+            content: cleanContent(chapter.lines)
+        })),
+        preamble: cleanContent(preamble)
+    };
+};
+
+// 去掉Markdown格式，保留文字
+const markdownToText = (text) => text
+    .split(/\r?\n/)
+    .filter(line => !/^\s*(```|~~~)/.test(line))
+    .map(line => line
+        .replace(/^\s{0,3}(-{3,}|\*{3,}|_{3,})\s*$/, '')
+        .replace(/^\s{0,3}>\s?/, '')
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/\*(\S(?:.*?\S)?)\*/g, '$1')
+        .replace(/`([^`]+)`/g, '$1'))
+    .join('\n');
+
+/**
+ * 按Markdown标题拆分
+ * @param {string} text - Markdown内容
+ * @returns {Object} - { chapters, preamble }
+ */
+export const splitMarkdownChapters = (text) => {
+    const lines = text.split(/\r?\n/);
+
+    // 找出标题行（忽略代码块中的#）
+    const headings = [];
+    let inFence = false;
+    lines.forEach((line, index) => {
+        if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+        if (inFence) return;
+        const match = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (match) headings.push({ index, level: match[1].length, title: match[2] });
+    });
+
+    // 没有标题时按纯文本的章节标题识别
+    if (headings.length === 0) {
+        return splitTxtChapters(markdownToText(text));
+    }
+
+    // 确定章节和分卷对应的标题级别：只出现一次的最高级标题视为书名
+    let levels = [...new Set(headings.map(heading => heading.level))].sort((a, b) => a - b);
+    if (levels.length > 1 && headings.filter(heading => heading.level === levels[0]).length === 1) {
+        levels = levels.slice(1);
+    }
+
+    // 每个最高级标题下都有下一级标题时，最高级标题是分卷，否则下一级标题只是章节内的小标题
+    let volumeLevel = null;
+    let chapterLevel = levels[0];
+    if (levels.length > 1) {
+        const outline = headings.filter(heading => heading.level === levels[0] || heading.level === levels[1]);
+        const isVolumeOutline = outline.every((heading, i) => heading.level !== levels[0]
+            || (outline[i + 1] && outline[i + 1].level === levels[1]));
+        if (isVolumeOutline) {
+            volumeLevel = levels[0];
+            chapterLevel = levels[1];
+        }
+    }
+
+    const chapters = [];
+    let volumeTitle = null;
+    let current = null;
+    let preambleEnd = lines.length;
+
+    headings.forEach((heading, i) => {
+        const end = i + 1 < headings.length ? headings[i + 1].index : lines.length;
+        const title = markdownToText(heading.title).trim();
+
+        if (heading.level === volumeLevel) {
+            volumeTitle = title;
+            current = null;
+        } else if (heading.level === chapterLevel) {
+            current = { title, volumeTitle, lines: [] };
+            chapters.push(current);
+        } else if (current && heading.level > chapterLevel) {
+            // 章节内的小标题作为正文保留
+            current.lines.push(title);
+        }
+
+        if (current) current.lines.push(...lines.slice(heading.index + 1, end));
+        if (i === 0) preambleEnd = heading.index;
+    });
+
+    return {
+        chapters: chapters.map(chapter => ({
+            title: chapter.title,
+            volumeTitle: chapter.volumeTitle,
+            content: cleanContent(markdownToText(chapter.lines.join('\n')).split('\n'))
+        })),
+        preamble: cleanContent(markdownToText(lines.slice(0, preambleEnd).join('\n')).split('\n'))
+    };
+};
+
+// 数字实体转换为字符，超出Unicode范围的实体原样保留
+const fromCodePointEntity = (match, codePoint) => (codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match);
+
+// 解码HTML实体
+const decodeEntities = (text) => text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;|&#39;/g, '\'')
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => fromCodePointEntity(match, parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => fromCodePointEntity(match, parseInt(dec, 10)))
+    .replace(/&amp;/g, '&');
+
+// 把XHTML正文转换为纯文本，每个段落一行
+const htmlToText = (html) => {
+    const bodyMatch = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+    const text = (bodyMatch ? bodyMatch[1] : html)
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|h[1-6]|li|section|blockquote|tr)>/gi, '\n')
+        .replace(/<[^>]+>/g, '');
+
+    return decodeEntities(text)
+        .split('\n')
+        .map(line => line.replace(/^[　\s]+|\s+$/g, ''))
+        .filter(Boolean)
+        .join('\n');
+};
+
+// 读取XML标签的属性
+const readAttributes = (tag) => {
+    const attributes = {};
+    for (const match of tag.matchAll(/([\w:-]+)\s*=\s*(["'])(.*?)\2/g)) {
+        attributes[match[1]] = decodeEntities(match[3]);
+    }
+    return attributes;
+};
+
+// EPUB中的路径使用/分隔，并且可能经过URL编码
+const resolveEpubPath = (base, href) => {
+    const [file] = href.split('#');
+    let decoded = file;
+    try {
+        decoded = decodeURIComponent(file);
+    } catch (error) {
+        // 保持原样
+    }
+    return path.posix.normalize(path.posix.join(base, decoded));
+};
+
+/**
+ * 解析EPUB
+ * @param {Buffer} buffer - 文件内容
+ * @returns {Object} - { chapters, preamble } 或 { error }
+ */
+export const splitEpubChapters = (buffer) => {
+    let zip;
+    try {
+        zip = new AdmZip(buffer);
+    } catch (error) {
+        return { error: '无法读取EPUB文件，文件可能已损坏' };
+    }
+
+    const entries = zip.getEntries();
+    const totalSize = entries.reduce((sum, entry) => sum + (entry.header.size || 0), 0);
+    if (totalSize > MAX_EPUB_UNCOMPRESSED_BYTES) {
+        return { error: 'EPUB文件解压后过大' };
+    }
+
+    const readEntry = (name) => {
+        const entry = zip.getEntry(name);
+        return entry ? entry.getData().toString('utf8') : null;
+    };
+
+    // container.xml中指定了OPF文件的位置
+    const container = readEntry('META-INF/container.xml');
+    const rootfileTag = container && container.match(/<rootfile\b[^>]*>/i);
+    const opfPath = rootfileTag ? readAttributes(rootfileTag[0])['full-path'] : null;
+    const opf = opfPath ? readEntry(opfPath) : null;
+    if (!opf) {
+        return { error: 'EPUB文件缺少内容清单（OPF）' };
+    }
+    const base = path.posix.dirname(opfPath);
+
+    const manifest = new Map();
+    for (const match of opf.matchAll(/<item\b[^>]*>/gi)) {
+        const item = readAttributes(match[0]);
+        if (item.id && item.href) manifest.set(item.id, item);
+    }
+
+    const spineTag = opf.match(/<spine\b[^>]*>/i);
+    const spine = [...opf.matchAll(/<itemref\b[^>]*>/gi)]
+        .map(match => readAttributes(match[0]))
+        .filter(itemref => itemref.linear !== 'no')
+        .map(itemref => manifest.get(itemref.idref))
+        .filter(item => item && /html/.test(item['media-type'] || '') && !/\bnav\b/.test(item.properties || ''));
+
+    // 从目录中读取章节标题：EPUB2的toc.ncx或EPUB3的nav文档
+    const tocTitles = new Map();
+    const ncxItem = (spineTag && manifest.get(readAttributes(spineTag[0]).toc))
+        || [...manifest.values()].find(item => item['media-type'] === 'application/x-dtbncx+xml');
+    const navItem = [...manifest.values()].find(item => /\bnav\b/.test(item.properties || ''));
+
+    if (ncxItem) {
+        const ncx = readEntry(resolveEpubPath(base, ncxItem.href)) || '';
+        const ncxBase = path.posix.dirname(resolveEpubPath(base, ncxItem.href));
+        for (const match of ncx.matchAll(/<navLabel>\s*<text>([\s\S]*?)<\/text>\s*<\/navLabel>\s*<content\b[^>]*>/gi)) {
+            const src = readAttributes(match[0].slice(match[0].lastIndexOf('<content'))).src;
+            const key = src && resolveEpubPath(ncxBase, src);
+            if (key && !tocTitles.has(key)) tocTitles.set(key, htmlToText(match[1]));
+        }
+    } else if (navItem) {
+        const nav = readEntry(resolveEpubPath(base, navItem.href)) || '';
+        const navBase = path.posix.dirname(resolveEpubPath(base, navItem.href));
+        for (const match of nav.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi)) {
+            const href = readAttributes(match[1]).href;
+            const key = href && resolveEpubPath(navBase, href);
+            if (key && !tocTitles.has(key)) tocTitles.set(key, htmlToText(match[2]));
+        }
+    }
+
+    const chapters = [];
+    spine.forEach(item => {
+        const itemPath = resolveEpubPath(base, item.href);
+        const html = readEntry(itemPath);
+        if (!html) return;
+
+        const headingMatch = html.match(/<h[1-3][^>]*>([\s\S]*?)<\/h[1-3]>/i);
+        const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+        const title = tocTitles.get(itemPath)
+            || (headingMatch && htmlToText(headingMatch[1]))
+            || (titleMatch && htmlToText(titleMatch[1]))
+            || '';
+
+        // 正文开头重复的标题去掉
+        const lines = htmlToText(html).split('\n');
+        if (lines.length > 0 && lines[0].replace(/\s+/g, '') === title.replace(/\s+/g, '')) {
+            lines.shift();
+        }
+
+        chapters.push({ title, volumeTitle: null, content: lines.join('\n').trim() });
+    });
+
+    return { chapters, preamble: '' };
+};
+
+/**
+ * 解析上传的文件
+ * @param {Object} file - multer内存存储的文件 { buffer, originalname }
+ * @returns {Object} - { format, encoding, chapters: [{ title, content, volumeTitle, wordCount }], preamble } 或 { error }
+ */
+export const parseImportFile = (file) => {
+    const format = IMPORT_FORMATS[path.extname(file.originalname || '').toLowerCase()];
+    if (!format) {
+        return { error: '不支持的文件格式，只支持 TXT、Markdown 和 EPUB' };
+    }
+
+    let encoding = null;
+    let result;
+    if (format === 'epub') {
+        result = splitEpubChapters(file.buffer);
+    } else {
+        const decoded = decodeText(file.buffer);
+        encoding = decoded.encoding;
+        result = format === 'markdown' ? splitMarkdownChapters(decoded.text) : splitTxtChapters(decoded.text);
+
+        // 没有识别到任何章节标题时，整个文件作为一章
+        if (result.chapters.length === 0 && result.preamble) {
+            const title = path.basename(file.originalname, path.extname(file.originalname));
+            result = { chapters: [{ title, volumeTitle: null, content: result.preamble }], preamble: '' };
+        }
+    }
+    if (result.error) return result;
+
+    // 去掉没有正文的章节（如TXT开头的目录、EPUB的封面页）
+    const chapters = result.chapters
+        .filter(chapter => chapter.content)
+        .map((chapter, index) => ({
+            title: (chapter.title || `第${index + 1}章`).slice(0, MAX_TITLE_LENGTH),
+            volumeTitle: chapter.volumeTitle ? chapter.volumeTitle.slice(0, MAX_TITLE_LENGTH) : null,
+            content: chapter.content,
+            wordCount: countChapterWords(chapter.content)
+        }));
+
+    if (chapters.length === 0) {
+        return { error: '没有在文件中识别到章节' };
+    }
+    if (chapters.length > MAX_IMPORT_CHAPTERS) {
+        return { error: `单次最多导入${MAX_IMPORT_CHAPTERS}章，请拆分文件后分批导入` };
+    }
+
+    return { format, encoding, chapters, preamble: result.preamble };
+};
@@ -0,0 +1,225 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+/**
+ * OpenID Connect客户端工具
+ * 实现授权码模式 + PKCE：自动发现、生成授权链接、用授权码换取Token、校验ID Token签名
+ */
+
+// 发现文档和JWKS的缓存时间
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+
+// 请求提供方接口的超时时间
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// 允许的ID Token签名算法
+const ALLOWED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+// 发现文档缓存：issuer -> { metadata, fetchedAt }
+const discoveryCache = new Map();
+
+// JWKS缓存：jwks_uri -> { keys, fetchedAt }
+const jwksCache = new Map();
+
+// Base64URL编码
+const base64url = (buffer) => buffer.toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+
+// 请求JSON接口
+const fetchJson = async (url, options = {}) => {
+    const response = await fetch(url, {
+        ...options,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    let body = null;
+    try {
+        body = await response.json();
+    } catch (error) {
+        body = null;
+    }
+
+    if (!response.ok) {
+        const detail = body && (body.error_description || body.error);
+        throw new Error(`请求 ${url} 失败: ${response.status}${detail ? ` ${detail}` : ''}`);
+    }
+    if (!body) {
+        throw new Error(`请求 ${url} 返回的不是有效的JSON`);
+    }
+
+    return body;
+};
+
+/**
+ * 生成随机字符串（用于state和nonce）
+ * @returns {string}
+ */
+export const generateRandomToken = () => base64url(crypto.randomBytes(32));
+
+/**
+ * 生成PKCE参数（S256）
+ * @returns {Object} - { codeVerifier, codeChallenge }
+ */
+export const createPkcePair = () => {
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+    return { codeVerifier, codeChallenge };
+};
+
+/**
+ * 获取提供方的发现文档
+ * @param {Object} provider - 提供方配置
+ * @returns {Promise<Object>} - OpenID Provider Metadata
+ */
+export const discover = async (provider) => {
+    const cached = discoveryCache.get(provider.issuer);
+    if (cached && Date.now() - cached.fetchedAt < METADATA_CACHE_MS) {
+        return cached.metadata;
+    }
+
+    const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+
+    // 发现文档中的issuer必须与配置一致，防止被替换成其他提供方
+    if (String(metadata.issuer).replace(/\/+$/, '') !== provider.issuer) {
+        throw new Error(`发现文档中的issuer与配置不一致: ${metadata.issuer}`);
+    }
+    if (!metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+        throw new Error('发现文档缺少必要的端点');
+    }
+
+    discoveryCache.set(provider.issuer, { metadata, fetchedAt: Date.now() });
+    return metadata;
+};
+
+/**
+ * 生成跳转到提供方的授权链接
+ * @param {Object} provider - 提供方配置
+ * @param {Object} params - { state, nonce, codeChallenge }
+ * @returns {Promise<string>} - 授权链接
+ */
+export const buildAuthorizationUrl = async (provider, { state, nonce, codeChallenge }) => {
+    const metadata = await discover(provider);
+    const url = new URL(metadata.authorization_endpoint);
+
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: provider.redirectUri,
+        scope: provider.scope,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+    }).toString();
+
+    return url.toString();
+};
+
+/**
+ * 使用授权码换取Token
+ * @param {Object} provider - 提供方配置
+ * @param {Object} params - { code, codeVerifier }
+ * @returns {Promise<Object>} - Token响应（包含id_token）
+ */
+export const exchangeAuthorizationCode = async (provider, { code, codeVerifier }) => {
+    const metadata = await discover(provider);
+
+    const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: provider.redirectUri,
+        client_id: provider.clientId,
+        code_verifier: codeVerifier
+    });
+    if (provider.clientSecret) {
+        body.set('client_secret', provider.clientSecret);
+    }
+
+    const tokenResponse = await fetchJson(metadata.token_endpoint, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            Accept: 'application/json'
+        },
+        body
+    });
+
+    if (!tokenResponse.id_token) {
+        throw new Error('提供方没有返回ID Token');
+    }
+
+    return tokenResponse;
+};
+
+// 获取签名公钥，找不到对应kid时强制刷新一次JWKS（提供方可能已轮换密钥）
+const getSigningKey = async (jwksUri, kid) => {
+    const findKey = (keys) => keys.find(key => (kid ? key.kid === kid : true) && (!key.use || key.use === 'sig'));
+
+    const cached = jwksCache.get(jwksUri);
+    if (cached && Date.now() - cached.fetchedAt < METADATA_CACHE_MS) {
+        const key = findKey(cached.keys);
+        if (key) return key;
+    }
+
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache.set(jwksUri, { keys, fetchedAt: Date.now() });
+
+    const key = findKey(keys);
+    if (!key) {
+        throw new Error('找不到ID Token对应的签名公钥');
+    }
+    return key;
+};
+
+/**
+ * 校验ID Token的签名、颁发者、受众、有效期和nonce
+ * @param {Object} provider - 提供方配置
+ * @param {string} idToken - ID Token
+ * @param {Object} options - { nonce }
+ * @returns {Promise<Object>} - ID Token中的声明
+ */
+export const verifyIdToken = async (provider, idToken, { nonce }) => {
+    const metadata = await discover(provider);
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !ALLOWED_ALGORITHMS.includes(decoded.header.alg)) {
+        throw new Error('ID Token格式无效或签名算法不受支持');
+    }
+
+    const jwk = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+
+    const claims = jwt.verify(idToken, publicKey, {
+        algorithms: ALLOWED_ALGORITHMS,
+        issuer: metadata.issuer,
+        audience: provider.clientId,
+        clockTolerance: 60
+    });
+
+    if (!claims.sub) {
+        throw new Error('ID Token缺少sub声明');
+    }
+    if (!nonce || claims.nonce !== nonce) {
+        throw new Error('ID Token的nonce不匹配');
+    }
+
+    return claims;
+};
+
+/**
+ * 创建一次授权请求：生成state、nonce和PKCE参数，并得到授权链接
+ * 调用方需要保存state、nonce和codeVerifier，回调时使用
+ * @param {Object} provider - 提供方配置
+ * @returns {Promise<Object>} - { state, nonce, codeVerifier, authorizationUrl }
+ */
+export const createAuthorizationRequest = async (provider) => {
+    const state = generateRandomToken();
+    const nonce = generateRandomToken();
+    const { codeVerifier, codeChallenge } = createPkcePair();
+
+    const authorizationUrl = await buildAuthorizationUrl(provider, { state, nonce, codeChallenge });
+
+    return { state, nonce, codeVerifier, authorizationUrl };
+};
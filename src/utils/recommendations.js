@@ -0,0 +1,292 @@
+import mongoose from 'mongoose';
+import { User, Novel, ReadingHistory, Favorite, RankingSnapshot } from '../models/index.js';
+
+/**
+ * 个性化推荐
+ *
+ * 推荐分数由三部分组成：
+ *   - 共同阅读：和当前读者读过相同作品的其他读者还读了什么（"读过X的人也在读Y"）
+ *   - 类型偏好：读者阅读和收藏的作品的分类，加上 User.stats.favoriteGenres
+ *   - 热度：作品的累计阅读量，只用于区分分数相近的作品
+ * 已读、已收藏和自己创作的作品不会被推荐，候选不足时用热门作品补足
+ */
+
+// 推荐列表返回的小说字段
+const RECOMMEND_FIELDS = 'title authorName cover shortDescription status totalChapters readers collections categories updatedAt';
+
+// 参与计算的阅读记录和收藏数量上限（按最近时间）
+const MAX_SEED_NOVELS = 50;
+
+// 共同阅读：最多统计的相似读者数量和他们的阅读记录数量
+const MAX_NEIGHBORS = 200;
+const MAX_NEIGHBOR_SCAN = 5000;
+const MAX_NEIGHBOR_HISTORY = 5000;
+
+// 类型偏好：参与计算的分类数量和每次取出的候选数量
+const MAX_GENRES = 5;
+const GENRE_CANDIDATES = 100;
+
+// 各部分的权重
+const WEIGHTS = {
+    coReading: 0.6,
+    genre: 0.3,
+    popularity: 0.1
+};
+
+// 根据阅读记录计算种子作品的权重：读得越多、评分越高权重越大，低分作品的权重降低
+const getHistoryWeight = (history) => {
+    let weight = 1 + (history.readingProgress || 0) / 100;
+    if (history.rating >= 4) weight += 1;
+    if (history.rating > 0 && history.rating <= 2) weight *= 0.25;
+    return weight;
+};
+
+// 收藏的作品权重固定为2
+const FAVORITE_WEIGHT = 2;
+
+// 收集读者的种子作品（阅读记录和收藏）及不应推荐的作品
+const collectSeeds = async (userId) => {
+    const [histories, favorites, ownNovels, user] = await Promise.all([
+        ReadingHistory.find({ user: userId })
+            .sort({ lastReadAt: -1 })
+            .limit(MAX_SEED_NOVELS)
+            .select('novel readingProgress rating')
+            .lean(),
+        Favorite.find({ user: userId })
+            .sort({ addedAt: -1 })
+            .limit(MAX_SEED_NOVELS)
+            .select('novel')
+            .lean(),
+        Novel.find({ creator: userId }).select('_id').lean(),
+        User.findById(userId).select('stats.favoriteGenres').lean()
+    ]);
+
+    const seedWeights = new Map();
+    histories.forEach(history => {
+        seedWeights.set(String(history.novel), getHistoryWeight(history));
+    });
+    favorites.forEach(favorite => {
+        const key = String(favorite.novel);
+        seedWeights.set(key, (seedWeights.get(key) || 0) + FAVORITE_WEIGHT);
+    });
+
+    // 所有读过的作品都不推荐（不只是最近的50本）
+    const readNovelIds = await ReadingHistory.distinct('novel', { user: userId });
+    const excluded = new Set([
+        ...readNovelIds.map(String),
+        ...seedWeights.keys(),
+        ...ownNovels.map(novel => String(novel._id))
+    ]);
+
+    return {
+        seedWeights,
+        excluded,
+        favoriteGenres: (user && user.stats && user.stats.favoriteGenres) || []
+    };
+};
+
+// 共同阅读分数：{ novelId => { score, becauseOf: 贡献最大的种子作品ID } }
+const scoreCoReading = async (userId, seedWeights, excluded) => {
+    const seedIds = [...seedWeights.keys()].map(id => new mongoose.Types.ObjectId(id));
+    const userObjectId = new mongoose.Types.ObjectId(String(userId));
+
+    // 读过种子作品的其他读者，相似度为他们读过的种子作品的权重之和
+    const neighborRows = await ReadingHistory.find({ novel: { $in: seedIds }, user: { $ne: userObjectId } })
+        .sort({ lastReadAt: -1 })
+        .limit(MAX_NEIGHBOR_SCAN)
+        .select('user novel')
+        .lean();
+
+    const neighbors = new Map();
+    neighborRows.forEach(row => {
+        const key = String(row.user);
+        const neighbor = neighbors.get(key) || { similarity: 0, seeds: [] };
+        neighbor.similarity += seedWeights.get(String(row.novel)) || 0;
+        neighbor.seeds.push(String(row.novel));
+        neighbors.set(key, neighbor);
+    });
+
+    const topNeighbors = [...neighbors.entries()]
+        .sort((a, b) => b[1].similarity - a[1].similarity)
+        .slice(0, MAX_NEIGHBORS);
+    if (topNeighbors.length === 0) return new Map();
+
+    // 相似读者读过、当前读者没读过的作品
+    const neighborHistories = await ReadingHistory.find({
+        user: { $in: topNeighbors.map(([id]) => new mongoose.Types.ObjectId(id)) }
+    })
+        .sort({ lastReadAt: -1 })
+        .limit(MAX_NEIGHBOR_HISTORY)
+        .select('user novel')
+        .lean();
+
+    const neighborById = new Map(topNeighbors);
+    const scores = new Map();
+    neighborHistories.forEach(row => {
+        const novelId = String(row.novel);
+        if (excluded.has(novelId)) return;
+
+        const neighbor = neighborById.get(String(row.user));
+        const entry = scores.get(novelId) || { score: 0, seedVotes: new Map() };
+        entry.score += neighbor.similarity;
+        neighbor.seeds.forEach(seedId => {
+            entry.seedVotes.set(seedId, (entry.seedVotes.get(seedId) || 0) + (seedWeights.get(seedId) || 0));
+        });
+        scores.set(novelId, entry);
+    });
+
+    // 记录对推荐贡献最大的种子作品，用于显示推荐理由
+    return new Map([...scores.entries()].map(([novelId, entry]) => {
+        const [becauseOf] = [...entry.seedVotes.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+        return [novelId, { score: entry.score, becauseOf }];
+    }));
+};
+
+// 类型偏好：{ 分类 => 权重 }
+const getGenreAffinity = async (seedWeights, favoriteGenres) => {
+    const affinity = new Map();
+
+    const seedNovels = await Novel.find({ _id: { $in: [...seedWeights.keys()] } })
+        .select('categories')
+        .lean();
+    seedNovels.forEach(novel => {
+        const weight = seedWeights.get(String(novel._id)) || 0;
+        (novel.categories || []).forEach(category => {
+            affinity.set(category, (affinity.get(category) || 0) + weight);
+        });
+    });
+
+    // 用户统计中的常读类型额外加权
+    const maxWeight = Math.max(0, ...affinity.values()) || 1;
+    favoriteGenres.forEach(category => {
+        affinity.set(category, (affinity.get(category) || 0) + maxWeight / 2);
+    });
+
+    return new Map([...affinity.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_GENRES));
+};
+
+/**
+ * 获取热门作品（本周阅读榜，没有数据时按累计阅读量）
+ * @param {number} limit - 数量
+ * @param {Set} excluded - 不返回的小说ID
+ * @returns {Promise<Array>}
+ */
+export const getPopularRecommendations = async (limit, excluded = new Set()) => {
+    const ranking = await RankingSnapshot.getRanking('most_read', 'weekly');
+    const rankedIds = ranking.entries
+        .map(entry => String(entry.novel))
+        .filter(id => !excluded.has(id));
+
+    const rankedNovels = rankedIds.length > 0
+        ? await Novel.find({ _id: { $in: rankedIds } }).select(RECOMMEND_FIELDS).lean()
+        : [];
+    const novelById = new Map(rankedNovels.map(novel => [String(novel._id), novel]));
+    const novels = rankedIds.map(id => novelById.get(id)).filter(Boolean).slice(0, limit);
+
+    // 榜单数量不足时按累计阅读量补足
+    if (novels.length < limit) {
+        const skipIds = [...excluded, ...novels.map(novel => String(novel._id))];
+        const more = await Novel.find({ _id: { $nin: skipIds } })
+            .sort({ readers: -1 })
+            .limit(limit - novels.length)
+            .select(RECOMMEND_FIELDS)
+            .lean();
+        novels.push(...more);
+    }
+
+    return novels.map(novel => ({ ...novel, reason: { type: 'popular' } }));
+};
+
+/**
+ * 获取读者的个性化推荐
+ * @param {string} userId - 用户ID
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} - { novels, personalized }，每本小说附带score和reason（推荐理由）
+ */
+export const getRecommendationsForUser = async (userId, { limit = 10 } = {}) => {
+    const { seedWeights, excluded, favoriteGenres } = await collectSeeds(userId);
+
+    // 没有阅读和收藏记录，无法个性化
+    if (seedWeights.size === 0 && favoriteGenres.length === 0) {
+        return { novels: await getPopularRecommendations(limit, excluded), personalized: false };
+    }
+
+    const [coReading, genreAffinity] = await Promise.all([
+        seedWeights.size > 0 ? scoreCoReading(userId, seedWeights, excluded) : new Map(),
+        getGenreAffinity(seedWeights, favoriteGenres)
+    ]);
+
+    // 候选作品：共同阅读的作品 + 偏好分类中的热门作品
+    const genreCandidates = genreAffinity.size > 0
+        ? await Novel.find({ categories: { $in: [...genreAffinity.keys()] }, _id: { $nin: [...excluded] } })
+            .sort({ readers: -1 })
+            .limit(GENRE_CANDIDATES)
+            .select('_id')
+            .lean()
+        : [];
+    const candidateIds = [...new Set([...coReading.keys(), ...genreCandidates.map(novel => String(novel._id))])];
+
+    const candidates = candidateIds.length > 0
+        ? await Novel.find({ _id: { $in: candidateIds } }).select(RECOMMEND_FIELDS).lean()
+        : [];
+
+    // 各部分分数归一化到0-1
+    const maxCoReading = Math.max(0, ...[...coReading.values()].map(entry => entry.score)) || 1;
+    const totalAffinity = [...genreAffinity.values()].reduce((sum, weight) => sum + weight, 0) || 1;
+    const maxPopularity = Math.log10(1 + Math.max(0, ...candidates.map(novel => novel.readers || 0))) || 1;
+
+    const scored = candidates.map(novel => {
+        const novelId = String(novel._id);
+        const coReadingEntry = coReading.get(novelId);
+        const coReadingScore = coReadingEntry ? coReadingEntry.score / maxCoReading : 0;
+
+        const matchedGenres = (novel.categories || []).filter(category => genreAffinity.has(category));
+        const genreScore = matchedGenres.reduce((sum, category) => sum + genreAffinity.get(category), 0) / totalAffinity;
+
+        const popularityScore = Math.log10(1 + (novel.readers || 0)) / maxPopularity;
+
+        const score = WEIGHTS.coReading * coReadingScore
+            + WEIGHTS.genre * Math.min(genreScore, 1)
+            + WEIGHTS.popularity * popularityScore;
+
+        // 推荐理由：共同阅读优先，其次是分类
+        let reason;
+        if (coReadingEntry && coReadingScore >= genreScore) {
+            reason = { type: 'co_reading', novelId: coReadingEntry.becauseOf };
+        } else if (matchedGenres.length > 0) {
+            reason = { type: 'genre', category: matchedGenres.sort((a, b) => genreAffinity.get(b) - genreAffinity.get(a))[0] };
+        } else {
+            reason = { type: 'popular' };
+        }
+
+        return { ...novel, score: Math.round(score * 1000) / 1000, reason };
+    });
+
+    const novels = scored
+        .sort((a, b) => b.score - a.score || (b.readers || 0) - (a.readers || 0))
+        .slice(0, limit);
+
+    // 共同阅读理由中补充种子作品的标题
+    const becauseIds = [...new Set(novels
+        .filter(novel => novel.reason.type === 'co_reading')
+        .map(novel => novel.reason.novelId))];
+    if (becauseIds.length > 0) {
+        const seedNovels = await Novel.find({ _id: { $in: becauseIds } }).select('title').lean();
+        const titleById = new Map(seedNovels.map(novel => [String(novel._id), novel.title]));
+        novels.forEach(novel => {
+            if (novel.reason.type === 'co_reading') {
+                novel.reason.title = titleById.get(novel.reason.novelId) || '';
+            }
+        });
+    }
+
+    // 候选不足时用热门作品补足
+    if (novels.length < limit) {
+        const skip = new Set([...excluded, ...novels.map(novel => String(novel._id))]);
+        novels.push(...await getPopularRecommendations(limit - novels.length, skip));
+    }
+
+    return { novels, personalized: true };
+};
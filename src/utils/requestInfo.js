@@ -0,0 +1,66 @@
+/**
+ * 请求信息工具
+ * 提取客户端IP并粗略解析User-Agent，用于记录登录设备
+ */
+
+/**
+ * 获取客户端IP地址
+ * 使用Express解析的req.ip：只有在app中配置了trust proxy（见TRUST_PROXY）时才会采用X-Forwarded-For，
+ * 不能直接读取请求头，否则客户端可以伪造IP绕过限流和登录保护
+ * @param {Object} req - Express请求对象
+ * @returns {string} - IP地址
+ */
+export const getClientIp = (req) => {
+    return req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+};
+
+/**
+ * 解析User-Agent，得到浏览器、操作系统和设备类型
+ * @param {string} userAgent - User-Agent字符串
+ * @returns {Object} - { browser, os, type }
+ */
+export const parseUserAgent = (userAgent = '') => {
+    const ua = userAgent || '';
+
+    // 浏览器（顺序很重要：Edge和Opera的UA中同样包含Chrome）
+    let browser = '未知浏览器';
+    if (/MicroMessenger/i.test(ua)) browser = '微信';
+    else if (/Edg\//.test(ua)) browser = 'Edge';
+    else if (/OPR\/|Opera/.test(ua)) browser = 'Opera';
+    else if (/Firefox\//.test(ua)) browser = 'Firefox';
+    else if (/Chrome\//.test(ua)) browser = 'Chrome';
+    else if (/Safari\//.test(ua)) browser = 'Safari';
+    else if (/PostmanRuntime/.test(ua)) browser = 'Postman';
+    else if (/curl\//.test(ua)) browser = 'curl';
+
+    // 操作系统
+    let os = '未知系统';
+    if (/Windows/.test(ua)) os = 'Windows';
+    else if (/iPhone|iPad|iPod/.test(ua)) os = 'iOS';
+    else if (/Android/.test(ua)) os = 'Android';
+    else if (/Mac OS X|Macintosh/.test(ua)) os = 'macOS';
+    else if (/Linux/.test(ua)) os = 'Linux';
+
+    // 设备类型
+    let type = 'desktop';
+    if (/iPad|Tablet/.test(ua)) type = 'tablet';
+    else if (/Mobi|iPhone|Android/.test(ua)) type = 'mobile';
+    else if (!ua) type = 'unknown';
+
+    return { browser, os, type };
+};
+
+/**
+ * 获取请求的设备信息
+ * @param {Object} req - Express请求对象
+ * @returns {Object} - { userAgent, ipAddress, device }
+ */
+export const getDeviceInfo = (req) => {
+    const userAgent = (req.headers['user-agent'] || '').slice(0, 500);
+
+    return {
+        userAgent,
+        ipAddress: getClientIp(req),
+        device: parseUserAgent(userAgent)
+    };
+};
@@ -0,0 +1,111 @@
+import { escapeRegex } from './tokenizer.js';
+
+/**
+ * 搜索关键词解析工具
+ *
+ * 用户输入不会直接拼接进正则或查询条件，统一在这里解析和校验：
+ *   - 普通词：交给搜索索引按相关度匹配
+ *   - "带引号的短语"：结果中必须连续出现该短语
+ *   - -排除词 / -"排除短语"：结果中不能出现
+ * 短语和排除词转换为转义后的正则，只在搜索索引筛选出的候选小说上执行
+ */
+
+// 搜索关键词最大长度
+export const MAX_SEARCH_QUERY_LENGTH = 100;
+
+// 最多允许的词数（含短语和排除词）
+const MAX_QUERY_TERMS = 10;
+
+// 短语和排除词匹配的小说字段
+const PHRASE_FIELDS = ['title', 'authorName', 'shortDescription', 'longDescription', 'tags', 'categories'];
+
+// 匹配 -"短语"、"短语"、-词、词
+const QUERY_TOKEN_PATTERN = /(-?)"([^"]*)"|(-?)([^\s"]+)/g;
+
+// 控制字符
+const CONTROL_CHARS = /[\u0000-\u001f\u007f]/g;
+
+/**
+ * 解析搜索关键词
+ * @param {*} input - 用户输入（来自req.query，可能不是字符串）
+ * @returns {Object} - 校验失败时返回 { error }，成功时返回 { text, terms, phrases, excludes }
+ *   text为交给搜索索引的文本（普通词和短语）
+ */
+export const parseSearchQuery = (input) => {
+    if (typeof input !== 'string') {
+        return { error: '搜索关键词格式无效' };
+    }
+
+    const query = input.replace(CONTROL_CHARS, ' ').trim();
+    if (!query) {
+        return { error: '请提供搜索关键词' };
+    }
+
+    if (query.length > MAX_SEARCH_QUERY_LENGTH) {
+        return { error: `搜索关键词不能超过${MAX_SEARCH_QUERY_LENGTH}个字符` };
+    }
+
+    if ((query.match(/"/g) || []).length % 2 !== 0) {
+        return { error: '搜索关键词中的引号没有闭合' };
+    }
+
+    const terms = [];
+    const phrases = [];
+    const excludes = [];
+
+    for (const match of query.matchAll(QUERY_TOKEN_PATTERN)) {
+        const isPhrase = match[2] !== undefined;
+        const excluded = (isPhrase ? match[1] : match[3]) === '-';
+        const value = (isPhrase ? match[2] : match[4]).trim().replace(/\s+/g, ' ');
+        if (!value) continue;
+
+        if (excluded) {
+            excludes.push(value);
+        } else if (isPhrase) {
+            phrases.push(value);
+        } else {
+            terms.push(value);
+        }
+    }
+
+    if (terms.length + phrases.length + excludes.length > MAX_QUERY_TERMS) {
+        return { error: `搜索关键词最多包含${MAX_QUERY_TERMS}个词` };
+    }
+
+    if (terms.length === 0 && phrases.length === 0) {
+        return { error: '搜索关键词至少需要包含一个非排除词' };
+    }
+
+    return {
+        text: [...terms, ...phrases].join(' '),
+        terms,
+        phrases,
+        excludes
+    };
+};
+
+// 在任意搜索字段中出现该文本（不区分大小写）
+const containsText = (value) => {
+    const pattern = new RegExp(escapeRegex(value), 'i');
+    return { $or: PHRASE_FIELDS.map(field => ({ [field]: pattern })) };
+};
+
+/**
+ * 根据短语和排除词生成小说的筛选条件
+ * @param {Object} parsedQuery - parseSearchQuery的返回值
+ * @returns {Object} - MongoDB查询条件，没有短语和排除词时返回空对象
+ */
+export const buildPhraseFilter = ({ phrases = [], excludes = [] }) => {
+    const conditions = phrases.map(containsText);
+    if (excludes.length > 0) {
+        conditions.push({ $nor: excludes.map(containsText) });
+    }
+    return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+/**
+ * 校验查询参数是否为普通字符串（防止 ?category[$ne]=x 这类参数被解析为查询操作符）
+ * @param {*} value - 查询参数
+ * @returns {boolean} - 未提供或为字符串时返回true
+ */
+export const isStringParam = (value) => value === undefined || typeof value === 'string';
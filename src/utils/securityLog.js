@@ -0,0 +1,34 @@
+import { SecurityEvent } from '../models/index.js';
+import { getDeviceInfo } from './requestInfo.js';
+
+/**
+ * 安全事件记录工具
+ * 记录失败不会影响正常的请求处理，调用时不需要await
+ */
+
+/**
+ * 记录一条安全事件
+ * @param {Object} req - Express请求对象，用于获取IP和设备信息
+ * @param {Object} event - { type, user, outcome, reason, identifier, metadata }
+ * @returns {Promise<Object|null>} - 创建的记录，失败时返回null
+ */
+export const recordSecurityEvent = async (req, { type, user = null, outcome = 'success', reason = null, identifier = null, metadata = {} }) => {
+    try {
+        const { userAgent, ipAddress, device } = getDeviceInfo(req);
+
+        return await SecurityEvent.create({
+            user: user && user._id ? user._id : user,
+            type,
+            outcome,
+            reason,
+            identifier: identifier ? String(identifier).trim().toLowerCase().slice(0, 100) : null,
+            ipAddress,
+            userAgent,
+            device,
+            metadata
+        });
+    } catch (error) {
+        console.error(`记录安全事件 ${type} 失败:`, error);
+        return null;
+    }
+};
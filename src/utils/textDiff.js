@@ -0,0 +1,164 @@
+/**
+ * 文本对比工具
+ *
+ * 使用Myers差分算法计算两段文本的差异，用于章节修订记录的版本对比
+ * 按行对比时返回增删的行；按字符对比时先按行对比，再对被替换的行逐字对比
+ */
+
+// 编辑距离上限，超出时不再计算最短差异，直接视为整体替换，避免超长文本占用过多内存
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Myers差分算法
+ * @param {Array} a - 原序列
+ * @param {Array} b - 新序列
+ * @returns {Array|null} - [{ type: 'equal'|'delete'|'insert', item }]，编辑距离超出上限时返回null
+ */
+const myersDiff = (a, b) => {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    // 每一步开始前保存[-d, d]范围内的v，用于回溯
+    const trace = [];
+
+    for (let d = 0; d <= Math.min(max, MAX_EDIT_DISTANCE); d++) {
+        trace.push(v.slice(offset - d, offset + d + 1));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                return backtrack(a, b, trace);
+            }
+        }
+    }
+
+    return null;
+};
+
+// 从终点回溯出编辑路径
+const backtrack = (a, b, trace) => {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d > 0; d--) {
+        const v = trace[d];
+        const get = k => v[k + d];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && get(k - 1) < get(k + 1))) ? k + 1 : k - 1;
+        const prevX = get(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: 'equal', item: a[x - 1] });
+            x--;
+            y--;
+        }
+        if (x === prevX) {
+            ops.push({ type: 'insert', item: b[y - 1] });
+        } else {
+            ops.push({ type: 'delete', item: a[x - 1] });
+        }
+        x = prevX;
+        y = prevY;
+    }
+
+    while (x > 0 && y > 0) {
+        ops.push({ type: 'equal', item: a[x - 1] });
+        x--;
+        y--;
+    }
+
+    return ops.reverse();
+};
+
+// 对比两个序列，超出编辑距离上限时视为整体替换
+const diffSequences = (a, b) => {
+    const ops = myersDiff(a, b);
+    if (ops) return ops;
+    return [
+        ...a.map(item => ({ type: 'delete', item })),
+        ...b.map(item => ({ type: 'insert', item }))
+    ];
+};
+
+// 合并相邻的同类操作
+const groupOps = (ops) => {
+    const groups = [];
+    ops.forEach(op => {
+        const last = groups[groups.length - 1];
+        if (last && last.type === op.type) {
+            last.items.push(op.item);
+        } else {
+            groups.push({ type: op.type, items: [op.item] });
+        }
+    });
+    return groups;
+};
+
+const splitLines = text => (text ? String(text).split(/\r?\n/) : []);
+
+/**
+ * 按行对比
+ * @param {string} oldText - 旧文本
+ * @param {string} newText - 新文本
+ * @returns {Object} - { changes: [{ type, lines }], stats: { added, removed } }
+ */
+export const diffLines = (oldText, newText) => {
+    const groups = groupOps(diffSequences(splitLines(oldText), splitLines(newText)));
+
+    const stats = { added: 0, removed: 0 };
+    const changes = groups.map(group => {
+        if (group.type === 'insert') stats.added += group.items.length;
+        if (group.type === 'delete') stats.removed += group.items.length;
+        return { type: group.type, lines: group.items };
+    });
+
+    return { changes, stats };
+};
+
+/**
+ * 按字符对比：先按行对比，被删除的行紧接着被插入的行时（即修改了这几行），再逐字对比
+ * @param {string} oldText - 旧文本
+ * @param {string} newText - 新文本
+ * @returns {Object} - { changes: [{ type, text }], stats: { added, removed } }，added/removed为字符数
+ */
+export const diffChars = (oldText, newText) => {
+    // 保留换行符，拼接后与原文完全一致
+    const splitKeepingNewlines = text => (text ? String(text).match(/[^\n]*\n|[^\n]+$/g) : []);
+    const groups = groupOps(diffSequences(splitKeepingNewlines(oldText), splitKeepingNewlines(newText)));
+
+    const ops = [];
+    for (let i = 0; i < groups.length; i++) {
+        const group = groups[i];
+        const next = groups[i + 1];
+        const toChars = lines => Array.from(lines.join(''));
+
+        if (group.type === 'delete' && next && next.type === 'insert') {
+            ops.push(...diffSequences(toChars(group.items), toChars(next.items)));
+            i++;
+        } else {
+            toChars(group.items).forEach(item => ops.push({ type: group.type, item }));
+        }
+    }
+
+    const stats = { added: 0, removed: 0 };
+    const changes = groupOps(ops).map(group => {
+        if (group.type === 'insert') stats.added += group.items.length;
+        if (group.type === 'delete') stats.removed += group.items.length;
+        return { type: group.type, text: group.items.join('') };
+    });
+
+    return { changes, stats };
+};
@@ -0,0 +1,110 @@
+import { pinyin } from 'pinyin-pro';
+
+/**
+ * 中文分词工具（用于站内搜索）
+ *
+ * 中文没有空格分隔，这里不依赖词典，而是使用N-gram切分：
+ *   - 建立索引时，连续的中文字符同时切分为单字和相邻两字（bigram）
+ *   - 搜索时，两个字以上的中文只使用bigram，单个字使用单字，保证匹配精度
+ * 英文和数字按单词切分并转为小写
+ * 搜索建议另外使用标题的拼音首字母（如"斗破苍穹"对应"dpcq"）
+ */
+
+// 中日韩统一表意文字（含扩展A和兼容表意文字）
+const CJK_CHAR = '\\u3400-\\u4dbf\\u4e00-\\u9fff\\uf900-\\ufaff';
+
+// 匹配连续的中文字符或连续的字母数字
+const SEGMENT_PATTERN = new RegExp(`([${CJK_CHAR}]+)|([a-z0-9]+)`, 'g');
+
+// 单个英文单词的最大长度，超出部分截断
+const MAX_WORD_LENGTH = 30;
+
+/**
+ * 标准化文本：全角转半角、统一小写
+ * @param {string} text - 原始文本
+ * @returns {string}
+ */
+export const normalizeText = (text) => String(text || '').normalize('NFKC').toLowerCase().trim();
+
+// 将文本切分为中文片段和英文单词
+const splitSegments = (text) => {
+    const segments = [];
+    for (const match of normalizeText(text).matchAll(SEGMENT_PATTERN)) {
+        if (match[1]) {
+            segments.push({ type: 'cjk', value: match[1] });
+        } else {
+            segments.push({ type: 'word', value: match[2].slice(0, MAX_WORD_LENGTH) });
+        }
+    }
+    return segments;
+};
+
+// 切分相邻两字
+const bigrams = (chars) => {
+    const result = [];
+    for (let i = 0; i < chars.length - 1; i++) {
+        result.push(chars[i] + chars[i + 1]);
+    }
+    return result;
+};
+
+/**
+ * 建立索引时的分词，返回所有词元（可能重复，重复次数即词频）
+ * @param {string} text - 原始文本
+ * @returns {string[]}
+ */
+export const tokenizeForIndex = (text) => {
+    const tokens = [];
+    for (const segment of splitSegments(text)) {
+        if (segment.type === 'word') {
+            tokens.push(segment.value);
+            continue;
+        }
+
+        const chars = Array.from(segment.value);
+        tokens.push(...chars, ...bigrams(chars));
+    }
+    return tokens;
+};
+
+/**
+ * 搜索时的分词，返回去重后的词元
+ * @param {string} text - 搜索关键词
+ * @returns {string[]}
+ */
+export const tokenizeQuery = (text) => {
+    const tokens = [];
+    for (const segment of splitSegments(text)) {
+        if (segment.type === 'word') {
+            tokens.push(segment.value);
+            continue;
+        }
+
+        const chars = Array.from(segment.value);
+        tokens.push(...(chars.length === 1 ? chars : bigrams(chars)));
+    }
+    return [...new Set(tokens)];
+};
+
+/**
+ * 转义正则表达式特殊字符，用户输入拼接到正则前必须转义
+ * @param {string} text - 原始文本
+ * @returns {string}
+ */
+export const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 获取文本的拼音首字母，中文取每个字的首字母，英文和数字保留原单词
+ * 不含中文时返回空字符串（英文标题直接按前缀匹配即可）
+ * @param {string} text - 原始文本
+ * @returns {string} - 小写的首字母串，如 "斗破苍穹" => "dpcq"
+ */
+export const getPinyinInitials = (text) => {
+    const normalized = normalizeText(text);
+    if (!new RegExp(`[${CJK_CHAR}]`).test(normalized)) return '';
+
+    return pinyin(normalized, { pattern: 'first', toneType: 'none', type: 'array', nonZh: 'consecutive' })
+        .join('')
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, '');
+};
@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+
+/**
+ * TOTP工具（RFC 6238）
+ * 用于两步验证：生成密钥、生成otpauth链接、校验验证码
+ * 与Google Authenticator、Microsoft Authenticator等应用兼容（SHA1、6位、30秒）
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// 时间步长（秒）
+export const TOTP_PERIOD = 30;
+
+// 验证码位数
+export const TOTP_DIGITS = 6;
+
+/**
+ * Base32编码（RFC 4648，不带填充）
+ * @param {Buffer} buffer - 原始字节
+ * @returns {string} - Base32字符串
+ */
+export const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+        value &= (1 << bits) - 1;
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Base32解码
+ * @param {string} input - Base32字符串（忽略大小写、空格和填充）
+ * @returns {Buffer} - 原始字节
+ */
+export const base32Decode = (input) => {
+    const cleaned = String(input).toUpperCase().replace(/\s+/g, '').replace(/=+$/, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('无效的Base32字符');
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+        value &= (1 << bits) - 1;
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * 生成新的TOTP密钥
+ * @returns {string} - Base32编码的160位密钥
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * 计算HOTP值（RFC 4226）
+ * @param {Buffer} key - 密钥
+ * @param {number} counter - 计数器
+ * @param {number} digits - 位数
+ * @returns {string} - 验证码
+ */
+const hotp = (key, counter, digits = TOTP_DIGITS) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % (10 ** digits)).padStart(digits, '0');
+};
+
+/**
+ * 获取指定时间所在的时间步
+ * @param {number} timestamp - 毫秒时间戳
+ * @returns {number} - 时间步
+ */
+export const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_PERIOD);
+
+/**
+ * 生成TOTP验证码
+ * @param {string} secret - Base32密钥
+ * @param {number} timestamp - 毫秒时间戳
+ * @param {number} digits - 位数
+ * @returns {string} - 验证码
+ */
+export const generateTOTP = (secret, timestamp = Date.now(), digits = TOTP_DIGITS) => {
+    return hotp(base32Decode(secret), getTimeStep(timestamp), digits);
+};
+
+/**
+ * 校验TOTP验证码
+ * 允许前后各window个时间步的时钟偏差；不接受不晚于lastUsedStep的时间步，防止验证码被重放
+ * @param {string} secret - Base32密钥
+ * @param {string} code - 用户输入的验证码
+ * @param {Object} options - { window, lastUsedStep, timestamp }
+ * @returns {number|null} - 匹配的时间步，不匹配时返回null
+ */
+export const verifyTOTP = (secret, code, options = {}) => {
+    const { window = 1, lastUsedStep = -1, timestamp = Date.now() } = options;
+
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!secret || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+
+    const key = base32Decode(secret);
+    const currentStep = getTimeStep(timestamp);
+
+    for (let offset = -window; offset <= window; offset++) {
+        const step = currentStep + offset;
+        if (step <= lastUsedStep) continue;
+
+        const expected = hotp(key, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * 生成otpauth链接，可转换为二维码供身份验证器应用扫描
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {string} - otpauth://totp/... 链接
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const query = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD)
+    });
+
+    return `otpauth://totp/${label}?${query.toString()}`;
+};